@@ -10,16 +10,51 @@
  * or send it anywhere except directly to your own Salesforce org.
  */
 
+// Retries for transient failures: network errors, 429/502/503/504 and the
+// concurrent request limit. Requests can override these per call.
+const RETRY_DEFAULTS = { retries: 3, baseDelayMs: 500, maxDelayMs: 8000 };
+const RETRYABLE_STATUSES = new Set([429, 502, 503, 504]);
+
+// Requests in flight per org; more wait their turn so a big scan can't
+// trip the org's concurrent request limit
+const MAX_CONCURRENT_PER_ORG = 4;
+const orgSlots = new Map(); // hostname → { active, waiting: [resolve] }
+
+// Requests a page may cancel, by the requestId it sent
+const cancellable = new Map(); // requestId → AbortController
+
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.type === "SFDC_PROXY_REQUEST") {
     handleProxyRequest(message.payload)
-      .then((data) => sendResponse({ success: true, data }))
-      .catch((err) => sendResponse({ success: false, error: err.message }));
+      .then(({ status, data, headers, usage }) => sendResponse({ success: true, status, data, headers, usage }))
+      .catch((err) => sendResponse({ success: false, error: serializeError(err), usage: err.usage }));
     return true; // keep channel open for async
   }
+  if (message.type === "SFDC_ABORT_REQUEST") {
+    cancellable.get(message.payload.requestId)?.abort();
+    return false;
+  }
+  if (message.type === "SFDC_API_USAGE") {
+    readApiUsage(new URL(normalizeToMyDomain(message.payload.url)).hostname)
+      .then((usage) => sendResponse({ success: true, usage }))
+      .catch((err) => sendResponse({ success: false, error: serializeError(err) }));
+    return true;
+  }
 });
 
-async function handleProxyRequest({ url, method, body }) {
+async function handleProxyRequest({ requestId, ...request }) {
+  const controller = new AbortController();
+  if (requestId) cancellable.set(requestId, controller);
+  try {
+    return await sendProxyRequest(request, controller.signal);
+  } finally {
+    if (requestId) cancellable.delete(requestId);
+  }
+}
+
+// responseType "text" returns the body unparsed (Bulk API CSV results);
+// responseHeaders names headers to pass back alongside it.
+async function sendProxyRequest({ url, method, body, headers, retry, responseType, responseHeaders = [] }, signal) {
   // Step 1: Extract the my.salesforce.com origin from the URL
   // so we look up the correct cookie domain
   const myDomainUrl = normalizeToMyDomain(url);
@@ -30,42 +65,207 @@ async function handleProxyRequest({ url, method, body }) {
   const sid = await getSessionCookie(cookieDomain);
 
   if (!sid) {
-    throw new Error(
+    throw new ProxyError(
       "Could not find Salesforce session cookie. Please make sure you are logged in to Salesforce and try again."
     );
   }
 
   // Step 3: Make the API call directly from the background worker
-  // with the sid as a Bearer token — no CORS issues here
-  const response = await fetch(myDomainUrl, {
-    method: method || "GET",
-    headers: {
-      "Authorization": `Bearer ${sid}`,
-      "Content-Type": "application/json",
-      "Accept": "application/json",
-    },
-    body: body ? JSON.stringify(body) : undefined,
-  });
+  // with the sid as a Bearer token — no CORS issues here.
+  // Reads are retried; writes only when the caller says they're safe to repeat.
+  const options = { ...RETRY_DEFAULTS, ...retry };
+  const canRetry = (method || "GET") === "GET" || options.idempotent;
 
-  if (response.status === 401) {
-    throw new Error("Unauthorized. Your Salesforce session may have expired. Please log in again.");
-  }
-
-  if (!response.ok) {
-    let errMsg;
+  for (let attempt = 0; ; attempt++) {
+    if (signal.aborted) throw cancelledError();
+    let response, data, error;
     try {
-      const errJson = await response.json();
-      errMsg = Array.isArray(errJson)
-        ? errJson.map((e) => e.message).join(", ")
-        : errJson.message || `HTTP ${response.status}`;
-    } catch {
-      errMsg = `HTTP ${response.status}`;
+      ({ response, data, error } = await withOrgSlot(cookieDomain, signal, async () => {
+        const response = await fetch(myDomainUrl, {
+          method: method || "GET",
+          headers: {
+            "Authorization": `Bearer ${sid}`,
+            "Content-Type": "application/json",
+            "Accept": "application/json",
+            ...headers,
+          },
+          body: body ? JSON.stringify(body) : undefined,
+          signal,
+        });
+        // The body is read inside the slot too, so a slow download (a large
+        // Bulk API CSV page) still counts against the per-org cap
+        return { response, ...(await readBody(response, responseType)) };
+      }));
+    } catch (err) {
+      if (signal.aborted) throw cancelledError();
+      // Otherwise fetch only throws on network failures, including a body
+      // cut off mid-read
+      if (canRetry && attempt < options.retries) {
+        await sleep(backoffDelay(attempt, options), signal);
+        continue;
+      }
+      throw new ProxyError(`Network error: ${err.message}`);
     }
-    throw new Error(errMsg);
+
+    const usage = await recordApiUsage(cookieDomain, response.headers.get("Sforce-Limit-Info"));
+
+    if (response.status === 401) {
+      const error = new ProxyError("Unauthorized. Your Salesforce session may have expired. Please log in again.", { statusCode: 401 });
+      error.usage = usage;
+      throw error;
+    }
+
+    // A 304 isn't ok, but answers a conditional request: the caller's copy is current
+    if (!response.ok && response.status !== 304) {
+      if (canRetry && attempt < options.retries && isRetryable(response.status, error)) {
+        await sleep(retryAfterDelay(response) ?? backoffDelay(attempt, options), signal);
+        continue;
+      }
+      error.usage = usage;
+      throw error;
+    }
+
+    const exposed = Object.fromEntries(responseHeaders.map((name) => [name, response.headers.get(name)]));
+
+    return { status: response.status, data, headers: exposed, usage };
+  }
+}
+
+// { data } for a successful response, { error } for a failed one. 204 and
+// 304 (a conditional request whose caller's copy is current) have no body.
+async function readBody(response, responseType) {
+  if (response.status === 401) return {};
+  if (response.status === 204 || response.status === 304) return { data: null };
+  if (!response.ok) return { error: await responseError(response) };
+  return { data: responseType === "text" ? await response.text() : await response.json() };
+}
+
+// ── Errors ─────────────────────────────────────────────────────────────────
+class ProxyError extends Error {
+  constructor(message, { statusCode = null, errorCode = null, fields = [] } = {}) {
+    super(message);
+    this.statusCode = statusCode;
+    this.errorCode = errorCode;
+    this.fields = fields;
+  }
+}
+
+// Salesforce error bodies are [{ message, errorCode, fields }]
+async function responseError(response) {
+  let errors = [];
+  try {
+    const json = await response.json();
+    errors = Array.isArray(json) ? json : [json];
+  } catch {
+    // not JSON
+  }
+  const message = errors.map((e) => e.message).filter(Boolean).join(", ") || `HTTP ${response.status}`;
+  return new ProxyError(message, {
+    statusCode: response.status,
+    errorCode: errors[0]?.errorCode || null,
+    fields: [...new Set(errors.flatMap((e) => e.fields || []))],
+  });
+}
+
+function cancelledError() {
+  return new ProxyError("The request was cancelled.", { errorCode: "ABORTED" });
+}
+
+// Errors cross the message channel as plain objects
+function serializeError(err) {
+  return {
+    message: err.message || String(err),
+    statusCode: err.statusCode ?? null,
+    errorCode: err.errorCode ?? null,
+    fields: err.fields || [],
+  };
+}
+
+// ── Retry & Concurrency ────────────────────────────────────────────────────
+// REQUEST_LIMIT_EXCEEDED covers both the daily quota, which retrying can't
+// help, and the concurrent long-running request limit, which clears quickly
+function isRetryable(status, error) {
+  if (RETRYABLE_STATUSES.has(status)) return true;
+  return error.errorCode === "REQUEST_LIMIT_EXCEEDED" && !/TotalRequests/i.test(error.message);
+}
+
+function backoffDelay(attempt, { baseDelayMs, maxDelayMs }) {
+  const delay = Math.min(baseDelayMs * 2 ** attempt, maxDelayMs);
+  return delay / 2 + Math.random() * (delay / 2);
+}
+
+function retryAfterDelay(response) {
+  const seconds = Number(response.headers.get("Retry-After"));
+  return seconds > 0 ? Math.min(seconds * 1000, RETRY_DEFAULTS.maxDelayMs * 4) : null;
+}
+
+// Resolves early when the request is cancelled; the caller checks the signal
+function sleep(ms, signal) {
+  return new Promise((resolve) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener("abort", () => {
+      clearTimeout(timer);
+      resolve();
+    }, { once: true });
+  });
+}
+
+async function withOrgSlot(hostname, signal, fn) {
+  if (signal.aborted) throw cancelledError();
+  const slots = orgSlots.get(hostname) || { active: 0, waiting: [] };
+  orgSlots.set(hostname, slots);
+  if (slots.active >= MAX_CONCURRENT_PER_ORG) {
+    // A request cancelled while queued leaves the queue straight away
+    await new Promise((resolve, reject) => {
+      const onAbort = () => {
+        slots.waiting = slots.waiting.filter((next) => next !== wake);
+        reject(cancelledError());
+      };
+      const wake = () => {
+        signal.removeEventListener("abort", onAbort);
+        resolve();
+      };
+      slots.waiting.push(wake);
+      signal.addEventListener("abort", onAbort, { once: true });
+    });
+  }
+  slots.active++;
+  try {
+    return await fn();
+  } finally {
+    slots.active--;
+    const next = slots.waiting.shift();
+    if (next) next();
+    else if (slots.active === 0) orgSlots.delete(hostname);
   }
+}
+
+// ── API Usage ──────────────────────────────────────────────────────────────
+// Every response reports the org's 24-hour API usage in Sforce-Limit-Info
+// ("api-usage=1234/15000"). The latest figures and the number of calls made
+// through this proxy are kept per org for the browser session.
+const apiUsage = new Map(); // hostname → usage, mirrored to chrome.storage.session
+
+async function recordApiUsage(hostname, limitInfo) {
+  const stored = (await readApiUsage(hostname)) || { used: null, max: null, sessionCalls: 0 };
+  // Parallel responses may have counted while we waited on storage
+  const current = apiUsage.get(hostname) || stored;
+  const match = /api-usage=(\d+)\/(\d+)/.exec(limitInfo || "");
+  const usage = {
+    used: match ? Number(match[1]) : current.used,
+    max: match ? Number(match[2]) : current.max,
+    sessionCalls: current.sessionCalls + 1,
+    updatedAt: Date.now(),
+  };
+  apiUsage.set(hostname, usage);
+  await chrome.storage.session.set({ [`apiUsage:${hostname}`]: usage });
+  return usage;
+}
 
-  if (response.status === 204) return null;
-  return response.json();
+async function readApiUsage(hostname) {
+  if (apiUsage.has(hostname)) return apiUsage.get(hostname);
+  const key = `apiUsage:${hostname}`;
+  return (await chrome.storage.session.get(key))[key] || null;
 }
 
 async function getSessionCookie(domain) {
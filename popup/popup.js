@@ -24,10 +24,19 @@ function extractOrgInfo(url) {
   }
 }
 
-function openToolInTab(toolPath, orgOrigin) {
+// Quote Id when the tab is an SBQQ__Quote__c record page
+function extractQuoteId(url) {
+  const match = url.match(/\/lightning\/r\/SBQQ__Quote__c\/([a-zA-Z0-9]{15,18})\//);
+  return match ? match[1] : null;
+}
+
+function openToolInTab(toolPath, orgOrigin, params = {}) {
   const extensionUrl = chrome.runtime.getURL(toolPath);
+  const extra = Object.entries(params)
+    .map(([key, value]) => `&${key}=${encodeURIComponent(value)}`)
+    .join("");
   chrome.tabs.create({
-    url: `${extensionUrl}?org=${encodeURIComponent(orgOrigin)}`,
+    url: `${extensionUrl}?org=${encodeURIComponent(orgOrigin)}${extra}`,
   });
 }
 
@@ -102,9 +111,21 @@ function handleSalesforceTab(url, statusDot, orgName, orgUrl, sfdcContent) {
     window.close();
   });
 
+  // On a Quote record page, open the explorer with that quote loaded
+  const quoteId = extractQuoteId(url);
+  if (quoteId) {
+    document.querySelector("#openSkuQuote .tool-desc").textContent = "Re-simulate this quote's pricing";
+  }
+
   document.getElementById("openSkuQuote").addEventListener("click", (e) => {
     e.preventDefault();
-    openToolInTab("tools/sku-quote-explorer.html", info.origin);
+    openToolInTab("tools/sku-quote-explorer.html", info.origin, quoteId ? { quote: quoteId } : {});
+    window.close();
+  });
+
+  document.getElementById("openQcpRunner").addEventListener("click", (e) => {
+    e.preventDefault();
+    openToolInTab("tools/qcp-runner.html", info.origin);
     window.close();
   });
 }
@@ -0,0 +1,220 @@
+/**
+ * Salesforce CPQ Toolkit — Bundle Configuration
+ *
+ * Models CPQ bundles for the quote preview: a bundle product's
+ * SBQQ__ProductOption__c children grouped by SBQQ__ProductFeature__c, the
+ * option/feature quantity limits, and SBQQ__OptionConstraint__c rules
+ * (Exclusion and Dependency) that enable or disable options.
+ *
+ * A selection is a Map of option Id → option quantity for one bundle
+ * instance. Options whose product is itself a bundle nest, up to
+ * MAX_BUNDLE_DEPTH levels below the top-level product.
+ *
+ * Pure computation — no API calls, no DOM access.
+ *
+ * Reference: https://help.salesforce.com/s/articleView?id=sales.cpq_bundles_parent.htm&type=5
+ */
+
+export const MAX_BUNDLE_DEPTH = 3;
+
+// Options without a feature are grouped under this pseudo-feature
+const UNGROUPED_FEATURE = "__none";
+
+/**
+ * Build bundle definitions, keyed by the bundle's Product2 Id, from the raw
+ * option, feature and constraint records of every bundle level.
+ */
+export function buildBundles({ options = [], features = [], constraints = [] } = {}) {
+  const bundles = new Map();
+
+  const bundleFor = (productId) => {
+    if (!bundles.has(productId)) {
+      bundles.set(productId, { productId, features: [], options: [], constraints: [] });
+    }
+    return bundles.get(productId);
+  };
+
+  features.forEach((f) => {
+    bundleFor(f.SBQQ__ConfiguredSKU__c).features.push({
+      id: f.Id,
+      name: f.Name,
+      number: f.SBQQ__Number__c ?? null,
+      category: f.SBQQ__Category__c || null,
+      minOptions: f.SBQQ__MinOptionCount__c ?? null,
+      maxOptions: f.SBQQ__MaxOptionCount__c ?? null,
+    });
+  });
+
+  options.forEach((o) => {
+    const product = o.SBQQ__OptionalSKU__r || {};
+    bundleFor(o.SBQQ__ConfiguredSKU__c).options.push({
+      id: o.Id,
+      productId: o.SBQQ__OptionalSKU__c,
+      productName: product.Name || "Unknown Product",
+      productCode: product.ProductCode || "",
+      featureId: o.SBQQ__Feature__c || UNGROUPED_FEATURE,
+      number: o.SBQQ__Number__c ?? null,
+      type: o.SBQQ__Type__c || "Component",
+      quantity: o.SBQQ__Quantity__c ?? 1,
+      quantityEditable: o.SBQQ__QuantityEditable__c !== false,
+      minQuantity: o.SBQQ__MinQuantity__c ?? null,
+      maxQuantity: o.SBQQ__MaxQuantity__c ?? null,
+      required: !!o.SBQQ__Required__c,
+      selected: !!o.SBQQ__Selected__c,
+      bundled: !!o.SBQQ__Bundled__c,
+      unitPrice: o.SBQQ__UnitPrice__c ?? null,
+    });
+  });
+
+  constraints.forEach((c) => {
+    bundleFor(c.SBQQ__ConfiguredSKU__c).constraints.push({
+      id: c.Id,
+      name: c.Name,
+      type: c.SBQQ__Type__c || "Exclusion",
+      constrainingId: c.SBQQ__ConstrainingOption__c,
+      constrainedId: c.SBQQ__ConstrainedOption__c,
+    });
+  });
+
+  bundles.forEach((bundle) => {
+    const byNumber = (a, b) => (a.number ?? Infinity) - (b.number ?? Infinity) || String(a.name ?? a.productName).localeCompare(b.name ?? b.productName);
+    bundle.features.sort(byNumber);
+    bundle.options.sort(byNumber);
+    if (bundle.options.some((o) => o.featureId === UNGROUPED_FEATURE)) {
+      bundle.features.push({ id: UNGROUPED_FEATURE, name: "Other Options", number: null, category: null, minOptions: null, maxOptions: null });
+    }
+    // Drop bundles that only had features or constraints left over
+    if (bundle.options.length === 0) bundles.delete(bundle.productId);
+  });
+
+  return bundles;
+}
+
+/**
+ * The options CPQ selects when the bundle is first configured: required
+ * options plus those marked Selected, at their default quantity.
+ */
+export function defaultSelection(bundle) {
+  const selection = new Map();
+  bundle.options
+    .filter((o) => o.required || o.selected)
+    .forEach((o) => selection.set(o.id, o.quantity));
+  return enforceConstraints(bundle, selection);
+}
+
+/**
+ * Per-option state for rendering the configurator:
+ *   Map optionId → { selected, quantity, disabled, locked, reason }
+ * `locked` options (required) can't be deselected; `disabled` ones can't
+ * be selected because of an option constraint.
+ */
+export function optionStates(bundle, selection) {
+  const states = new Map();
+  bundle.options.forEach((o) => {
+    const selected = selection.has(o.id);
+    const blocked = constraintBlock(bundle, o, selection);
+    states.set(o.id, {
+      selected,
+      quantity: selected ? selection.get(o.id) : o.quantity,
+      disabled: !selected && blocked !== null,
+      locked: o.required && selected,
+      reason: blocked,
+    });
+  });
+  return states;
+}
+
+/**
+ * Drop selected options that a constraint no longer allows, repeating
+ * until stable so dependency chains unwind fully.
+ */
+export function enforceConstraints(bundle, selection) {
+  const result = new Map(selection);
+  let changed = true;
+  while (changed) {
+    changed = false;
+    bundle.options.forEach((o) => {
+      if (result.has(o.id) && !o.required && constraintBlock(bundle, o, result) !== null) {
+        result.delete(o.id);
+        changed = true;
+      }
+    });
+  }
+  return result;
+}
+
+/**
+ * Configuration problems CPQ would raise on save: feature option counts,
+ * option quantity limits and constraint violations on required options.
+ */
+export function validateBundle(bundle, selection) {
+  const problems = [];
+
+  bundle.features.forEach((feature) => {
+    const count = bundle.options.filter((o) => o.featureId === feature.id && selection.has(o.id)).length;
+    if (feature.minOptions !== null && count < feature.minOptions) {
+      problems.push(`${feature.name}: select at least ${feature.minOptions} option${feature.minOptions !== 1 ? "s" : ""}`);
+    }
+    if (feature.maxOptions !== null && count > feature.maxOptions) {
+      problems.push(`${feature.name}: select at most ${feature.maxOptions} option${feature.maxOptions !== 1 ? "s" : ""}`);
+    }
+  });
+
+  bundle.options.forEach((o) => {
+    if (!selection.has(o.id)) {
+      if (o.required) problems.push(`${o.productName} is required`);
+      return;
+    }
+    const qty = selection.get(o.id);
+    if (o.minQuantity !== null && qty < o.minQuantity) problems.push(`${o.productName}: quantity must be at least ${o.minQuantity}`);
+    if (o.maxQuantity !== null && qty > o.maxQuantity) problems.push(`${o.productName}: quantity must be at most ${o.maxQuantity}`);
+    const blocked = constraintBlock(bundle, o, selection);
+    if (blocked) problems.push(`${o.productName}: ${blocked}`);
+  });
+
+  return problems;
+}
+
+/**
+ * Clamp an option quantity to its min/max.
+ */
+export function clampOptionQuantity(option, quantity) {
+  let qty = Math.max(0, Number(quantity) || 0);
+  if (option.minQuantity !== null) qty = Math.max(option.minQuantity, qty);
+  if (option.maxQuantity !== null) qty = Math.min(option.maxQuantity, qty);
+  return qty;
+}
+
+/**
+ * Quote line quantity for a selected option. Components scale with the
+ * parent bundle's quantity; accessories and related products don't.
+ */
+export function optionLineQuantity(option, optionQuantity, parentQuantity) {
+  return option.type === "Component" ? optionQuantity * parentQuantity : optionQuantity;
+}
+
+// Why an option can't be selected right now, or null if it can.
+// Exclusion: the constraining option being selected rules out the
+// constrained one (and vice versa). Dependency: the constrained option
+// needs the constraining one selected first.
+function constraintBlock(bundle, option, selection) {
+  for (const c of bundle.constraints) {
+    const constraining = bundle.options.find((o) => o.id === c.constrainingId);
+    const constrained = bundle.options.find((o) => o.id === c.constrainedId);
+    if (!constraining || !constrained) continue;
+
+    if (c.type === "Exclusion") {
+      if (c.constrainedId === option.id && selection.has(c.constrainingId)) {
+        return `Excluded by ${constraining.productName}`;
+      }
+      if (c.constrainingId === option.id && selection.has(c.constrainedId)) {
+        return `Excluded by ${constrained.productName}`;
+      }
+    } else if (c.type === "Dependency") {
+      if (c.constrainedId === option.id && !selection.has(c.constrainingId)) {
+        return `Requires ${constraining.productName}`;
+      }
+    }
+  }
+  return null;
+}
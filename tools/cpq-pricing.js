@@ -0,0 +1,746 @@
+/**
+ * Salesforce CPQ Toolkit — Pricing Engine
+ *
+ * Runs the CPQ price waterfall for simulated quote lines:
+ *
+ *   List → Special → Regular → Customer → Partner → Net
+ *
+ * Each stage mirrors the quote line field CPQ writes during calculation
+ * (SBQQ__ListPrice__c, SBQQ__SpecialPrice__c, SBQQ__RegularPrice__c, …)
+ * so the preview can show exactly where the money goes on every line.
+ *
+ * The list price itself depends on the product's pricing method: List
+ * (pricebook entry), Cost (unit cost plus markup), Block (flat price for a
+ * quantity band) or Percent Of Total (a share of the other lines).
+ *
+ * Subscription lines are prorated from the product's default term to the
+ * quote's effective term (start/end dates or subscription term) using the
+ * same precision options as the CPQ package setting.
+ *
+ * Everything here is pure computation — no API calls, no DOM access.
+ *
+ * Reference: https://help.salesforce.com/s/articleView?id=sales.cpq_discount_schedules.htm&type=5
+ */
+
+export const PRICING_METHODS = ["List", "Cost", "Block", "Percent Of Total"];
+
+// SBQQ__PercentOfTotalBase__c value → the quote total it is computed from
+const PERCENT_OF_TOTAL_BASES = {
+  List: "listTotal",
+  Regular: "regularTotal",
+  Customer: "customerTotal",
+  Net: "netTotal",
+};
+
+// CPQ package setting "Subscription Prorate Precision"
+export const PRORATE_PRECISIONS = ["Month + Day", "Month", "Day"];
+
+// Package default when neither the quote nor the product sets a term
+export const DEFAULT_SUBSCRIPTION_TERM = 12;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const WATERFALL_STAGES = [
+  { key: "list", label: "List Price", field: "SBQQ__ListPrice__c" },
+  { key: "special", label: "Special Price", field: "SBQQ__SpecialPrice__c" },
+  { key: "regular", label: "Regular Price", field: "SBQQ__RegularPrice__c" },
+  { key: "customer", label: "Customer Price", field: "SBQQ__CustomerPrice__c" },
+  { key: "partner", label: "Partner Price", field: "SBQQ__PartnerPrice__c" },
+  { key: "net", label: "Net Price", field: "SBQQ__NetPrice__c" },
+];
+
+/**
+ * Price a single line through the waterfall.
+ *
+ * Line-level discounts win over the quote-level defaults, the same way
+ * CPQ only falls back to the quote's Additional/Partner/Distributor
+ * discount when the line field is blank.
+ */
+export function priceLine(line, quote = {}, context = {}) {
+  const quantity = toNumber(line.quantity, 1);
+  const stages = [];
+
+  // List price: pricing method, then proration for subscription lines
+  const list = resolveListPrice(line, quantity, context);
+  const subscription = resolveSubscription(line, quote, list.method);
+  const prorate = subscription ? subscription.prorateMultiplier : 1;
+  const listPrice = list.price * prorate;
+  stages.push(
+    buildStage("list", listPrice, null, prorate !== 1 ? `${list.note} · ${subscription.note}` : list.note)
+  );
+
+  // Block prices cover the whole band, so the total is not multiplied out
+  const units = list.method === "Block" ? 1 : quantity;
+
+  // Special price: a contracted or manually entered price replaces list
+  const hasSpecial = line.specialPrice !== null && line.specialPrice !== undefined && line.specialPrice !== "";
+  const specialPrice = hasSpecial ? toNumber(line.specialPrice) * prorate : listPrice;
+  stages.push(
+    buildStage(
+      "special",
+      specialPrice,
+      listPrice,
+      hasSpecial ? `${line.specialPriceType || "Custom"} special price` : "No special price — same as list"
+    )
+  );
+
+  // Regular price: volume discount schedule, then term discount schedule
+  let regularPrice = specialPrice;
+  const scheduleNotes = [];
+  let volumeSchedule = null;
+  let termSchedule = null;
+
+  if (line.discountSchedule) {
+    const tierQuantity = context.scheduleQuantities?.get(line.discountSchedule.id) ?? quantity;
+    volumeSchedule = applyDiscountSchedule(regularPrice, line.discountSchedule, tierQuantity);
+    regularPrice = volumeSchedule.price;
+    scheduleNotes.push(volumeSchedule.note);
+  }
+  if (line.termDiscountSchedule && subscription) {
+    termSchedule = applyDiscountSchedule(regularPrice, line.termDiscountSchedule, subscription.term);
+    regularPrice = termSchedule.price;
+    scheduleNotes.push(`Term: ${termSchedule.note}`);
+  }
+  stages.push(
+    buildStage("regular", regularPrice, specialPrice, scheduleNotes.join(" · ") || "No discount schedule")
+  );
+
+  // Customer price: additional discount, either an amount or a percent
+  const additional = resolveAdditionalDiscount(line, quote);
+  const customerPrice =
+    additional.amount !== null
+      ? regularPrice - additional.amount
+      : applyPercent(regularPrice, additional.percent);
+  stages.push(buildStage("customer", customerPrice, regularPrice, describeAdditional(additional)));
+
+  // Partner and distributor discounts
+  const partnerDiscount = pickDiscount(line.partnerDiscount, quote.partnerDiscount);
+  const partnerPrice = applyPercent(customerPrice, partnerDiscount.value);
+  stages.push(
+    buildStage("partner", partnerPrice, customerPrice, describePercent("Partner discount", partnerDiscount))
+  );
+
+  const distributorDiscount = pickDiscount(line.distributorDiscount, quote.distributorDiscount);
+  const netPrice = applyPercent(partnerPrice, distributorDiscount.value);
+  stages.push(
+    buildStage("net", netPrice, partnerPrice, describePercent("Distributor discount", distributorDiscount))
+  );
+
+  const netTotal = netPrice * units;
+
+  return {
+    quantity,
+    units,
+    subscription,
+    pricingMethod: list.method,
+    block: list.block || null,
+    unitListPrice: list.price,
+    listPrice,
+    specialPrice,
+    regularPrice,
+    customerPrice,
+    partnerPrice,
+    netPrice,
+    volumeSchedule,
+    termSchedule,
+    additionalDiscount: additional,
+    partnerDiscount: partnerDiscount.value,
+    distributorDiscount: distributorDiscount.value,
+    listTotal: listPrice * units,
+    regularTotal: regularPrice * units,
+    customerTotal: customerPrice * units,
+    partnerTotal: partnerPrice * units,
+    netTotal,
+    annualTotal: subscription ? annualize(netTotal, subscription) : 0,
+    oneTimeTotal: subscription ? 0 : netTotal,
+    stages,
+  };
+}
+
+/**
+ * Price every line on the quote, storing the result on `line.pricing`,
+ * and return the quote-level totals.
+ *
+ * Percent Of Total lines are priced last, from the totals of every other
+ * line, so they always see the rest of the quote fully calculated.
+ */
+export function priceQuote(lines, quote = {}) {
+  const effectiveQuote = withRuleOverrides(quote);
+  const inputs = lines.map(withRuleOverrides);
+  const context = { scheduleQuantities: aggregateScheduleQuantities(inputs) };
+  const isPercentOfTotal = (input) => input.pricingMethod === "Percent Of Total";
+
+  inputs.forEach((input, i) => {
+    if (!isPercentOfTotal(input)) lines[i].pricing = priceLine(input, effectiveQuote, context);
+  });
+
+  context.percentOfTotalBase = summarizeQuote(lines.filter((_, i) => !isPercentOfTotal(inputs[i])));
+  inputs.forEach((input, i) => {
+    if (isPercentOfTotal(input)) lines[i].pricing = priceLine(input, effectiveQuote, context);
+  });
+
+  return summarizeQuote(lines);
+}
+
+// Values written by price rules sit on top of the user's own inputs
+function withRuleOverrides(obj) {
+  return obj.ruleOverrides ? { ...obj, ...obj.ruleOverrides } : obj;
+}
+
+export function summarizeQuote(lines) {
+  const totals = {
+    listTotal: 0,
+    regularTotal: 0,
+    customerTotal: 0,
+    partnerTotal: 0,
+    netTotal: 0,
+    annualTotal: 0,
+    oneTimeTotal: 0,
+  };
+  lines.forEach((line) => {
+    if (!line.pricing) return;
+    Object.keys(totals).forEach((k) => {
+      totals[k] += line.pricing[k];
+    });
+  });
+  return totals;
+}
+
+/**
+ * Effective discount off list, as a percentage (0–100).
+ */
+export function effectiveDiscount(pricing) {
+  if (!pricing || !pricing.listTotal) return 0;
+  return ((pricing.listTotal - pricing.netTotal) / pricing.listTotal) * 100;
+}
+
+// ── Quote Records ──────────────────────────────────────────────────────────
+// Quote line fields a price rule can write that feed back into pricing,
+// mapped to the simulated line's input properties.
+export const LINE_FIELD_INPUTS = {
+  SBQQ__Quantity__c: "quantity",
+  SBQQ__ListPrice__c: "listPrice",
+  SBQQ__SpecialPrice__c: "specialPrice",
+  SBQQ__Discount__c: "discount",
+  SBQQ__AdditionalDiscountAmount__c: "additionalDiscountAmount",
+  SBQQ__PartnerDiscount__c: "partnerDiscount",
+  SBQQ__DistributorDiscount__c: "distributorDiscount",
+  SBQQ__SubscriptionTerm__c: "subscriptionTerm",
+  SBQQ__UnitCost__c: "unitCost",
+  SBQQ__MarkupRate__c: "markupRate",
+  SBQQ__MarkupAmount__c: "markupAmount",
+  SBQQ__PercentOfTotal__c: "percentOfTotal",
+};
+
+// Same for quote fields → quote settings
+export const QUOTE_FIELD_INPUTS = {
+  SBQQ__CustomerDiscount__c: "additionalDiscount",
+  SBQQ__PartnerDiscount__c: "partnerDiscount",
+  SBQQ__DistributorDiscount__c: "distributorDiscount",
+  SBQQ__StartDate__c: "startDate",
+  SBQQ__EndDate__c: "endDate",
+  SBQQ__SubscriptionTerm__c: "subscriptionTerm",
+};
+
+/**
+ * The simulated line as an SBQQ__QuoteLine__c-shaped record, so rule
+ * conditions and formulas can address it by field API name. Call after
+ * priceQuote() so the calculated prices are filled in.
+ */
+export function quoteLineRecord(line) {
+  const input = withRuleOverrides(line);
+  const p = line.pricing || {};
+  return {
+    Id: line.key,
+    SBQQ__Product__c: line.productId,
+    SBQQ__Product__r: { Id: line.productId, Name: line.productName, ProductCode: line.productCode, Family: line.family },
+    SBQQ__ProductName__c: line.productName,
+    SBQQ__ProductCode__c: line.productCode,
+    SBQQ__ProductFamily__c: line.family,
+    SBQQ__Quantity__c: toNumber(input.quantity, 1),
+    SBQQ__PricingMethod__c: p.pricingMethod || input.pricingMethod || "List",
+    SBQQ__OriginalPrice__c: input.listPrice,
+    SBQQ__ListPrice__c: p.unitListPrice ?? input.listPrice,
+    SBQQ__ProratedListPrice__c: p.listPrice ?? null,
+    SBQQ__SpecialPrice__c: isSet(input.specialPrice) ? toNumber(input.specialPrice) : null,
+    SBQQ__RegularPrice__c: p.regularPrice ?? null,
+    SBQQ__CustomerPrice__c: p.customerPrice ?? null,
+    SBQQ__PartnerPrice__c: p.partnerPrice ?? null,
+    SBQQ__NetPrice__c: p.netPrice ?? null,
+    SBQQ__ListTotal__c: p.listTotal ?? null,
+    SBQQ__CustomerTotal__c: p.customerTotal ?? null,
+    SBQQ__NetTotal__c: p.netTotal ?? null,
+    SBQQ__Discount__c: isSet(input.discount) ? toNumber(input.discount) : null,
+    SBQQ__AdditionalDiscountAmount__c: isSet(input.additionalDiscountAmount) ? toNumber(input.additionalDiscountAmount) : null,
+    SBQQ__PartnerDiscount__c: p.partnerDiscount ?? null,
+    SBQQ__DistributorDiscount__c: p.distributorDiscount ?? null,
+    SBQQ__SubscriptionPricing__c: input.subscriptionPricing || null,
+    SBQQ__SubscriptionTerm__c: isSet(input.subscriptionTerm) ? toNumber(input.subscriptionTerm) : null,
+    SBQQ__EffectiveSubscriptionTerm__c: p.subscription ? p.subscription.term : null,
+    SBQQ__ProrateMultiplier__c: p.subscription ? p.subscription.prorateMultiplier : null,
+    SBQQ__ChargeType__c: input.chargeType || null,
+    SBQQ__BillingType__c: input.billingType || null,
+    SBQQ__UnitCost__c: isSet(input.unitCost) ? toNumber(input.unitCost) : null,
+    SBQQ__MarkupRate__c: isSet(input.markupRate) ? toNumber(input.markupRate) : null,
+    SBQQ__MarkupAmount__c: isSet(input.markupAmount) ? toNumber(input.markupAmount) : null,
+    SBQQ__PercentOfTotal__c: isSet(input.percentOfTotal) ? toNumber(input.percentOfTotal) : null,
+    SBQQ__DiscountSchedule__c: input.discountSchedule ? input.discountSchedule.id : null,
+    SBQQ__TermDiscountSchedule__c: input.termDiscountSchedule ? input.termDiscountSchedule.id : null,
+    SBQQ__Bundle__c: !!line.bundle,
+    SBQQ__Bundled__c: !!line.bundled,
+    SBQQ__RequiredBy__c: line.parentKey || null,
+    SBQQ__ProductOption__c: line.option ? line.option.id : null,
+    SBQQ__OptionLevel__c: line.depth ? line.depth : null,
+    SBQQ__OptionType__c: line.option ? line.option.type : null,
+    SBQQ__BundledQuantity__c: line.parentKey ? line.optionQuantity : null,
+    ...(line.ruleFieldValues || {}),
+  };
+}
+
+/**
+ * The simulated quote as an SBQQ__Quote__c-shaped record.
+ */
+export function quoteRecord(quote, totals = {}, lines = []) {
+  const input = withRuleOverrides(quote);
+  return {
+    Id: quote.id || null,
+    SBQQ__CustomerDiscount__c: isSet(input.additionalDiscount) ? toNumber(input.additionalDiscount) : null,
+    SBQQ__PartnerDiscount__c: isSet(input.partnerDiscount) ? toNumber(input.partnerDiscount) : null,
+    SBQQ__DistributorDiscount__c: isSet(input.distributorDiscount) ? toNumber(input.distributorDiscount) : null,
+    SBQQ__StartDate__c: input.startDate || null,
+    SBQQ__EndDate__c: input.endDate || null,
+    SBQQ__SubscriptionTerm__c: isSet(input.subscriptionTerm) ? toNumber(input.subscriptionTerm) : null,
+    SBQQ__PriceBook__c: input.pricebookId || null,
+    CurrencyIsoCode: input.currency || null,
+    SBQQ__LineItemCount__c: lines.length,
+    SBQQ__ListAmount__c: totals.listTotal ?? null,
+    SBQQ__RegularAmount__c: totals.regularTotal ?? null,
+    SBQQ__CustomerAmount__c: totals.customerTotal ?? null,
+    SBQQ__NetAmount__c: totals.netTotal ?? null,
+    SBQQ__TotalCustomerDiscountAmount__c: isSet(totals.regularTotal) ? totals.regularTotal - totals.customerTotal : null,
+    SBQQ__AverageCustomerDiscount__c: percentOff(totals.regularTotal, totals.customerTotal),
+    SBQQ__AveragePartnerDiscount__c: percentOff(totals.customerTotal, totals.partnerTotal),
+    ...(quote.ruleFieldValues || {}),
+  };
+}
+
+/**
+ * Write a field value onto a simulated line the way a price action would.
+ * Pricing inputs go to `ruleOverrides`, so the next priceQuote() picks
+ * them up; anything else is kept by field name and only shows up in the
+ * record view. Returns the previous record value.
+ */
+export function setLineField(line, field, value) {
+  const from = getRecordValue(quoteLineRecord(line), field);
+  assignField(line, LINE_FIELD_INPUTS[field], field, value);
+  return from;
+}
+
+/**
+ * Quote-level counterpart of setLineField().
+ */
+export function setQuoteField(quote, field, value, totals = {}, lines = []) {
+  const from = getRecordValue(quoteRecord(quote, totals, lines), field);
+  assignField(quote, QUOTE_FIELD_INPUTS[field], field, value);
+  return from;
+}
+
+// Discount between two quote totals, as a percentage of the first
+function percentOff(from, to) {
+  if (!isSet(from) || !from) return null;
+  return round(((from - to) / from) * 100, 4);
+}
+
+function assignField(target, inputKey, field, value) {
+  if (inputKey) target.ruleOverrides = { ...(target.ruleOverrides || {}), [inputKey]: value };
+  else target.ruleFieldValues = { ...(target.ruleFieldValues || {}), [field]: value };
+}
+
+function getRecordValue(record, field) {
+  const key = Object.keys(record).find((k) => k.toLowerCase() === String(field).toLowerCase());
+  return key === undefined ? null : record[key];
+}
+
+// ── Subscription Term & Proration ───────────────────────────────────────────
+/**
+ * Work out the effective term and prorate multiplier for a subscription
+ * line. Quote dates win over the quote's subscription term, which wins over
+ * the product's own term (multiplier 1).
+ */
+function resolveSubscription(line, quote, method) {
+  if (!line.subscriptionPricing) return null;
+
+  const unit = quote.termUnit === "Day" ? "Day" : "Month";
+  const productTerm = isSet(line.subscriptionTerm) ? toNumber(line.subscriptionTerm) : DEFAULT_SUBSCRIPTION_TERM;
+
+  let term = productTerm;
+  let source = "product";
+  const fromDates = quote.endDate
+    ? termBetween(quote.startDate, quote.endDate, quote.prorationPrecision, unit)
+    : null;
+  if (fromDates !== null) {
+    term = fromDates;
+    source = "dates";
+  } else if (isSet(quote.subscriptionTerm)) {
+    term = toNumber(quote.subscriptionTerm);
+    source = "quote";
+  }
+
+  // Percent Of Total lines are computed from already-prorated totals
+  const prorateMultiplier =
+    method === "Percent Of Total" || !productTerm ? 1 : round(term / productTerm, 4);
+  const unitLabel = unit === "Day" ? "days" : "months";
+
+  return {
+    term,
+    productTerm,
+    unit,
+    source,
+    prorateMultiplier,
+    note: `Prorated × ${prorateMultiplier} (${round(term, 2)} of ${productTerm} ${unitLabel})`,
+  };
+}
+
+/**
+ * Length of the inclusive date range [startDate, endDate] in months (or
+ * days when the term unit is Day), using the given prorate precision:
+ *   Month        — partial months count as a whole month
+ *   Day          — every day counts as 12/365 of a month
+ *   Month + Day  — whole months, plus leftover days at 12/365 each
+ */
+export function termBetween(startDate, endDate, precision = "Month + Day", unit = "Month") {
+  const start = parseDate(startDate);
+  const end = parseDate(endDate);
+  if (start === null || end === null || end < start) return null;
+
+  const days = Math.round((end - start) / DAY_MS) + 1;
+  if (unit === "Day") return days;
+  if (precision === "Day") return round(days / (365 / 12), 4);
+
+  let months = 0;
+  while (addMonths(start, months + 1) - DAY_MS <= end) months++;
+  const leftoverDays = Math.round((end - addMonths(start, months)) / DAY_MS) + 1;
+
+  if (leftoverDays <= 0) return months;
+  if (precision === "Month") return months + 1;
+  return round(months + leftoverDays / (365 / 12), 4);
+}
+
+/**
+ * Inclusive end date for a term starting on startDate, as YYYY-MM-DD.
+ */
+export function endDateForTerm(startDate, term, unit = "Month") {
+  const start = parseDate(startDate);
+  if (start === null || !isSet(term)) return null;
+  const n = toNumber(term);
+  const end =
+    unit === "Day"
+      ? start + (Math.round(n) - 1) * DAY_MS
+      : addMonths(start, Math.floor(n)) + Math.round((n % 1) * (365 / 12)) * DAY_MS - DAY_MS;
+  return new Date(end).toISOString().slice(0, 10);
+}
+
+function annualize(total, subscription) {
+  if (!subscription.term) return 0;
+  const perYear = subscription.unit === "Day" ? 365 : 12;
+  return (total / subscription.term) * perYear;
+}
+
+// Dates are handled as UTC midnight timestamps so DST never shifts a day
+function parseDate(value) {
+  if (!value) return null;
+  const m = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(value));
+  if (!m) return null;
+  return Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+}
+
+// Calendar month arithmetic, clamping to the last day of shorter months
+function addMonths(timestamp, months) {
+  const d = new Date(timestamp);
+  const year = d.getUTCFullYear();
+  const month = d.getUTCMonth() + months;
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return Date.UTC(year, month, Math.min(d.getUTCDate(), lastDay));
+}
+
+// ── List Price by Pricing Method ───────────────────────────────────────────
+function resolveListPrice(line, quantity, context) {
+  const method = PRICING_METHODS.includes(line.pricingMethod) ? line.pricingMethod : "List";
+
+  // Bundled options are paid for by the parent bundle's price
+  if (line.bundled) {
+    return { method, price: 0, note: "Bundled — included in the parent bundle's price" };
+  }
+
+  if (method === "Cost") {
+    if (!isSet(line.unitCost)) {
+      return { method, price: toNumber(line.listPrice), note: "Cost pricing — no active SBQQ__Cost__c, using pricebook price" };
+    }
+    const cost = toNumber(line.unitCost);
+    if (isSet(line.markupAmount)) {
+      return { method, price: cost + toNumber(line.markupAmount), note: `Cost ${cost} + ${toNumber(line.markupAmount)} markup` };
+    }
+    const rate = toNumber(line.markupRate);
+    return { method, price: cost * (1 + rate / 100), note: `Cost ${cost} + ${rate}% markup` };
+  }
+
+  if (method === "Block") {
+    const block = findBlockPrice(line.blockPrices || [], quantity);
+    if (!block) {
+      return { method, price: 0, note: `Block pricing — no block covers qty ${quantity}` };
+    }
+    const overageUnits = block.overage ? quantity - (block.upperBound - 1) : 0;
+    const price = block.price + overageUnits * toNumber(block.overageRate);
+    return {
+      method,
+      price,
+      block,
+      note: overageUnits > 0
+        ? `Block ${formatTierRange(block)} + ${overageUnits} overage × ${block.overageRate}`
+        : `Block ${formatTierRange(block)} flat price`,
+    };
+  }
+
+  if (method === "Percent Of Total") {
+    const base = PERCENT_OF_TOTAL_BASES[line.percentOfTotalBase] ? line.percentOfTotalBase : "List";
+    const baseTotal = context.percentOfTotalBase?.[PERCENT_OF_TOTAL_BASES[base]] || 0;
+    if (!isSet(line.percentOfTotal)) {
+      return { method, price: 0, baseTotal, note: "Percent Of Total — no percent set on the line, priced at 0" };
+    }
+    const percent = toNumber(line.percentOfTotal);
+    return {
+      method,
+      price: (baseTotal * percent) / 100,
+      baseTotal,
+      note: `${percent}% of ${base.toLowerCase()} total (${baseTotal.toFixed(2)})`,
+    };
+  }
+
+  return { method, price: toNumber(line.listPrice), note: "From pricebook entry" };
+}
+
+/**
+ * Convert SBQQ__BlockPrice__c records into bands sorted by lower bound.
+ */
+export function normalizeBlockPrices(records) {
+  return records
+    .map((r) => ({
+      id: r.Id,
+      name: r.Name,
+      lowerBound: toNumber(r.SBQQ__LowerBound__c),
+      upperBound: isSet(r.SBQQ__UpperBound__c) ? toNumber(r.SBQQ__UpperBound__c) : null,
+      price: toNumber(r.SBQQ__Price__c),
+      overageRate: isSet(r.SBQQ__OverageRate__c) ? toNumber(r.SBQQ__OverageRate__c) : null,
+      productId: r.SBQQ__Product__c,
+      pricebookId: r.SBQQ__Pricebook__c || null,
+    }))
+    .sort((a, b) => a.lowerBound - b.lowerBound);
+}
+
+/**
+ * Find the block covering a quantity. Past the last bounded block, that
+ * block still applies when it carries an overage rate.
+ */
+export function findBlockPrice(blocks, quantity) {
+  const match = blocks.find(
+    (b) => quantity >= b.lowerBound && (b.upperBound === null || quantity < b.upperBound)
+  );
+  if (match) return match;
+
+  const last = blocks[blocks.length - 1];
+  if (last && last.upperBound !== null && quantity >= last.upperBound && last.overageRate !== null) {
+    return { ...last, overage: true };
+  }
+  return null;
+}
+
+// ── Discount Schedules ─────────────────────────────────────────────────────
+/**
+ * Convert an SBQQ__DiscountSchedule__c record (with its SBQQ__DiscountTiers__r
+ * subquery) into the shape the engine works with.
+ */
+export function normalizeDiscountSchedule(record, source = "product") {
+  const tiers = (record.SBQQ__DiscountTiers__r?.records || [])
+    .map((t) => ({
+      id: t.Id,
+      name: t.Name,
+      lowerBound: toNumber(t.SBQQ__LowerBound__c),
+      upperBound: isSet(t.SBQQ__UpperBound__c) ? toNumber(t.SBQQ__UpperBound__c) : null,
+      discount: isSet(t.SBQQ__Discount__c) ? toNumber(t.SBQQ__Discount__c) : null,
+      discountAmount: isSet(t.SBQQ__DiscountAmount__c) ? toNumber(t.SBQQ__DiscountAmount__c) : null,
+      price: isSet(t.SBQQ__Price__c) ? toNumber(t.SBQQ__Price__c) : null,
+    }))
+    .sort((a, b) => a.lowerBound - b.lowerBound);
+
+  return {
+    id: record.Id,
+    name: record.Name,
+    type: record.SBQQ__Type__c === "Slab" ? "Slab" : "Range",
+    discountUnit: record.SBQQ__DiscountUnit__c === "Amount" ? "Amount" : "Percent",
+    usePriceForAmount: !!record.SBQQ__UsePriceForAmount__c,
+    crossProducts: !!record.SBQQ__CrossProducts__c,
+    productId: record.SBQQ__Product__c || null,
+    pricebookId: record.SBQQ__Pricebook__c || null,
+    source,
+    tiers,
+  };
+}
+
+/**
+ * Find the tier a quantity lands in. Lower bounds are inclusive and upper
+ * bounds exclusive, matching how CPQ reads SBQQ__DiscountTier__c ranges.
+ */
+export function findDiscountTier(schedule, quantity) {
+  return (
+    schedule.tiers.find(
+      (t) => quantity >= t.lowerBound && (t.upperBound === null || quantity < t.upperBound)
+    ) || null
+  );
+}
+
+/**
+ * Apply a discount schedule to a unit price.
+ *
+ * Range schedules discount every unit at the tier the total quantity lands
+ * in. Slab schedules discount each unit at the tier that unit falls in, so
+ * the resulting unit price is a blend across tiers.
+ */
+export function applyDiscountSchedule(price, schedule, quantity) {
+  if (schedule.type === "Slab") {
+    const slabs = schedule.tiers
+      .map((tier) => ({ tier, units: slabUnits(tier, quantity) }))
+      .filter((s) => s.units > 0);
+    const discountedUnits = slabs.reduce((sum, s) => sum + s.units, 0);
+    const undiscountedUnits = Math.max(0, quantity - discountedUnits);
+    const total =
+      slabs.reduce((sum, s) => sum + s.units * tierUnitPrice(price, schedule, s.tier), 0) +
+      undiscountedUnits * price;
+    const blended = quantity > 0 ? total / quantity : price;
+    return {
+      schedule,
+      quantity,
+      tiers: slabs,
+      price: blended,
+      note: slabs.length
+        ? `${schedule.name} (slab): ${slabs.map((s) => `${s.units} × ${describeTier(schedule, s.tier)}`).join(", ")}`
+        : `${schedule.name}: no tier for qty ${quantity}`,
+    };
+  }
+
+  const tier = findDiscountTier(schedule, quantity);
+  return {
+    schedule,
+    quantity,
+    tiers: tier ? [{ tier, units: quantity }] : [],
+    price: tier ? tierUnitPrice(price, schedule, tier) : price,
+    note: tier
+      ? `${schedule.name}: ${describeTier(schedule, tier)}`
+      : `${schedule.name}: no tier for qty ${quantity}`,
+  };
+}
+
+export function formatTierRange(tier) {
+  if (tier.upperBound === null) return `${tier.lowerBound}+`;
+  return `${tier.lowerBound}–${tier.upperBound - 1}`;
+}
+
+export function describeTier(schedule, tier) {
+  return `Tier ${formatTierRange(tier)} · ${describeTierDiscount(schedule, tier)}`;
+}
+
+function describeTierDiscount(schedule, tier) {
+  if (schedule.discountUnit === "Amount") {
+    if (schedule.usePriceForAmount && tier.price !== null) return `price ${tier.price}`;
+    return `${tier.discountAmount ?? 0} off`;
+  }
+  return `${tier.discount ?? 0}%`;
+}
+
+function tierUnitPrice(price, schedule, tier) {
+  if (schedule.discountUnit === "Amount") {
+    if (schedule.usePriceForAmount && tier.price !== null) return tier.price;
+    return price - toNumber(tier.discountAmount);
+  }
+  return applyPercent(price, tier.discount);
+}
+
+// Units (1-based) that fall inside [lowerBound, upperBound)
+function slabUnits(tier, quantity) {
+  const upper = tier.upperBound === null ? Infinity : tier.upperBound - 1;
+  return Math.max(0, Math.min(quantity, upper) - (tier.lowerBound - 1));
+}
+
+// Cross-product schedules pick their tier from the combined quantity of
+// every line that shares the schedule.
+function aggregateScheduleQuantities(lines) {
+  const totals = new Map();
+  lines.forEach((line) => {
+    const schedule = line.discountSchedule;
+    if (!schedule || !schedule.crossProducts) return;
+    totals.set(schedule.id, (totals.get(schedule.id) || 0) + toNumber(line.quantity, 1));
+  });
+  return totals;
+}
+
+// ── Helpers ────────────────────────────────────────────────────────────────
+function resolveAdditionalDiscount(line, quote) {
+  if (isSet(line.additionalDiscountAmount)) {
+    return { percent: null, amount: toNumber(line.additionalDiscountAmount), source: "line" };
+  }
+  if (isSet(line.discount)) {
+    return { percent: toNumber(line.discount), amount: null, source: "line" };
+  }
+  if (isSet(quote.additionalDiscount)) {
+    return { percent: toNumber(quote.additionalDiscount), amount: null, source: "quote" };
+  }
+  return { percent: 0, amount: null, source: null };
+}
+
+function describeAdditional(additional) {
+  if (additional.amount !== null) return `Additional discount ${additional.amount} per unit`;
+  if (!additional.percent) return "No additional discount";
+  const from = additional.source === "quote" ? " (quote default)" : "";
+  return `Additional discount ${additional.percent}%${from}`;
+}
+
+function pickDiscount(lineValue, quoteValue) {
+  if (isSet(lineValue)) return { value: toNumber(lineValue), source: "line" };
+  if (isSet(quoteValue)) return { value: toNumber(quoteValue), source: "quote" };
+  return { value: 0, source: null };
+}
+
+function describePercent(label, discount) {
+  if (!discount.value) return `No ${label.toLowerCase()}`;
+  const from = discount.source === "quote" ? " (quote default)" : "";
+  return `${label} ${discount.value}%${from}`;
+}
+
+function buildStage(key, unitPrice, previous, note) {
+  const def = WATERFALL_STAGES.find((s) => s.key === key);
+  return {
+    key,
+    label: def.label,
+    field: def.field,
+    unitPrice,
+    change: previous === null ? 0 : unitPrice - previous,
+    note,
+  };
+}
+
+function applyPercent(price, percent) {
+  return price * (1 - toNumber(percent) / 100);
+}
+
+function round(value, places) {
+  const f = 10 ** places;
+  return Math.round(value * f) / f;
+}
+
+function isSet(value) {
+  return value !== null && value !== undefined && value !== "";
+}
+
+function toNumber(value, fallback = 0) {
+  const n = typeof value === "number" ? value : parseFloat(value);
+  return isNaN(n) ? fallback : n;
+}
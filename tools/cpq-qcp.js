@@ -0,0 +1,121 @@
+/**
+ * Salesforce CPQ Toolkit — Quote Calculator Plugin Helpers
+ *
+ * Helpers for inspecting SBQQ__CustomScript__c records (the Quote
+ * Calculator Plugin, or QCP) and for comparing the quote models a QCP
+ * hook receives before and after it runs.
+ *
+ * The models follow the shape the CPQ calculator passes to a QCP:
+ *   QuoteModel     { key, record, lineItems }
+ *   QuoteLineModel { key, parentItemKey, record }
+ * where `record` is the SBQQ__Quote__c / SBQQ__QuoteLine__c field map.
+ * parentItem/lineItems links are rebuilt wherever the script runs, so the
+ * models stay plain JSON here.
+ *
+ * Pure computation — no API calls, no DOM access.
+ *
+ * Reference: https://developer.salesforce.com/docs/atlas.en-us.cpq_dev_plugins.meta/cpq_dev_plugins/cpq_dev_jsqcp_parent.htm
+ */
+
+// Calculator hooks the runner can execute, in the order CPQ calls them
+export const QCP_HOOKS = ["onInit", "onBeforeCalculate", "onAfterCalculate"];
+
+/**
+ * Field list from SBQQ__QuoteFields__c / SBQQ__QuoteLineFields__c — API
+ * names separated by commas or new lines.
+ */
+export function parseFieldList(value) {
+  return [...new Set(String(value || "").split(/[\s,]+/).map((f) => f.trim()).filter(Boolean))];
+}
+
+/**
+ * Field API names the script reads or writes on a record, found by
+ * `record.Field__c` and `record["Field__c"]` access. A best-effort scan:
+ * fields reached through variables aren't found.
+ */
+export function referencedFields(code) {
+  const fields = new Set();
+  const patterns = [/\brecord\s*\.\s*([A-Za-z]\w*__[cr])\b/g, /\brecord\s*\[\s*["'`]([A-Za-z]\w*)["'`]\s*\]/g];
+  patterns.forEach((pattern) => {
+    for (const match of String(code || "").matchAll(pattern)) fields.add(match[1]);
+  });
+  return [...fields].sort();
+}
+
+/**
+ * Declared vs referenced fields for a script. Fields the code uses but
+ * doesn't declare aren't loaded by the calculator unless something else
+ * (a price rule, a field set) happens to need them.
+ */
+export function fieldReport(script) {
+  const declared = new Set([
+    ...parseFieldList(script.SBQQ__QuoteFields__c),
+    ...parseFieldList(script.SBQQ__QuoteLineFields__c),
+  ]);
+  const referenced = referencedFields(script.SBQQ__Code__c);
+  const describe = (fields) =>
+    fields.map((field) => ({ field, referenced: referenced.includes(field) }));
+
+  return {
+    quoteFields: describe(parseFieldList(script.SBQQ__QuoteFields__c)),
+    lineFields: describe(parseFieldList(script.SBQQ__QuoteLineFields__c)),
+    undeclared: referenced.filter((field) => field.endsWith("__c") && !declared.has(field)),
+  };
+}
+
+/**
+ * Build the plain QCP models from a quote record and its line records.
+ * Lines point at their parent through SBQQ__RequiredBy__c, matched on the
+ * parent line's Id.
+ */
+export function toQcpModel(quote, lines) {
+  const keyById = new Map(lines.map((record, i) => [record.Id, i + 1]));
+  return {
+    key: 0,
+    record: { ...quote },
+    lineItems: lines.map((record, i) => ({
+      key: i + 1,
+      parentItemKey: keyById.get(record.SBQQ__RequiredBy__c) ?? null,
+      record: { ...record },
+    })),
+  };
+}
+
+/**
+ * Field changes between two model snapshots:
+ *   [{ target: "quote"|"line", key, field, from, to }]
+ * Lines are matched by key; added or removed lines are reported with
+ * field null.
+ */
+export function diffQcpModels(before, after) {
+  const changes = diffRecords(before.record, after.record).map((c) => ({ target: "quote", key: null, ...c }));
+
+  const beforeLines = new Map(before.lineItems.map((l) => [l.key, l]));
+  const afterLines = new Map(after.lineItems.map((l) => [l.key, l]));
+
+  after.lineItems.forEach((line) => {
+    const previous = beforeLines.get(line.key);
+    if (!previous) {
+      changes.push({ target: "line", key: line.key, field: null, from: null, to: "added" });
+      return;
+    }
+    diffRecords(previous.record, line.record).forEach((c) => changes.push({ target: "line", key: line.key, ...c }));
+  });
+  before.lineItems.forEach((line) => {
+    if (!afterLines.has(line.key)) changes.push({ target: "line", key: line.key, field: null, from: "removed", to: null });
+  });
+
+  return changes;
+}
+
+function diffRecords(before = {}, after = {}) {
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+  return [...fields]
+    .filter((field) => !sameValue(before[field], after[field]))
+    .map((field) => ({ field, from: before[field] ?? null, to: after[field] ?? null }));
+}
+
+function sameValue(a, b) {
+  if ((a ?? null) === (b ?? null)) return true;
+  return JSON.stringify(a) === JSON.stringify(b);
+}
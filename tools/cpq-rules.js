@@ -0,0 +1,987 @@
+/**
+ * Salesforce CPQ Toolkit — Rules Engine
+ *
+ * Evaluates CPQ price rules locally against a simulated quote, the way the
+ * CPQ calculator would: conditions are tested against the quote and its
+ * lines, then actions are applied in evaluation-event and evaluation-order
+ * sequence, re-pricing the quote after every rule that changes something.
+ *
+ * The engine never touches the DOM or the API. It talks to the simulated
+ * quote through a small interface supplied by the caller:
+ *
+ *   {
+ *     lines,                            // simulated quote lines
+ *     quoteRecord(),                    // SBQQ__Quote__c-shaped record
+ *     lineRecord(line),                 // SBQQ__QuoteLine__c-shaped record
+ *     setQuoteField(field, value),      // → previous value
+ *     setLineField(line, field, value), // → previous value
+ *     reprice(),
+ *   }
+ *
+ * Product rules are evaluated the same way, once against the whole quote,
+ * to show which Validation/Alert rules would block or warn and what the
+ * Selection/Filter rules' product actions would do.
+ *
+ * Approval rules (Advanced Approvals or legacy CPQ approvals) are tested
+ * against the quote record, to show which approval steps and chains the
+ * simulated deal would need.
+ *
+ * Anything the engine cannot evaluate faithfully (formula functions,
+ * configurator-only objects, composite summary variables…) is reported as
+ * unsupported instead of being guessed at.
+ *
+ * Reference: https://help.salesforce.com/s/articleView?id=sales.cpq_price_rules.htm&type=5
+ */
+
+export const PRICE_RULE_EVENTS = ["On Initialization", "Before Calculate", "On Calculate", "After Calculate"];
+
+const SUPPORTED_OPERATORS = [
+  "equals",
+  "not equals",
+  "less than",
+  "less or equals",
+  "greater than",
+  "greater or equals",
+  "starts with",
+  "ends with",
+  "contains",
+];
+
+export class UnsupportedRuleError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "UnsupportedRuleError";
+  }
+}
+
+// ── Values & Operators ─────────────────────────────────────────────────────
+/**
+ * Read a field from a record, case-insensitively, following relationship
+ * paths such as "SBQQ__Product__r.Family".
+ */
+export function getField(record, path) {
+  if (!record || !path) return null;
+  return String(path)
+    .split(".")
+    .reduce((obj, part) => {
+      if (obj === null || obj === undefined || typeof obj !== "object") return null;
+      if (part in obj) return obj[part];
+      const key = Object.keys(obj).find((k) => k.toLowerCase() === part.toLowerCase());
+      return key === undefined ? null : obj[key];
+    }, record);
+}
+
+/**
+ * Compare two values with a CPQ condition operator. Numbers compare
+ * numerically, booleans as booleans, everything else as case-insensitive
+ * text. A blank filter value matches a blank field.
+ */
+export function compareValues(actual, operator, expected) {
+  const op = String(operator || "equals").toLowerCase();
+  if (!SUPPORTED_OPERATORS.includes(op)) {
+    throw new UnsupportedRuleError(`Operator "${operator}" is not supported`);
+  }
+
+  const [a, e] = coercePair(actual, expected);
+
+  switch (op) {
+    case "equals":
+      return a === e;
+    case "not equals":
+      return a !== e;
+    case "less than":
+      return a !== null && e !== null && a < e;
+    case "less or equals":
+      return a !== null && e !== null && a <= e;
+    case "greater than":
+      return a !== null && e !== null && a > e;
+    case "greater or equals":
+      return a !== null && e !== null && a >= e;
+    case "starts with":
+      return a !== null && e !== null && String(a).startsWith(String(e));
+    case "ends with":
+      return a !== null && e !== null && String(a).endsWith(String(e));
+    case "contains":
+      return a !== null && e !== null && String(a).includes(String(e));
+  }
+  return false;
+}
+
+function coercePair(actual, expected) {
+  const a = blankToNull(actual);
+  const e = blankToNull(expected);
+  if (a === null || e === null) return [a, e];
+
+  if (typeof a === "boolean" || typeof e === "boolean") {
+    return [toBoolean(a), toBoolean(e)];
+  }
+  if (isNumeric(a) && isNumeric(e)) {
+    return [Number(a), Number(e)];
+  }
+  return [String(a).toLowerCase(), String(e).toLowerCase()];
+}
+
+/**
+ * Turn a literal from a rule record (always stored as text) into a number
+ * or boolean when it clearly is one.
+ */
+export function parseLiteral(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value !== "string") return value;
+  const trimmed = value.trim();
+  if (trimmed === "") return null;
+  if (/^(true|false)$/i.test(trimmed)) return trimmed.toLowerCase() === "true";
+  if (isNumeric(trimmed)) return Number(trimmed);
+  return value;
+}
+
+function blankToNull(value) {
+  return value === undefined || value === "" ? null : value;
+}
+
+function toBoolean(value) {
+  if (typeof value === "boolean") return value;
+  return String(value).toLowerCase() === "true";
+}
+
+function isNumeric(value) {
+  if (typeof value === "number") return !isNaN(value);
+  return typeof value === "string" && /^-?\d+(\.\d+)?$/.test(value.trim());
+}
+
+// ── Condition Logic ────────────────────────────────────────────────────────
+/**
+ * Combine condition results (index → boolean) using the rule's
+ * Conditions Met setting: All, Any, or Custom with an advanced condition
+ * such as "1 AND (2 OR NOT 3)". A rule with no conditions always passes.
+ */
+export function evaluateConditionLogic(conditionsMet, advancedCondition, results) {
+  const values = [...results.values()];
+  if (values.length === 0) return true;
+
+  if (conditionsMet === "Any") return values.some(Boolean);
+  if (conditionsMet === "Custom") {
+    if (!advancedCondition) {
+      throw new UnsupportedRuleError("Custom condition logic with no advanced condition");
+    }
+    return parseConditionLogic(advancedCondition)(results);
+  }
+  return values.every(Boolean);
+}
+
+/**
+ * Compile an advanced condition string into a function of the results map.
+ */
+export function parseConditionLogic(expression) {
+  const tokens = String(expression).match(/\(|\)|\d+|[A-Za-z]+|\S/g) || [];
+  let pos = 0;
+
+  const peek = () => (tokens[pos] || "").toUpperCase();
+  const fail = () => {
+    throw new UnsupportedRuleError(`Could not parse advanced condition "${expression}"`);
+  };
+
+  function parseOr() {
+    let node = parseAnd();
+    while (peek() === "OR") {
+      pos++;
+      const left = node;
+      const right = parseAnd();
+      node = (r) => left(r) || right(r);
+    }
+    return node;
+  }
+
+  function parseAnd() {
+    let node = parseNot();
+    while (peek() === "AND") {
+      pos++;
+      const left = node;
+      const right = parseNot();
+      node = (r) => left(r) && right(r);
+    }
+    return node;
+  }
+
+  function parseNot() {
+    if (peek() === "NOT") {
+      pos++;
+      const inner = parseNot();
+      return (r) => !inner(r);
+    }
+    if (peek() === "(") {
+      pos++;
+      const inner = parseOr();
+      if (peek() !== ")") fail();
+      pos++;
+      return inner;
+    }
+    if (/^\d+$/.test(peek())) {
+      const index = Number(tokens[pos++]);
+      return (r) => {
+        if (!r.has(index)) {
+          throw new UnsupportedRuleError(`Advanced condition references missing condition ${index}`);
+        }
+        return r.get(index);
+      };
+    }
+    return fail();
+  }
+
+  const fn = parseOr();
+  if (pos !== tokens.length) fail();
+  return fn;
+}
+
+// ── Formulas ───────────────────────────────────────────────────────────────
+/**
+ * Evaluate a simple CPQ formula: number and text literals, field
+ * references (including SBQQ__Quote__r.* paths), + - * / and parentheses.
+ * Formula functions are reported as unsupported rather than guessed at.
+ */
+export function evaluateFormula(expression, record) {
+  const tokens = String(expression).match(/\d+(?:\.\d+)?|'[^']*'|"[^"]*"|[A-Za-z_][\w.]*|[-+*/()&]|\S/g) || [];
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const fail = (msg) => {
+    throw new UnsupportedRuleError(msg || `Formula "${expression}" is not supported`);
+  };
+
+  function parseConcat() {
+    let value = parseSum();
+    while (peek() === "&") {
+      pos++;
+      value = `${value ?? ""}${parseSum() ?? ""}`;
+    }
+    return value;
+  }
+
+  function parseSum() {
+    let value = parseProduct();
+    while (peek() === "+" || peek() === "-") {
+      const op = tokens[pos++];
+      const right = parseProduct();
+      value = op === "+" ? num(value) + num(right) : num(value) - num(right);
+    }
+    return value;
+  }
+
+  function parseProduct() {
+    let value = parseUnary();
+    while (peek() === "*" || peek() === "/") {
+      const op = tokens[pos++];
+      const right = parseUnary();
+      if (op === "/" && num(right) === 0) fail(`Formula "${expression}" divides by zero`);
+      value = op === "*" ? num(value) * num(right) : num(value) / num(right);
+    }
+    return value;
+  }
+
+  function parseUnary() {
+    if (peek() === "-") {
+      pos++;
+      return -num(parseUnary());
+    }
+    if (peek() === "+") {
+      pos++;
+      return num(parseUnary());
+    }
+    return parseAtom();
+  }
+
+  function parseAtom() {
+    const token = tokens[pos++];
+    if (token === undefined) fail();
+    if (token === "(") {
+      const value = parseConcat();
+      if (tokens[pos++] !== ")") fail();
+      return value;
+    }
+    if (/^\d/.test(token)) return Number(token);
+    if (/^['"]/.test(token)) return token.slice(1, -1);
+    if (/^[A-Za-z_]/.test(token)) {
+      if (peek() === "(") fail(`Formula function ${token.toUpperCase()}() is not supported`);
+      const upper = token.toUpperCase();
+      if (upper === "TRUE") return true;
+      if (upper === "FALSE") return false;
+      if (upper === "NULL") return null;
+      return getField(record, token);
+    }
+    return fail();
+  }
+
+  const value = parseConcat();
+  if (pos !== tokens.length) fail();
+  return value;
+}
+
+function num(value) {
+  if (value === null || value === undefined || value === "") return 0; // blanks count as zero
+  const n = typeof value === "number" ? value : parseFloat(value);
+  if (isNaN(n)) throw new UnsupportedRuleError(`"${value}" is not a number`);
+  return n;
+}
+
+// ── Summary Variables ──────────────────────────────────────────────────────
+/**
+ * Aggregate an SBQQ__SummaryVariable__c over the simulated quote lines.
+ */
+export function evaluateSummaryVariable(variable, lineRecords) {
+  const target = variable.SBQQ__TargetObject__c || "Quote Line";
+  if (target !== "Quote Line") {
+    throw new UnsupportedRuleError(`Summary variable "${variable.Name}" targets ${target}`);
+  }
+  if (variable.SBQQ__CompositeOperator__c) {
+    throw new UnsupportedRuleError(`Summary variable "${variable.Name}" uses a composite operator`);
+  }
+
+  const filtered = variable.SBQQ__FilterField__c
+    ? lineRecords.filter((r) =>
+        compareValues(
+          getField(r, variable.SBQQ__FilterField__c),
+          variable.SBQQ__Operator__c,
+          parseLiteral(variable.SBQQ__FilterValue__c)
+        )
+      )
+    : lineRecords;
+
+  const fn = variable.SBQQ__AggregateFunction__c || "Sum";
+  if (fn === "Count") return filtered.length;
+
+  const values = filtered
+    .map((r) => getField(r, variable.SBQQ__AggregateField__c))
+    .filter((v) => v !== null && v !== undefined && v !== "")
+    .map(Number)
+    .filter((v) => !isNaN(v));
+
+  switch (fn) {
+    case "Sum":
+      return values.reduce((s, v) => s + v, 0);
+    case "Average":
+      return values.length ? values.reduce((s, v) => s + v, 0) / values.length : null;
+    case "Min":
+      return values.length ? Math.min(...values) : null;
+    case "Max":
+      return values.length ? Math.max(...values) : null;
+  }
+  throw new UnsupportedRuleError(`Aggregate function "${fn}" is not supported`);
+}
+
+// ── Price Rules ────────────────────────────────────────────────────────────
+/**
+ * Shape a price rule header plus its SBQQ__PriceCondition__c,
+ * SBQQ__PriceAction__c and SBQQ__LookupQuery__c children.
+ */
+export function normalizePriceRule(record, { conditions = [], actions = [], lookupQueries = [] } = {}) {
+  const events = (record.SBQQ__EvaluationEvent__c || "On Calculate")
+    .split(";")
+    .map((e) => e.trim())
+    .filter(Boolean);
+
+  return {
+    id: record.Id,
+    name: record.Name,
+    conditionsMet: record.SBQQ__ConditionsMet__c || "All",
+    advancedCondition: record.SBQQ__AdvancedCondition__c || null,
+    events,
+    order: record.SBQQ__EvaluationOrder__c ?? null,
+    targetObject: record.SBQQ__TargetObject__c || "Calculator",
+    lookupObject: record.SBQQ__LookupObject__c || null,
+    conditions: conditions
+      .filter((c) => c.SBQQ__Rule__c === record.Id)
+      .map((c) => ({
+        id: c.Id,
+        index: c.SBQQ__Index__c ?? null,
+        object: c.SBQQ__Object__c || (c.SBQQ__TestedVariable__c ? "Summary Variable" : "Quote"),
+        field: c.SBQQ__Field__c || null,
+        testedVariableId: c.SBQQ__TestedVariable__c || null,
+        testedFormula: c.SBQQ__TestedFormula__c || null,
+        operator: c.SBQQ__Operator__c || "equals",
+        filterType: c.SBQQ__FilterType__c || "Value",
+        value: c.SBQQ__Value__c ?? null,
+        filterVariableId: c.SBQQ__FilterVariable__c || null,
+        filterFormula: c.SBQQ__FilterFormula__c || null,
+      }))
+      .sort((a, b) => (a.index ?? 0) - (b.index ?? 0)),
+    actions: actions
+      .filter((a) => a.SBQQ__Rule__c === record.Id)
+      .map((a) => ({
+        id: a.Id,
+        order: a.SBQQ__Order__c ?? null,
+        targetObject: a.SBQQ__TargetObject__c || "Quote Line",
+        field: a.SBQQ__Field__c,
+        value: a.SBQQ__Value__c ?? null,
+        valueField: a.SBQQ__ValueField__c || null,
+        sourceVariableId: a.SBQQ__SourceVariable__c || null,
+        formula: a.SBQQ__Formula__c || null,
+        sourceLookupField: a.SBQQ__SourceLookupField__c || null,
+      }))
+      .sort((a, b) => (a.order ?? 0) - (b.order ?? 0)),
+    lookupQueries: lookupQueries
+      .filter((q) => q.SBQQ__PriceRule2__c === record.Id)
+      .map((q) => ({
+        id: q.Id,
+        lookupField: q.SBQQ__LookupField__c,
+        operator: q.SBQQ__Operator__c || "equals",
+        testedObject: q.SBQQ__TestedObject__c || "Quote Line",
+        testedField: q.SBQQ__TestedField__c || null,
+        matchType: q.SBQQ__MatchType__c || "Field Value",
+        testedValue: q.SBQQ__TestedValue__c ?? null,
+      })),
+  };
+}
+
+/**
+ * Run every calculator price rule against the simulation, one evaluation
+ * event at a time, in evaluation order. Returns one result per rule:
+ *
+ *   { rule, status: "fired" | "not-fired" | "skipped" | "unsupported",
+ *     events, conditions, changes, unsupported }
+ */
+export function runPriceRules(rules, sim, { summaryVariables = new Map(), lookupData = new Map() } = {}) {
+  const results = new Map(
+    rules.map((rule) => [
+      rule.id,
+      { rule, status: "not-fired", events: [], conditions: [], changes: [], unsupported: [] },
+    ])
+  );
+
+  rules
+    .filter((rule) => rule.targetObject === "Configurator")
+    .forEach((rule) => {
+      const result = results.get(rule.id);
+      result.status = "skipped";
+      result.unsupported.push("Configurator-only rule — evaluated in the bundle configurator, not the calculator");
+    });
+
+  const calculatorRules = rules
+    .filter((rule) => rule.targetObject !== "Configurator")
+    .sort((a, b) => (a.order ?? Infinity) - (b.order ?? Infinity));
+
+  PRICE_RULE_EVENTS.forEach((event) => {
+    calculatorRules
+      .filter((rule) => rule.events.includes(event))
+      .forEach((rule) => {
+        const result = results.get(rule.id);
+        if (result.status === "unsupported") return;
+
+        try {
+          const ctx = buildContext(sim, summaryVariables, lookupData);
+          const outcome = evaluatePriceRule(rule, ctx);
+          result.conditions = outcome.conditions;
+          result.events.push({ event, fired: outcome.fired });
+          if (!outcome.fired) return;
+
+          const changes = applyPriceActions(rule, outcome, ctx, sim, result);
+          changes.forEach((c) => result.changes.push({ ...c, event }));
+          if (changes.length > 0) sim.reprice();
+          // A rule whose every action was unsupported changed nothing we can show
+          result.status = changes.length === 0 && result.unsupported.length > 0 ? "unsupported" : "fired";
+        } catch (err) {
+          if (!(err instanceof UnsupportedRuleError)) throw err;
+          result.status = "unsupported";
+          result.unsupported.push(err.message);
+        }
+      });
+  });
+
+  return [...results.values()];
+}
+
+function buildContext(sim, summaryVariables, lookupData) {
+  const quoteRecord = sim.quoteRecord();
+  const lineRecords = sim.lines.map((line) => ({ ...sim.lineRecord(line), SBQQ__Quote__r: quoteRecord }));
+  const variableCache = new Map();
+
+  return {
+    quoteRecord,
+    lineRecords,
+    lookupData,
+    variable(id) {
+      if (!variableCache.has(id)) {
+        const variable = summaryVariables.get(id);
+        if (!variable) throw new UnsupportedRuleError(`Summary variable ${id} could not be loaded`);
+        variableCache.set(id, evaluateSummaryVariable(variable, lineRecords));
+      }
+      return variableCache.get(id);
+    },
+  };
+}
+
+function evaluatePriceRule(rule, ctx) {
+  const unsupportedObject = rule.conditions.find(
+    (c) => !["Quote", "Quote Line", "Summary Variable"].includes(c.object)
+  );
+  if (unsupportedObject) {
+    throw new UnsupportedRuleError(`Conditions on ${unsupportedObject.object} are configurator-only`);
+  }
+  if (rule.lookupObject && !ctx.lookupData.has(rule.lookupObject)) {
+    throw new UnsupportedRuleError(`Lookup object ${rule.lookupObject} could not be queried`);
+  }
+
+  const lineConditions = rule.conditions.filter((c) => c.object === "Quote Line");
+  const quoteConditions = rule.conditions.filter((c) => c.object !== "Quote Line");
+
+  const quoteResults = new Map();
+  const conditions = [];
+  quoteConditions.forEach((c) => {
+    const detail = testCondition(c, ctx.quoteRecord, ctx);
+    quoteResults.set(c.index, detail.passed);
+    conditions.push({ condition: c, ...detail });
+  });
+
+  const lineTargeted =
+    lineConditions.length > 0 || rule.lookupObject || rule.actions.some((a) => a.targetObject !== "Quote");
+
+  if (!lineTargeted) {
+    return {
+      fired: evaluateConditionLogic(rule.conditionsMet, rule.advancedCondition, quoteResults),
+      conditions,
+      lines: [],
+    };
+  }
+
+  const lineHits = lineConditions.map(() => 0);
+  const firedLines = [];
+
+  ctx.lineRecords.forEach((record, i) => {
+    const results = new Map(quoteResults);
+    lineConditions.forEach((c, j) => {
+      const { passed } = testCondition(c, record, ctx);
+      results.set(c.index, passed);
+      if (passed) lineHits[j]++;
+    });
+    if (!evaluateConditionLogic(rule.conditionsMet, rule.advancedCondition, results)) return;
+
+    let lookupRow = null;
+    if (rule.lookupObject) {
+      lookupRow = findLookupRow(rule, record, ctx);
+      if (!lookupRow) return;
+    }
+    firedLines.push({ index: i, record, lookupRow });
+  });
+
+  lineConditions.forEach((c, j) => {
+    conditions.push({
+      condition: c,
+      passed: lineHits[j] > 0,
+      summary: `met on ${lineHits[j]} of ${ctx.lineRecords.length} line${ctx.lineRecords.length !== 1 ? "s" : ""}`,
+    });
+  });
+
+  return { fired: firedLines.length > 0, conditions, lines: firedLines };
+}
+
+function testCondition(condition, record, ctx) {
+  let actual;
+  if (condition.testedVariableId) {
+    actual = ctx.variable(condition.testedVariableId);
+  } else if (condition.testedFormula) {
+    actual = evaluateFormula(condition.testedFormula, record);
+  } else {
+    actual = getField(record, condition.field);
+  }
+
+  let expected;
+  if (condition.filterType === "Variable") {
+    expected = ctx.variable(condition.filterVariableId);
+  } else if (condition.filterType === "Formula") {
+    expected = evaluateFormula(condition.filterFormula, record);
+  } else if (condition.filterType === "Field") {
+    expected = getField(record, condition.filterField);
+  } else {
+    expected = parseLiteral(condition.value);
+  }
+
+  return { passed: compareValues(actual, condition.operator, expected), actual, expected };
+}
+
+/**
+ * First lookup-object row where every lookup query matches the tested
+ * record (or static value), e.g. LowerBound__c "less or equals" Quantity.
+ */
+function findLookupRow(rule, lineRecord, ctx) {
+  const rows = ctx.lookupData.get(rule.lookupObject) || [];
+  return (
+    rows.find((row) =>
+      rule.lookupQueries.every((q) => {
+        const tested =
+          q.matchType === "Static Value"
+            ? parseLiteral(q.testedValue)
+            : getField(q.testedObject === "Quote" ? ctx.quoteRecord : lineRecord, q.testedField);
+        return compareValues(getField(row, q.lookupField), q.operator, tested);
+      })
+    ) || null
+  );
+}
+
+function applyPriceActions(rule, outcome, ctx, sim, result) {
+  const changes = [];
+  const sources = outcome.lines.length > 0 ? outcome.lines : [{ index: null, record: ctx.quoteRecord, lookupRow: null }];
+
+  rule.actions.forEach((action) => {
+    if (!action.field) return;
+    if (!["Quote", "Quote Line"].includes(action.targetObject)) {
+      result.unsupported.push(`Action on ${action.targetObject} (${action.field}) is configurator-only`);
+      return;
+    }
+
+    const targets = action.targetObject === "Quote" ? sources.slice(0, 1) : sources.filter((s) => s.index !== null);
+
+    targets.forEach((source) => {
+      let value;
+      try {
+        value = resolveActionValue(action, source, ctx);
+      } catch (err) {
+        if (!(err instanceof UnsupportedRuleError)) throw err;
+        if (!result.unsupported.includes(err.message)) result.unsupported.push(err.message);
+        return;
+      }
+
+      if (action.targetObject === "Quote") {
+        const from = sim.setQuoteField(action.field, value);
+        changes.push({ target: "Quote", lineIndex: null, field: action.field, from, to: value });
+      } else {
+        const line = sim.lines[source.index];
+        const from = sim.setLineField(line, action.field, value);
+        changes.push({ target: "Quote Line", lineIndex: source.index, lineKey: line.key, field: action.field, from, to: value });
+      }
+    });
+  });
+
+  return changes;
+}
+
+function resolveActionValue(action, source, ctx) {
+  if (action.sourceLookupField) {
+    if (!source.lookupRow) throw new UnsupportedRuleError(`No lookup row for ${action.sourceLookupField}`);
+    return parseLiteral(getField(source.lookupRow, action.sourceLookupField));
+  }
+  if (action.sourceVariableId) return ctx.variable(action.sourceVariableId);
+  if (action.formula) return evaluateFormula(action.formula, source.record);
+  if (action.valueField) return getField(source.record, action.valueField);
+  return parseLiteral(action.value);
+}
+
+// ── Product Rules ──────────────────────────────────────────────────────────
+// What a triggered product rule does to the quote, by SBQQ__Type__c
+export const PRODUCT_RULE_OUTCOMES = {
+  Validation: "block",
+  Alert: "warn",
+  Selection: "select",
+  Filter: "filter",
+};
+
+// SBQQ__ProductAction__c types grouped by their effect on the quote
+const PRODUCT_ACTION_EFFECTS = {
+  Add: "add",
+  "Enable & Add": "add",
+  "Show & Add": "add",
+  Remove: "remove",
+  "Disable & Remove": "remove",
+  "Hide & Remove": "remove",
+  Show: "configurator",
+  Hide: "configurator",
+  Enable: "configurator",
+  Disable: "configurator",
+  "Default Filter": "filter",
+  "Optional Filter": "filter",
+};
+
+/**
+ * Shape a product rule header plus its SBQQ__ErrorCondition__c,
+ * SBQQ__ProductAction__c and SBQQ__ConfigurationRule__c children. Error
+ * conditions are mapped onto the same shape as price conditions so both
+ * rule kinds share one evaluator.
+ */
+export function normalizeProductRule(record, { conditions = [], actions = [], configurationRules = [] } = {}) {
+  return {
+    id: record.Id,
+    name: record.Name,
+    type: record.SBQQ__Type__c || "Validation",
+    scope: record.SBQQ__Scope__c || "Quote",
+    conditionsMet: record.SBQQ__ConditionsMet__c || "All",
+    advancedCondition: record.SBQQ__AdvancedCondition__c || null,
+    message: record.SBQQ__ErrorMessage__c || "",
+    events: (record.SBQQ__EvaluationEvent__c || "Always")
+      .split(";")
+      .map((e) => e.trim())
+      .filter(Boolean),
+    order: record.SBQQ__EvaluationOrder__c ?? null,
+    productIds: configurationRules
+      .filter((c) => c.SBQQ__ProductRule__c === record.Id)
+      .map((c) => c.SBQQ__Product__c),
+    conditions: conditions
+      .filter((c) => c.SBQQ__Rule__c === record.Id)
+      .map((c) => ({
+        id: c.Id,
+        index: c.SBQQ__Index__c ?? null,
+        object: c.SBQQ__TestedObject__c || (c.SBQQ__TestedVariable__c ? "Summary Variable" : "Quote"),
+        field: c.SBQQ__TestedField__c || null,
+        testedVariableId: c.SBQQ__TestedVariable__c || null,
+        testedFormula: null,
+        operator: c.SBQQ__Operator__c || "equals",
+        filterType: c.SBQQ__FilterType__c || "Value",
+        value: c.SBQQ__FilterValue__c ?? null,
+        filterVariableId: c.SBQQ__FilterVariable__c || null,
+        filterFormula: null,
+      }))
+      .sort((a, b) => (a.index ?? 0) - (b.index ?? 0)),
+    actions: actions
+      .filter((a) => a.SBQQ__Rule__c === record.Id)
+      .map((a) => ({
+        id: a.Id,
+        type: a.SBQQ__Type__c,
+        productId: a.SBQQ__Product__c || null,
+        productName: a.SBQQ__Product__r?.Name || null,
+        required: !!a.SBQQ__Required__c,
+        filterField: a.SBQQ__FilterField__c || null,
+        operator: a.SBQQ__Operator__c || null,
+        filterValue: a.SBQQ__FilterValue__c ?? null,
+        valueField: a.SBQQ__ValueField__c || null,
+      })),
+  };
+}
+
+/**
+ * Evaluate product rules against the simulated quote. A Quote Line
+ * condition is met when any line matches it. Product-scoped rules only
+ * apply when one of their configured products is on the quote. Returns one
+ * result per rule:
+ *
+ *   { rule, status: "triggered" | "not-triggered" | "skipped" | "unsupported",
+ *     outcome, conditions, triggeredBy, actions, unsupported }
+ */
+export function evaluateProductRules(rules, sim, { summaryVariables = new Map() } = {}) {
+  const ctx = buildContext(sim, summaryVariables, new Map());
+  const quoteProductIds = new Set(sim.lines.map((line) => line.productId));
+
+  return [...rules]
+    .sort((a, b) => (a.order ?? Infinity) - (b.order ?? Infinity))
+    .map((rule) => {
+      const result = {
+        rule,
+        status: "not-triggered",
+        outcome: PRODUCT_RULE_OUTCOMES[rule.type] || null,
+        conditions: [],
+        triggeredBy: [],
+        actions: [],
+        unsupported: [],
+      };
+
+      if (rule.scope === "Product" && !rule.productIds.some((id) => quoteProductIds.has(id))) {
+        result.status = "skipped";
+        result.unsupported.push("Product-scoped rule — none of its configured products are on the quote");
+        return result;
+      }
+
+      try {
+        const outcome = evaluateRecordConditions(rule, ctx);
+        result.conditions = outcome.conditions;
+        if (!outcome.fired) return result;
+
+        result.status = "triggered";
+        result.triggeredBy = outcome.matchedLines;
+        result.actions = rule.actions.map((action) => describeProductAction(action, quoteProductIds));
+      } catch (err) {
+        if (!(err instanceof UnsupportedRuleError)) throw err;
+        result.status = "unsupported";
+        result.unsupported.push(err.message);
+      }
+      return result;
+    });
+}
+
+/**
+ * Test a rule's conditions once against the whole quote: quote-level
+ * conditions against the quote record, Quote Line conditions pass when
+ * any line matches. Also reports which lines matched a line condition.
+ */
+function evaluateRecordConditions(rule, ctx) {
+  const unsupportedObject = rule.conditions.find(
+    (c) => !["Quote", "Quote Line", "Summary Variable"].includes(c.object)
+  );
+  if (unsupportedObject) {
+    throw new UnsupportedRuleError(`Conditions on ${unsupportedObject.object} are configurator-only`);
+  }
+
+  const results = new Map();
+  const matched = new Set();
+  const conditions = rule.conditions.map((c) => {
+    if (c.object !== "Quote Line") {
+      const detail = testCondition(c, ctx.quoteRecord, ctx);
+      results.set(c.index, detail.passed);
+      return { condition: c, ...detail };
+    }
+
+    const hits = [];
+    ctx.lineRecords.forEach((record, i) => {
+      if (testCondition(c, record, ctx).passed) hits.push(i);
+    });
+    hits.forEach((i) => matched.add(i));
+    results.set(c.index, hits.length > 0);
+    return {
+      condition: c,
+      passed: hits.length > 0,
+      matchedLines: hits,
+      summary: `met on ${hits.length} of ${ctx.lineRecords.length} line${ctx.lineRecords.length !== 1 ? "s" : ""}`,
+    };
+  });
+
+  return {
+    fired: evaluateConditionLogic(rule.conditionsMet, rule.advancedCondition, results),
+    conditions,
+    matchedLines: [...matched].sort((a, b) => a - b),
+  };
+}
+
+function describeProductAction(action, quoteProductIds) {
+  const effect = PRODUCT_ACTION_EFFECTS[action.type] || "unknown";
+  const onQuote = action.productId ? quoteProductIds.has(action.productId) : false;
+  const product = action.productName || action.productId || "product";
+
+  let note;
+  switch (effect) {
+    case "add":
+      note = onQuote ? `${product} is already on the quote` : `Would add ${product}${action.required ? " (required)" : ""}`;
+      break;
+    case "remove":
+      note = onQuote ? `Would remove ${product}` : `${product} is not on the quote — no effect`;
+      break;
+    case "configurator":
+      note = `${action.type} ${product} in the bundle configurator`;
+      break;
+    case "filter": {
+      const value = action.valueField ? `the ${action.valueField} field` : `"${action.filterValue ?? ""}"`;
+      note = `${action.type}: ${action.filterField || "?"} ${action.operator || "equals"} ${value}`;
+      break;
+    }
+    default:
+      note = `Action type "${action.type}" is not simulated`;
+  }
+
+  return { ...action, effect, onQuote, note };
+}
+
+// ── Approval Rules ─────────────────────────────────────────────────────────
+/**
+ * Shape an approval rule and its conditions. Advanced Approvals
+ * (sbaa__ApprovalRule__c) and legacy CPQ approvals (SBQQ__ApprovalRule__c)
+ * share field names apart from the namespace prefix.
+ */
+export function normalizeApprovalRule(record, { conditions = [], namespace = "sbaa__" } = {}) {
+  const f = (obj, name) => obj[`${namespace}${name}`];
+
+  return {
+    id: record.Id,
+    name: record.Name,
+    source: namespace === "sbaa__" ? "Advanced Approvals" : "CPQ",
+    targetObject: f(record, "TargetObject__c") || "SBQQ__Quote__c",
+    conditionsMet: f(record, "ConditionsMet__c") || "All",
+    advancedCondition: f(record, "AdvancedCondition__c") || null,
+    step: f(record, "ApprovalStep__c") ?? null,
+    chainId: f(record, "ApprovalChain__c") || null,
+    chainName: f(record, "ApprovalChain__r")?.Name || null,
+    approverName: f(record, "Approver__r")?.Name || null,
+    approverField: f(record, "ApproverField__c") || null,
+    conditions: conditions
+      .filter((c) => f(c, "ApprovalRule__c") === record.Id)
+      .map((c) => ({
+        id: c.Id,
+        index: f(c, "Index__c") ?? null,
+        object: "Quote",
+        field: f(c, "TestedField__c") || null,
+        testedVariableId: f(c, "TestedVariable__c") || null,
+        testedFormula: null,
+        operator: f(c, "Operator__c") || "equals",
+        filterType: f(c, "FilterType__c") || "Value",
+        value: f(c, "FilterValue__c") ?? null,
+        filterField: f(c, "FilterField__c") || null,
+        filterVariableId: f(c, "FilterVariable__c") || null,
+        filterFormula: null,
+      }))
+      .sort((a, b) => (a.index ?? 0) - (b.index ?? 0)),
+  };
+}
+
+/**
+ * Evaluate approval rules against the simulated quote. Conditions test
+ * quote fields; a tested field the simulated quote doesn't have is tested
+ * against the lines instead and is met when any line matches. Returns one
+ * result per rule, sorted by approval step:
+ *
+ *   { rule, status: "triggered" | "not-triggered" | "skipped" | "unsupported",
+ *     conditions, triggeredBy, unsupported }
+ */
+export function evaluateApprovalRules(rules, sim) {
+  const ctx = buildContext(sim, new Map(), new Map());
+
+  return [...rules]
+    .sort((a, b) => (a.step ?? Infinity) - (b.step ?? Infinity))
+    .map((rule) => {
+      const result = { rule, status: "not-triggered", conditions: [], triggeredBy: [], unsupported: [] };
+
+      if (rule.targetObject !== "SBQQ__Quote__c") {
+        result.status = "skipped";
+        result.unsupported.push(`Targets ${rule.targetObject} — only quote approvals are simulated`);
+        return result;
+      }
+      const variable = rule.conditions.find((c) => c.testedVariableId || c.filterType === "Variable");
+      if (variable) {
+        result.status = "unsupported";
+        result.unsupported.push("Approval variables are not simulated");
+        return result;
+      }
+
+      const conditions = rule.conditions.map((c) =>
+        hasField(ctx.quoteRecord, c.field) ? c : { ...c, object: "Quote Line" }
+      );
+      const missing = conditions.filter(
+        (c) => c.object === "Quote Line" && !ctx.lineRecords.some((r) => hasField(r, c.field))
+      );
+      missing.forEach((c) =>
+        result.unsupported.push(`${c.field} is not on the simulated quote or its lines — tested as blank`)
+      );
+
+      try {
+        const outcome = evaluateRecordConditions({ ...rule, conditions }, ctx);
+        result.conditions = outcome.conditions;
+        if (outcome.fired) {
+          result.status = "triggered";
+          result.triggeredBy = outcome.matchedLines;
+        }
+      } catch (err) {
+        if (!(err instanceof UnsupportedRuleError)) throw err;
+        result.status = "unsupported";
+        result.unsupported.push(err.message);
+      }
+      return result;
+    });
+}
+
+/**
+ * Group triggered approval rules into ordered steps:
+ *   [{ step, rules: [rule, …] }]
+ */
+export function approvalSteps(results) {
+  const steps = new Map();
+  results
+    .filter((r) => r.status === "triggered")
+    .forEach((r) => {
+      const step = r.rule.step ?? null;
+      if (!steps.has(step)) steps.set(step, []);
+      steps.get(step).push(r.rule);
+    });
+  return [...steps]
+    .sort(([a], [b]) => (a ?? Infinity) - (b ?? Infinity))
+    .map(([step, rules]) => ({ step, rules }));
+}
+
+function hasField(record, path) {
+  if (!path) return false;
+  const [head, ...rest] = String(path).split(".");
+  const key = Object.keys(record).find((k) => k.toLowerCase() === head.toLowerCase());
+  if (key === undefined) return false;
+  return rest.length === 0 || (record[key] !== null && typeof record[key] === "object" && hasField(record[key], rest.join(".")));
+}
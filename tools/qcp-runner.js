@@ -0,0 +1,414 @@
+/**
+ * QCP Runner — Logic
+ *
+ * Lists the org's Quote Calculator Plugin scripts (SBQQ__CustomScript__c),
+ * shows their code and the quote/line fields they declare, and runs the
+ * onInit / onBeforeCalculate / onAfterCalculate hooks against a quote
+ * simulated in the SKU Quote Explorer.
+ *
+ * Scripts execute in a sandboxed iframe (qcp-sandbox.html) with a stubbed
+ * `conn`: they can't call the org, touch this page or read the session.
+ * Nothing is written back to Salesforce.
+ */
+
+import { getAPIFromUrl, onApiUsage, formatApiUsage } from "./sfdc-api.js";
+import { loadOrgData, orgStorageKey } from "./storage.js";
+import { QCP_HOOKS, fieldReport, diffQcpModels } from "./cpq-qcp.js";
+
+// ── State ──────────────────────────────────────────────────────────────────
+let api = null;
+let scripts = [];
+let activePluginName = null; // script named in the CPQ plugin setting
+let selectedScript = null;
+let simulatedQuote = null; // handed off by the SKU Quote Explorer: { name, savedAt, currency, model }
+let runResult = null; // { running } while a run is in flight, then the sandbox's result
+let activeTab = "code";
+let runSeq = 0;
+const RUN_TIMEOUT_MS = 30000;
+
+// ── Init ───────────────────────────────────────────────────────────────────
+function init() {
+  api = getAPIFromUrl();
+  if (!api) {
+    showScriptError("Could not determine Salesforce org URL. Reopen from the extension popup.");
+    return;
+  }
+
+  document.getElementById("orgChipLabel").textContent = new URL(api.orgOrigin).hostname;
+  const showUsage = (usage) => {
+    document.getElementById("apiUsageLabel").textContent = formatApiUsage(usage);
+  };
+  onApiUsage((origin, usage) => origin === api.orgOrigin && showUsage(usage));
+  api.apiUsage().then(showUsage);
+
+  document.querySelectorAll(".tab").forEach((tab) => {
+    tab.addEventListener("click", () => switchTab(tab.dataset.tab));
+  });
+
+  // Pick up a quote sent from the SKU Quote Explorer while this page is open
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === "local" && orgStorageKey(api.orgOrigin, "qcpQuote") in changes) loadSimulatedQuote();
+  });
+
+  loadScripts();
+  loadSimulatedQuote();
+}
+
+// ── Simulated Quote ────────────────────────────────────────────────────────
+async function loadSimulatedQuote() {
+  simulatedQuote = await loadOrgData(api.orgOrigin, "qcpQuote", null);
+  runResult = null;
+  if (selectedScript && activeTab !== "code") switchTab(activeTab);
+}
+
+// ── Load Scripts ───────────────────────────────────────────────────────────
+async function loadScripts() {
+  try {
+    const [records, plugin] = await Promise.all([
+      api.query(`
+        SELECT Id, Name, SBQQ__Code__c, SBQQ__QuoteFields__c, SBQQ__QuoteLineFields__c,
+               LastModifiedDate, LastModifiedBy.Name
+        FROM SBQQ__CustomScript__c
+        ORDER BY Name
+      `),
+      queryOrEmpty(`SELECT SBQQ__QuoteCalculatorPlugin2__c FROM SBQQ__Plugin__c LIMIT 1`),
+    ]);
+    scripts = records;
+    activePluginName = plugin[0]?.SBQQ__QuoteCalculatorPlugin2__c || null;
+  } catch (err) {
+    showScriptError(`Failed to load custom scripts: ${err.message}. Make sure Salesforce CPQ is installed and you're logged in.`);
+    return;
+  }
+
+  document.getElementById("scriptLoadingState").classList.add("hidden");
+  document.getElementById("scriptList").classList.remove("hidden");
+  renderScriptList();
+
+  // Open the active plugin straight away
+  const active = scripts.find((s) => s.Name === activePluginName) || (scripts.length === 1 ? scripts[0] : null);
+  if (active) selectScript(active);
+}
+
+function renderScriptList() {
+  const list = document.getElementById("scriptList");
+  if (scripts.length === 0) {
+    list.innerHTML = `<div class="empty-state" style="padding:32px 16px"><p>No custom scripts in this org.</p></div>`;
+    return;
+  }
+
+  list.innerHTML = scripts
+    .map((script) => {
+      const lines = (script.SBQQ__Code__c || "").split("\n").length;
+      return `
+        <div class="script-item${script === selectedScript ? " selected" : ""}" data-id="${escHtml(script.Id)}">
+          <div class="script-name">
+            ${escHtml(script.Name)}
+            ${script.Name === activePluginName ? `<span class="badge badge-success">Active QCP</span>` : ""}
+          </div>
+          <div class="script-meta">
+            ${script.SBQQ__Code__c ? `${lines} line${lines !== 1 ? "s" : ""}` : "No code"}
+            · modified ${escHtml(new Date(script.LastModifiedDate).toLocaleDateString())}${script.LastModifiedBy?.Name ? ` by ${escHtml(script.LastModifiedBy.Name)}` : ""}
+          </div>
+        </div>
+      `;
+    })
+    .join("");
+
+  list.querySelectorAll(".script-item").forEach((item) => {
+    item.addEventListener("click", () => selectScript(scripts.find((s) => s.Id === item.dataset.id)));
+  });
+}
+
+// ── Script Detail ──────────────────────────────────────────────────────────
+function selectScript(script) {
+  selectedScript = script;
+  runResult = null;
+  renderScriptList();
+
+  document.getElementById("scriptEmpty").classList.add("hidden");
+  document.getElementById("scriptDetail").classList.remove("hidden");
+  document.getElementById("scriptTitle").textContent = script.Name;
+  document.getElementById("scriptSubtitle").textContent =
+    script.Name === activePluginName ? "Active Quote Calculator Plugin" : "Not the active plugin";
+
+  switchTab(activeTab);
+}
+
+function switchTab(tab) {
+  activeTab = tab;
+  document.querySelectorAll(".tab").forEach((t) => {
+    t.classList.toggle("active", t.dataset.tab === tab);
+  });
+
+  const content = document.getElementById("tabContent");
+  switch (tab) {
+    case "code":
+      renderCodeTab(content);
+      break;
+    case "fields":
+      renderFieldsTab(content);
+      break;
+    case "run":
+      renderRunTab(content);
+      break;
+  }
+}
+
+function renderCodeTab(container) {
+  const code = selectedScript.SBQQ__Code__c || "";
+  if (!code.trim()) {
+    container.innerHTML = `<div class="empty-state"><p>This script has no code.</p></div>`;
+    return;
+  }
+  const lines = code
+    .split("\n")
+    .map((text, i) => `<div class="code-line"><span class="code-line-no">${i + 1}</span><span>${escHtml(text)}</span></div>`)
+    .join("");
+  container.innerHTML = `<pre class="code-view">${lines}</pre>`;
+}
+
+/**
+ * Declared quote and line fields, whether the code references them, and
+ * whether the simulated quote has a value for them.
+ */
+function renderFieldsTab(container) {
+  const report = fieldReport(selectedScript);
+  const model = simulatedQuote?.model;
+
+  const fieldRows = (fields, simulated) =>
+    fields.length === 0
+      ? `<div class="field-row" style="color:var(--color-text-muted)">None declared</div>`
+      : fields
+          .map(
+            ({ field, referenced }) => `
+              <div class="field-row">
+                <code>${escHtml(field)}</code>
+                ${referenced ? `<span class="badge badge-gold">Used in code</span>` : `<span class="badge badge-muted" title="Not found as record.${escHtml(field)} in the code">Not referenced</span>`}
+                ${simulated ? (simulated(field) ? `<span class="badge badge-success">Simulated</span>` : `<span class="badge badge-muted" title="The simulated quote has no value for this field">Not simulated</span>`) : ""}
+              </div>
+            `
+          )
+          .join("");
+
+  const quoteHas = model ? (field) => field in model.record : null;
+  const lineHas = model ? (field) => model.lineItems.some((l) => field in l.record) : null;
+
+  container.innerHTML = `
+    ${report.undeclared.length ? `
+      <div class="error-banner">
+        <span>⚠</span>
+        <span>
+          The code references fields it doesn't declare: ${report.undeclared.map((f) => `<code>${escHtml(f)}</code>`).join(", ")}.
+          The calculator only loads declared fields (plus those other pricing features need), so these may be blank when the plugin runs.
+        </span>
+      </div>
+    ` : ""}
+    <div class="rule-card">
+      <div class="rule-card-header">
+        <span class="rule-card-icon">📄</span>
+        <span class="rule-card-title">Quote Fields</span>
+        <span class="rule-card-count">SBQQ__QuoteFields__c</span>
+      </div>
+      ${fieldRows(report.quoteFields, quoteHas)}
+    </div>
+    <div class="rule-card">
+      <div class="rule-card-header">
+        <span class="rule-card-icon">📋</span>
+        <span class="rule-card-title">Quote Line Fields</span>
+        <span class="rule-card-count">SBQQ__QuoteLineFields__c</span>
+      </div>
+      ${fieldRows(report.lineFields, lineHas)}
+    </div>
+  `;
+}
+
+// ── Run ────────────────────────────────────────────────────────────────────
+function renderRunTab(container) {
+  if (!simulatedQuote) {
+    container.innerHTML = `
+      <div class="empty-state">
+        <div class="empty-icon">📋</div>
+        <h3 style="color:var(--color-text);font-size:16px">No Simulated Quote</h3>
+        <p style="max-width:380px">Build a quote preview in the <strong>SKU Quote Explorer</strong> and click <strong>Send to QCP Runner</strong>. It will show up here to run this script against.</p>
+      </div>
+    `;
+    return;
+  }
+
+  const lineCount = simulatedQuote.model.lineItems.length;
+  container.innerHTML = `
+    <div class="rule-card">
+      <div class="rule-card-header">
+        <span class="rule-card-icon">▶</span>
+        <span class="rule-card-title">Run against “${escHtml(simulatedQuote.name)}”</span>
+        <span class="rule-card-count">${lineCount} line${lineCount !== 1 ? "s" : ""} · ${escHtml(simulatedQuote.currency || "")} · sent ${escHtml(new Date(simulatedQuote.savedAt).toLocaleString())}</span>
+      </div>
+      <div class="run-controls">
+        ${QCP_HOOKS.map((hook) => `<label><input type="checkbox" data-hook="${hook}" checked> <code>${hook}</code></label>`).join("")}
+        <button class="btn btn-primary btn-sm" id="runHooksBtn" ${runResult?.running || !selectedScript.SBQQ__Code__c ? "disabled" : ""}>${runResult?.running ? "Running…" : "▶ Run Hooks"}</button>
+      </div>
+      <div class="run-note">
+        Hooks run in order in a sandbox with a stubbed <code>conn</code> — queries return no records and are listed below.
+        CPQ's own calculation between the hooks isn't repeated, so <code>onAfterCalculate</code> sees the explorer's prices plus the earlier hooks' changes.
+      </div>
+    </div>
+    ${renderRunResult()}
+  `;
+
+  document.getElementById("runHooksBtn").addEventListener("click", runHooks);
+}
+
+async function runHooks() {
+  const hooks = [...document.querySelectorAll("input[data-hook]:checked")].map((input) => input.dataset.hook);
+  if (hooks.length === 0) return;
+
+  runResult = { running: true };
+  renderRunTab(document.getElementById("tabContent"));
+
+  try {
+    runResult = await runInSandbox(selectedScript.SBQQ__Code__c, simulatedQuote.model, hooks);
+  } catch (err) {
+    runResult = { steps: [], exported: [], error: err.message };
+  }
+  if (activeTab === "run") renderRunTab(document.getElementById("tabContent"));
+}
+
+function renderRunResult() {
+  if (!runResult || runResult.running) return "";
+  if (runResult.error) {
+    return `<div class="error-banner"><span>⚠</span><span style="white-space:pre-wrap">${escHtml(runResult.error)}</span></div>`;
+  }
+
+  let previous = simulatedQuote.model;
+  const cards = runResult.steps.map((step) => {
+    const changes = diffQcpModels(previous, step.snapshot);
+    previous = step.snapshot;
+    return renderHookStep(step, changes);
+  });
+
+  const notRun = runResult.exported.filter((name) => !QCP_HOOKS.includes(name));
+  return `
+    ${cards.join("")}
+    ${notRun.length ? `<div class="run-note" style="padding:0">Other exported functions, not run: ${notRun.map((n) => `<code>${escHtml(n)}</code>`).join(", ")}</div>` : ""}
+  `;
+}
+
+function renderHookStep(step, changes) {
+  const icon = { ran: "✓", error: "✗", missing: "—" }[step.status];
+  const summary = {
+    ran: `${changes.length} field change${changes.length !== 1 ? "s" : ""} · ${step.duration} ms`,
+    error: "Threw an error — later hooks were not run",
+    missing: "Not exported by this script",
+  }[step.status];
+
+  const changeRows = changes
+    .map(
+      (c) => `
+        <tr>
+          <td>${escHtml(describeTarget(c, step.snapshot))}</td>
+          <td><code>${escHtml(c.field ?? "—")}</code></td>
+          <td>${escHtml(formatValue(c.from))}</td>
+          <td class="change-to">${escHtml(formatValue(c.to))}</td>
+        </tr>
+      `
+    )
+    .join("");
+
+  return `
+    <div class="rule-card">
+      <div class="rule-card-header">
+        <span class="rule-card-icon" style="color:${step.status === "error" ? "var(--color-crimson-light)" : step.status === "ran" ? "var(--color-success)" : "var(--color-text-subtle)"}">${icon}</span>
+        <span class="rule-card-title"><code>${escHtml(step.hook)}</code></span>
+        <span class="rule-card-count">${summary}</span>
+      </div>
+      ${step.error ? `<pre class="hook-error">${escHtml(step.error)}</pre>` : ""}
+      ${changes.length ? `
+        <div class="table-wrap" style="border:none;border-radius:0">
+          <table>
+            <thead><tr><th>Record</th><th>Field</th><th>Before</th><th>After</th></tr></thead>
+            <tbody>${changeRows}</tbody>
+          </table>
+        </div>
+      ` : ""}
+      ${step.calls.length ? `
+        <div class="hook-section-title">conn calls (stubbed)</div>
+        ${step.calls.map((call) => `<div class="hook-log"><code>${escHtml(call.method)}</code> ${escHtml(call.args.map(formatValue).join(", "))}</div>`).join("")}
+      ` : ""}
+      ${step.logs.length ? `
+        <div class="hook-section-title">Console</div>
+        ${step.logs.map((log) => `<div class="hook-log ${log.level}">${escHtml(log.text)}</div>`).join("")}
+      ` : ""}
+      ${step.calls.length || step.logs.length ? `<div style="height:8px"></div>` : ""}
+    </div>
+  `;
+}
+
+function describeTarget(change, model) {
+  if (change.target === "quote") return "Quote";
+  const line = model.lineItems.find((l) => l.key === change.key) ||
+    simulatedQuote.model.lineItems.find((l) => l.key === change.key);
+  const name = line?.record.SBQQ__ProductName__c || line?.record.SBQQ__Product__r?.Name || "";
+  return `Line ${change.key}${name ? ` · ${name}` : ""}`;
+}
+
+// ── Sandbox ────────────────────────────────────────────────────────────────
+/**
+ * Post a run to the sandbox iframe and wait for its result. A script stuck
+ * in a loop never answers, so the iframe is reloaded after a timeout.
+ */
+function runInSandbox(code, model, hooks) {
+  const frame = document.getElementById("sandboxFrame");
+  const runId = ++runSeq;
+
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      window.removeEventListener("message", onMessage);
+      frame.src = "qcp-sandbox.html";
+      reject(new Error(`The script did not finish within ${RUN_TIMEOUT_MS / 1000}s and was stopped.`));
+    }, RUN_TIMEOUT_MS);
+
+    function onMessage(event) {
+      if (event.source !== frame.contentWindow) return;
+      if (event.data?.type !== "QCP_RESULT" || event.data.runId !== runId) return;
+      clearTimeout(timer);
+      window.removeEventListener("message", onMessage);
+      resolve(event.data);
+    }
+
+    window.addEventListener("message", onMessage);
+    // The sandbox has an opaque origin, so "*" is the only target that reaches it
+    frame.contentWindow.postMessage({ type: "QCP_RUN", runId, code, model, hooks }, "*");
+  });
+}
+
+// ── Utilities ──────────────────────────────────────────────────────────────
+async function queryOrEmpty(soql) {
+  try {
+    return await api.query(soql);
+  } catch {
+    return [];
+  }
+}
+
+function formatValue(value) {
+  if (value === null || value === undefined || value === "") return "blank";
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+}
+
+function showScriptError(msg) {
+  document.getElementById("scriptLoadingState").classList.add("hidden");
+  const el = document.getElementById("scriptErrorState");
+  el.classList.remove("hidden");
+  el.querySelector("span:last-child").textContent = msg;
+}
+
+function escHtml(str) {
+  return String(str ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+init();
@@ -0,0 +1,191 @@
+/**
+ * Salesforce CPQ Toolkit — QCP Sandbox
+ *
+ * Runs inside tools/qcp-sandbox.html, which the manifest declares as a
+ * sandboxed page: it has a unique origin, no extension APIs, no access to
+ * the Salesforce session and can't reach the parent page's DOM. The only
+ * way in or out is postMessage.
+ *
+ * The QCP runner posts { type: "QCP_RUN", runId, code, model, hooks }. The
+ * script's `export`s are turned into plain declarations, each requested
+ * hook is called against the model with a stubbed `conn`, and a snapshot
+ * of the model after every hook is posted back as
+ * { type: "QCP_RESULT", runId, steps, exported }.
+ *
+ * Classic script (not a module) — sandboxed pages can't import the
+ * toolkit's modules.
+ */
+
+(function () {
+  const HOOK_TIMEOUT_MS = 10000;
+
+  window.addEventListener("message", async (event) => {
+    const message = event.data;
+    if (!message || message.type !== "QCP_RUN") return;
+
+    let result;
+    try {
+      result = await runScript(message);
+    } catch (err) {
+      result = { steps: [], exported: [], error: errorText(err) };
+    }
+    event.source.postMessage({ type: "QCP_RESULT", runId: message.runId, ...result }, "*");
+  });
+
+  async function runScript({ code, model, hooks }) {
+    const quoteModel = linkModel(clone(model));
+    const exports = loadExports(code);
+    const steps = [];
+
+    for (const hook of hooks) {
+      const fn = exports[hook];
+      if (typeof fn !== "function") {
+        steps.push({ hook, status: "missing", snapshot: snapshot(quoteModel), logs: [], calls: [] });
+        continue;
+      }
+
+      const logs = [];
+      const conn = stubConnection();
+      const started = performance.now();
+      let status = "ran";
+      let error = null;
+      try {
+        await withConsole(logs, () => {
+          const args = hook === "onInit" ? [quoteModel.lineItems, conn] : [quoteModel, quoteModel.lineItems, conn];
+          return withTimeout(Promise.resolve(fn(...args)), hook);
+        });
+      } catch (err) {
+        status = "error";
+        error = errorText(err);
+      }
+      steps.push({
+        hook,
+        status,
+        error,
+        duration: Math.round(performance.now() - started),
+        snapshot: snapshot(quoteModel),
+        logs,
+        calls: conn.calls,
+      });
+      if (status === "error") break; // CPQ stops the calculation on a hook error
+    }
+
+    return { steps, exported: Object.keys(exports).filter((name) => typeof exports[name] === "function") };
+  }
+
+  // Turn the QCP module source into a function body returning its exports.
+  // Handles `export function`, `export const/let/var` and `export { a, b as c }`.
+  function loadExports(code) {
+    if (/^\s*import\s/m.test(code)) {
+      throw new Error("The script uses import statements, which can't be resolved in the sandbox.");
+    }
+
+    const names = [];
+    const body = code
+      .replace(/^(\s*)export\s+((?:async\s+)?function\s*\*?\s*([A-Za-z_$][\w$]*))/gm, (m, indent, decl, name) => {
+        names.push([name, name]);
+        return indent + decl;
+      })
+      .replace(/^(\s*)export\s+((?:const|let|var)\s+([A-Za-z_$][\w$]*))/gm, (m, indent, decl, name) => {
+        names.push([name, name]);
+        return indent + decl;
+      })
+      .replace(/^\s*export\s*\{([^}]*)\}\s*;?/gm, (m, list) => {
+        list.split(",").map((s) => s.trim()).filter(Boolean).forEach((spec) => {
+          const [local, exported] = spec.split(/\s+as\s+/);
+          names.push([exported || local, local]);
+        });
+        return "";
+      });
+
+    const returned = names.map(([exported, local]) => `${JSON.stringify(exported)}: typeof ${local} !== "undefined" ? ${local} : undefined`);
+    return new Function(`"use strict";\n${body}\nreturn { ${returned.join(", ")} };`)();
+  }
+
+  // Attach parentItem / lineItems the way the calculator's models have them
+  function linkModel(model) {
+    const byKey = new Map(model.lineItems.map((line) => [line.key, line]));
+    model.lineItems.forEach((line) => {
+      line.parentItem = byKey.get(line.parentItemKey) || null;
+    });
+    return model;
+  }
+
+  function snapshot(model) {
+    return {
+      key: model.key,
+      record: clone(model.record),
+      lineItems: model.lineItems.map((line) => ({
+        key: line.key,
+        parentItemKey: line.parentItem ? line.parentItem.key : null,
+        record: clone(line.record),
+      })),
+    };
+  }
+
+  // JSForce-like connection that answers every call with nothing and
+  // records what the script asked for
+  function stubConnection() {
+    const calls = [];
+    const record = (method, args) => {
+      calls.push({ method, args: clone(args) });
+      return Promise.resolve({ totalSize: 0, done: true, records: [] });
+    };
+    const sobject = (name) => ({
+      retrieve: (...args) => record(`sobject(${name}).retrieve`, args),
+      find: (...args) => record(`sobject(${name}).find`, args),
+      describe: (...args) => record(`sobject(${name}).describe`, args),
+    });
+    return {
+      calls,
+      query: (...args) => record("query", args),
+      queryAll: (...args) => record("queryAll", args),
+      sobject,
+      apex: {
+        get: (...args) => record("apex.get", args),
+        post: (...args) => record("apex.post", args),
+      },
+      request: (...args) => record("request", args),
+    };
+  }
+
+  async function withConsole(logs, fn) {
+    const original = {};
+    ["log", "info", "warn", "error", "debug"].forEach((level) => {
+      original[level] = console[level];
+      console[level] = (...args) => {
+        logs.push({ level, text: args.map(formatLogArg).join(" ") });
+      };
+    });
+    try {
+      return await fn();
+    } finally {
+      Object.assign(console, original);
+    }
+  }
+
+  function withTimeout(promise, hook) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`${hook} did not resolve within ${HOOK_TIMEOUT_MS / 1000}s`)), HOOK_TIMEOUT_MS);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  }
+
+  function formatLogArg(arg) {
+    if (typeof arg === "string") return arg;
+    try {
+      return JSON.stringify(arg, (key, value) => (key === "parentItem" ? undefined : value));
+    } catch {
+      return String(arg);
+    }
+  }
+
+  function clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value ?? null));
+  }
+
+  function errorText(err) {
+    return err && err.stack ? String(err.stack).split("\n").slice(0, 4).join("\n") : String(err);
+  }
+})();
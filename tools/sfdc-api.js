@@ -4,8 +4,40 @@
  * Sends API requests to the background service worker which reads
  * the Salesforce session cookie (sid) and makes the call directly.
  * This is the same approach used by Salesforce Inspector Reloaded.
+ *
+ * Describes (and queries made with { cache: true }) are cached per org and
+ * API version — in memory and in chrome.storage.session, so a tool opened
+ * again in the same browser session starts warm. Cached describes are
+ * revalidated with If-Modified-Since once they're older than
+ * REVALIDATE_AFTER_MS; clearCache() drops everything for the org.
+ *
+ * compositeBatch() / composite() send many subrequests in one round trip;
+ * describeMany() and queryMany() build on them.
+ *
+ * The background worker retries transient failures and reports the org's
+ * API usage with every response; onApiUsage() listeners receive it.
+ * Failed requests reject with an APIError carrying the status code,
+ * Salesforce errorCode and affected fields.
+ *
+ * Requests accept an AbortSignal (options.signal); aborting rejects with an
+ * AbortError and tells the worker to cancel the fetch. queryPages() yields
+ * a large query page by page as nextRecordsUrl is followed.
+ *
+ * Queries of more than BULK_QUERY_THRESHOLD records switch to a Bulk API 2.0
+ * query job when the SOQL allows it (see bulkQueryPages): one job and a few
+ * CSV downloads instead of a REST call per 2,000 records.
  */
 
+const REVALIDATE_AFTER_MS = 5 * 60 * 1000;
+const MAX_SUBREQUESTS = 25; // per composite or composite batch call
+const BULK_QUERY_THRESHOLD = 50000; // records; larger queries run as Bulk API jobs
+const BULK_RESULT_PAGE_SIZE = 25000; // records per CSV download
+const BULK_POLL_MS = { initial: 1000, max: 10000 };
+const SESSION_CACHE_PREFIX = "sfdcCache:";
+const memoryCache = new Map(); // cache key → { fetchedAt, value }
+const inflight = new Map(); // cache key → pending promise, so parallel callers share one request
+const usageListeners = new Set();
+
 export class SalesforceAPI {
   constructor(orgOrigin) {
     if (!orgOrigin) throw new Error("orgOrigin is required");
@@ -18,19 +50,52 @@ export class SalesforceAPI {
   }
 
   async request(path, options = {}) {
+    const { data } = await this.send(path, options);
+    return data;
+  }
+
+  // Like request(), but resolves { status, data } so callers can tell a
+  // 304 Not Modified apart from an empty response. options.retry overrides
+  // the worker's retry settings ({ retries, baseDelayMs, maxDelayMs,
+  // idempotent }) — non-GET requests are only retried when idempotent.
+  // options.signal cancels the request, here and in the worker.
+  // options.responseType "text" skips JSON parsing, and the headers named
+  // in options.responseHeaders come back as { status, data, headers }.
+  async send(path, options = {}) {
     const url = path.startsWith("http") ? path : `${this.baseUrl}${path}`;
+    const { signal } = options;
+    if (signal?.aborted) throw abortError();
+    const requestId = crypto.randomUUID();
 
     return new Promise((resolve, reject) => {
+      let settled = false;
+      const onAbort = () => {
+        if (settled) return;
+        settled = true;
+        chrome.runtime.sendMessage({ type: "SFDC_ABORT_REQUEST", payload: { requestId } });
+        reject(abortError());
+      };
+      signal?.addEventListener("abort", onAbort, { once: true });
+
       chrome.runtime.sendMessage(
         {
           type: "SFDC_PROXY_REQUEST",
           payload: {
+            requestId,
             url,
             method: options.method || "GET",
             body: options.body || null,
+            headers: options.headers || {},
+            retry: options.retry || {},
+            responseType: options.responseType || "json",
+            responseHeaders: options.responseHeaders || [],
           },
         },
         (response) => {
+          signal?.removeEventListener("abort", onAbort);
+          if (response?.usage) notifyUsage(this.orgOrigin, response.usage);
+          if (settled) return; // aborted; the late response is dropped
+          settled = true;
           if (chrome.runtime.lastError) {
             reject(new Error(chrome.runtime.lastError.message));
             return;
@@ -40,53 +105,552 @@ export class SalesforceAPI {
             return;
           }
           if (!response.success) {
-            reject(new Error(response.error || "Unknown error"));
+            const { message, statusCode, errorCode, fields } = response.error || {};
+            reject(new APIError(message || "Unknown error", statusCode, { errorCode, fields }));
             return;
           }
-          resolve(response.data);
+          resolve({ status: response.status, data: response.data, headers: response.headers || {} });
         }
       );
     });
   }
 
-  async query(soql) {
-    const encoded = encodeURIComponent(soql);
-    const result = await this.request(`/query/?q=${encoded}`);
-    let records = result.records || [];
-    let nextUrl = result.nextRecordsUrl;
-    while (nextUrl) {
-      const page = await this.request(normalizeToMyDomain(nextUrl));
-      records = records.concat(page.records || []);
-      nextUrl = page.nextRecordsUrl;
+  // Every record of a query. onPage(page) is called as each page arrives
+  // (see queryPages); signal cancels the remaining pages.
+  async query(soql, { cache = false, signal, onPage, bulk, onBulkJob } = {}) {
+    if (cache) return this.cached(`query:${soql}`, () => this.query(soql, { signal, onPage, bulk, onBulkJob }));
+    return this.collectPages(soql, { signal, onPage, bulk, onBulkJob });
+  }
+
+  /**
+   * Yields a query's results a page at a time, as each arrives:
+   * { records, totalSize, fetched, done }. totalSize is Salesforce's count
+   * for the whole query; fetched counts the records yielded so far.
+   * Breaking out of the loop stops fetching; signal aborts the page in
+   * flight as well.
+   *
+   * bulk: "auto" hands queries over BULK_QUERY_THRESHOLD records to a Bulk
+   * API job once the first page reports the size (falling back to REST if
+   * the job can't be created); true always uses a job, false never does.
+   * onBulkJob(job) receives the job's status while it runs.
+   */
+  async *queryPages(soql, { tooling = false, signal, bulk = "auto", onBulkJob } = {}) {
+    if (bulk === true) {
+      yield* this.bulkQueryPages(soql, { signal, onBulkJob });
+      return;
+    }
+    const endpoint = tooling ? "/tooling/query/" : "/query/";
+    let page = await this.request(`${endpoint}?q=${encodeURIComponent(soql)}`, { signal });
+    if (bulk === "auto" && !tooling && page.nextRecordsUrl && page.totalSize > BULK_QUERY_THRESHOLD && bulkQueryable(soql)) {
+      const job = await this.createBulkQueryJob(soql, { signal }).catch((err) => {
+        if (err.name === "AbortError") throw err;
+        return null; // object or query not supported by Bulk API — carry on over REST
+      });
+      if (job) {
+        yield* this.bulkQueryPages(soql, { signal, onBulkJob, job });
+        return;
+      }
+    }
+    let fetched = 0;
+    while (true) {
+      const records = page.records || [];
+      fetched += records.length;
+      const done = !page.nextRecordsUrl;
+      yield { records, totalSize: page.totalSize ?? fetched, fetched, done };
+      if (done) return;
+      page = await this.request(new URL(page.nextRecordsUrl, this.orgOrigin).href, { signal });
+    }
+  }
+
+  async collectPages(soql, { tooling = false, signal, onPage, bulk, onBulkJob } = {}) {
+    let records = [];
+    for await (const page of this.queryPages(soql, { tooling, signal, bulk, onBulkJob })) {
+      records = records.concat(page.records);
+      onPage?.(page);
     }
     return records;
   }
 
-  async describe(objectName) {
-    return this.request(`/sobjects/${objectName}/describe`);
+  // Every record of soql, fetched with a Bulk API 2.0 query job
+  async bulkQuery(soql, { signal, onPage, onBulkJob } = {}) {
+    return this.collectPages(soql, { signal, onPage, onBulkJob, bulk: true });
+  }
+
+  async createBulkQueryJob(soql, { signal } = {}) {
+    return this.request("/jobs/query", {
+      method: "POST",
+      body: { operation: "query", query: soql, contentType: "CSV", columnDelimiter: "COMMA", lineEnding: "LF" },
+      signal,
+    });
+  }
+
+  /**
+   * Runs soql as a Bulk API 2.0 query job (or follows an existing `job`):
+   * polls until Salesforce has the results, then downloads them as CSV a
+   * page at a time. Pages have the same shape as queryPages(); records are
+   * typed from the object's describe so they match REST results — numbers,
+   * booleans, null for blanks and nested objects for relationship fields.
+   * Cancelling before the job completes aborts it in the org as well.
+   */
+  async *bulkQueryPages(soql, { signal, onBulkJob, job = null } = {}) {
+    job = job || await this.createBulkQueryJob(soql, { signal });
+    let complete = false;
+    try {
+      job = await this.waitForBulkJob(job.id, { signal, onBulkJob });
+      complete = true;
+    } finally {
+      if (!complete) this.abortBulkJob(job.id);
+    }
+
+    const totalSize = job.numberRecordsProcessed;
+    let buildRecord = null;
+    let locator = null;
+    let fetched = 0;
+    do {
+      const params = new URLSearchParams({ maxRecords: BULK_RESULT_PAGE_SIZE });
+      if (locator) params.set("locator", locator);
+      const { data, headers } = await this.send(`/jobs/query/${job.id}/results?${params}`, {
+        headers: { Accept: "text/csv" },
+        responseType: "text",
+        responseHeaders: ["Sforce-Locator"],
+        signal,
+      });
+      const [header = [], ...rows] = parseCsv(data || "");
+      buildRecord = buildRecord || await this.bulkRecordBuilder(job.object || soql.match(/\bFROM\s+(\w+)/i)?.[1], header);
+      const records = rows.map(buildRecord);
+      fetched += records.length;
+      locator = headers["Sforce-Locator"];
+      if (locator === "null") locator = null;
+      yield { records, totalSize, fetched, done: !locator };
+    } while (locator);
+  }
+
+  async waitForBulkJob(jobId, { signal, onBulkJob } = {}) {
+    let delay = BULK_POLL_MS.initial;
+    while (true) {
+      const job = await this.request(`/jobs/query/${jobId}`, { signal });
+      onBulkJob?.(job);
+      if (job.state === "JobComplete") return job;
+      if (job.state === "Failed" || job.state === "Aborted") {
+        throw new APIError(job.errorMessage || `Bulk query job ${job.state.toLowerCase()}.`, null, { errorCode: "BULK_JOB_" + job.state.toUpperCase() });
+      }
+      await wait(delay, signal);
+      delay = Math.min(delay * 2, BULK_POLL_MS.max);
+    }
   }
 
-  async toolingQuery(soql) {
-    const encoded = encodeURIComponent(soql);
-    const url = `${this.orgOrigin}/services/data/${this.apiVersion}/tooling/query/?q=${encoded}`;
-    const result = await this.request(url);
+  // Best effort — a job left running simply finishes on its own
+  async abortBulkJob(jobId) {
+    try {
+      await this.request(`/jobs/query/${jobId}`, { method: "PATCH", body: { state: "Aborted" } });
+    } catch {
+      // already finished or gone
+    }
+  }
+
+  // Turns CSV rows into REST-shaped records. Columns are typed from the
+  // describes of the object and of each relationship they pass through.
+  async bulkRecordBuilder(objectName, header) {
+    const columns = await Promise.all(header.map((column) => this.resolveBulkColumn(objectName, column.split("."))));
+    return (row) => {
+      const record = { attributes: { type: objectName } };
+      columns.forEach(({ names, type }, i) => setRecordPath(record, names, csvValue(row[i] ?? "", type)));
+      return record;
+    };
+  }
+
+  // Canonical names along a dotted column path and the leaf field's type.
+  // A failed describe fails the query: untyped records would price wrong.
+  async resolveBulkColumn(objectName, path) {
+    const [head, ...rest] = path;
+    const describe = objectName ? await this.describe(objectName) : null;
+    const fields = describe?.fields || [];
+    if (rest.length === 0) {
+      const field = fields.find((f) => f.name.toLowerCase() === head.toLowerCase());
+      return { names: [field?.name || head], type: field?.type || null };
+    }
+    const lookup = fields.find((f) => f.relationshipName?.toLowerCase() === head.toLowerCase());
+    const next = await this.resolveBulkColumn(lookup?.referenceTo?.[0] || null, rest);
+    return { names: [lookup?.relationshipName || head, ...next.names], type: next.type };
+  }
+
+  // Records of a query result plus every page after it. nextRecordsUrl is
+  // a path on the org (/services/data/…/query/01g…-2000).
+  async remainingRecords(result) {
     let records = result.records || [];
     let nextUrl = result.nextRecordsUrl;
     while (nextUrl) {
-      const page = await this.request(normalizeToMyDomain(nextUrl));
+      const page = await this.request(new URL(nextUrl, this.orgOrigin).href);
       records = records.concat(page.records || []);
       nextUrl = page.nextRecordsUrl;
     }
     return records;
   }
+
+  async describe(objectName) {
+    const path = `/sobjects/${objectName}/describe`;
+    return this.cached(`describe:${objectName}`, async (entry) => {
+      if (!entry) return this.request(path);
+      const { status, data } = await this.send(path, {
+        headers: { "If-Modified-Since": new Date(entry.fetchedAt).toUTCString() },
+      });
+      return status === 304 ? entry.value : data;
+    });
+  }
+
+  // Objects in the org — the global describe
+  async describeGlobal() {
+    return this.cached("describeGlobal", async (entry) => {
+      if (!entry) return this.request("/sobjects");
+      const { status, data } = await this.send("/sobjects", {
+        headers: { "If-Modified-Since": new Date(entry.fetchedAt).toUTCString() },
+      });
+      return status === 304 ? entry.value : data;
+    });
+  }
+
+  async toolingQuery(soql, { cache = false, signal, onPage } = {}) {
+    if (cache) return this.cached(`tooling:${soql}`, () => this.toolingQuery(soql, { signal, onPage }));
+    return this.collectPages(soql, { tooling: true, signal, onPage });
+  }
+
+  /**
+   * Independent GET requests in as few round trips as possible, 25 per
+   * /composite/batch call. `requests` are [{ url }] with urls relative to
+   * the API version (e.g. "/sobjects/Account/describe"). Resolves to
+   * [{ statusCode, result }] in request order; a failed subrequest doesn't
+   * stop the others.
+   */
+  async compositeBatch(requests) {
+    const idempotent = requests.every(({ method = "GET" }) => method === "GET");
+    const results = [];
+    for (let i = 0; i < requests.length; i += MAX_SUBREQUESTS) {
+      const chunk = requests.slice(i, i + MAX_SUBREQUESTS);
+      const response = await this.request("/composite/batch", {
+        method: "POST",
+        body: {
+          haltOnError: false,
+          batchRequests: chunk.map(({ method = "GET", url }) => ({ method, url: `${this.apiVersion}${url}` })),
+        },
+        retry: { idempotent },
+      });
+      results.push(...response.results);
+    }
+    return results;
+  }
+
+  /**
+   * Up to 25 dependent subrequests in one call. Later subrequests can use
+   * earlier results through references, e.g. a url containing
+   * `@{quote.records[0].Id}` for the subrequest with referenceId "quote".
+   * `subrequests` are [{ referenceId, url, method?, body? }] with urls
+   * relative to the API version. Resolves to { referenceId: { statusCode, body } }.
+   */
+  async composite(subrequests, { allOrNone = false } = {}) {
+    if (subrequests.length > MAX_SUBREQUESTS) {
+      throw new Error(`A composite request takes at most ${MAX_SUBREQUESTS} subrequests.`);
+    }
+    const response = await this.request("/composite", {
+      method: "POST",
+      body: {
+        allOrNone,
+        compositeRequest: subrequests.map(({ referenceId, url, method = "GET", body }) => ({
+          referenceId,
+          method,
+          url: `/services/data/${this.apiVersion}${url}`,
+          ...(body ? { body } : {}),
+        })),
+      },
+      retry: { idempotent: subrequests.every(({ method = "GET" }) => method === "GET") },
+    });
+    return Object.fromEntries(
+      response.compositeResponse.map((r) => [r.referenceId, { statusCode: r.httpStatusCode, body: r.body }])
+    );
+  }
+
+  /**
+   * Describe several objects at once. Fresh cache entries are used as-is;
+   * the rest are fetched together through compositeBatch (batched requests
+   * can't be conditional, so stale ones are fetched in full). Resolves to
+   * [{ objectName, describe, error }], one per name in the order given
+   * (a name listed twice is fetched once) — one failed object doesn't
+   * fail the others.
+   */
+  async describeMany(objectNames) {
+    const names = [...new Set(objectNames)];
+    const results = new Map();
+    const toFetch = [];
+    for (const name of names) {
+      const entry = await this.readCache(`describe:${name}`);
+      if (entry && Date.now() - entry.fetchedAt < REVALIDATE_AFTER_MS) {
+        results.set(name, { objectName: name, describe: entry.value, error: null });
+      } else {
+        toFetch.push(name);
+      }
+    }
+
+    const responses = await this.compositeBatch(toFetch.map((name) => ({ url: `/sobjects/${name}/describe` })));
+    await Promise.all(
+      responses.map(async ({ statusCode, result }, i) => {
+        const name = toFetch[i];
+        if (statusCode >= 400) {
+          results.set(name, { objectName: name, describe: null, error: subrequestError(result, statusCode) });
+          return;
+        }
+        await this.writeCache(`describe:${name}`, result);
+        results.set(name, { objectName: name, describe: result, error: null });
+      })
+    );
+    return objectNames.map((name) => results.get(name));
+  }
+
+  /**
+   * Run several SOQL queries in one round trip (plus one per extra page).
+   * Resolves to [{ records, error }] in query order, so callers can treat
+   * a query on a missing object as empty while keeping the others.
+   */
+  async queryMany(soqls) {
+    const responses = await this.compositeBatch(soqls.map((soql) => ({ url: `/query/?q=${encodeURIComponent(soql)}` })));
+    return Promise.all(
+      responses.map(async ({ statusCode, result }) => {
+        if (statusCode >= 400) return { records: [], error: subrequestError(result, statusCode) };
+        try {
+          return { records: await this.remainingRecords(result), error: null };
+        } catch (e) {
+          return { records: [], error: e };
+        }
+      })
+    );
+  }
+
+  // Cache keys start with the org and API version
+  get cachePrefix() {
+    return `${new URL(this.orgOrigin).hostname}|${this.apiVersion}|`;
+  }
+
+  /**
+   * Cached value for `name`, fetched with `load(entry)` when missing or
+   * due for revalidation. `entry` is the stale cache entry (or null), so
+   * loaders that support conditional requests can send If-Modified-Since;
+   * loaders that don't just fetch again.
+   */
+  async cached(name, load) {
+    const key = this.cachePrefix + name;
+    if (inflight.has(key)) return inflight.get(key);
+
+    const pending = (async () => {
+      const entry = await this.readCache(name);
+      if (entry && Date.now() - entry.fetchedAt < REVALIDATE_AFTER_MS) return entry.value;
+      const value = await load(entry);
+      await this.writeCache(name, value);
+      return value;
+    })();
+
+    inflight.set(key, pending);
+    try {
+      return await pending;
+    } finally {
+      inflight.delete(key);
+    }
+  }
+
+  // Cache entry { fetchedAt, value } for `name`, fresh or not, or null
+  async readCache(name) {
+    const key = this.cachePrefix + name;
+    const entry = memoryCache.get(key) || (await readSessionCache(key));
+    if (entry) memoryCache.set(key, entry);
+    return entry;
+  }
+
+  async writeCache(name, value) {
+    const key = this.cachePrefix + name;
+    const entry = { fetchedAt: Date.now(), value };
+    memoryCache.set(key, entry);
+    await writeSessionCache(key, entry);
+  }
+
+  // Latest API usage the worker has seen for this org this session:
+  // { used, max, sessionCalls } or null before the first call
+  async apiUsage() {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage({ type: "SFDC_API_USAGE", payload: { url: this.orgOrigin } }, (response) => {
+        resolve(chrome.runtime.lastError || !response?.success ? null : response.usage);
+      });
+    });
+  }
+
+  // Forget every cached describe and query for this org and API version
+  async clearCache() {
+    const prefix = this.cachePrefix;
+    [...memoryCache.keys()].filter((key) => key.startsWith(prefix)).forEach((key) => memoryCache.delete(key));
+    try {
+      const stored = await chrome.storage.session.get(null);
+      const keys = Object.keys(stored).filter((key) => key.startsWith(SESSION_CACHE_PREFIX + prefix));
+      if (keys.length) await chrome.storage.session.remove(keys);
+    } catch (e) {
+      console.warn(`[CPQ Toolkit] Could not clear the session cache: ${e.message}`);
+    }
+  }
+}
+
+// chrome.storage.session is best effort: it's capped in size and missing
+// outside extension pages, and the memory cache works without it
+async function readSessionCache(key) {
+  try {
+    const storageKey = SESSION_CACHE_PREFIX + key;
+    const result = await chrome.storage.session.get(storageKey);
+    return result[storageKey] || null;
+  } catch {
+    return null;
+  }
+}
+
+async function writeSessionCache(key, entry) {
+  try {
+    await chrome.storage.session.set({ [SESSION_CACHE_PREFIX + key]: entry });
+  } catch (e) {
+    console.warn(`[CPQ Toolkit] Could not cache ${key} for the session: ${e.message}`);
+  }
 }
 
 export class APIError extends Error {
-  constructor(message, statusCode) {
+  constructor(message, statusCode, { errorCode = null, fields = [] } = {}) {
     super(message);
     this.name = "APIError";
     this.statusCode = statusCode;
+    this.errorCode = errorCode;
+    this.fields = fields;
+  }
+}
+
+// What fetch rejects with when aborted, so callers can check err.name
+function abortError() {
+  return new DOMException("The request was cancelled.", "AbortError");
+}
+
+/**
+ * Call `listener(orgOrigin, usage)` whenever a response reports API usage.
+ * Returns a function that removes the listener.
+ */
+export function onApiUsage(listener) {
+  usageListeners.add(listener);
+  return () => usageListeners.delete(listener);
+}
+
+function notifyUsage(orgOrigin, usage) {
+  usageListeners.forEach((listener) => listener(orgOrigin, usage));
+}
+
+// "API calls: 1,234 / 15,000 (42 this session)"
+export function formatApiUsage(usage) {
+  if (!usage) return "";
+  const total = usage.max ? `${usage.used.toLocaleString()} / ${usage.max.toLocaleString()}` : "—";
+  return `API calls: ${total} (${usage.sessionCalls.toLocaleString()} this session)`;
+}
+
+// ── Bulk API helpers ───────────────────────────────────────────────────────
+// Bulk API 2.0 rejects aggregates, GROUP BY, OFFSET, TYPEOF and child
+// subqueries — those stay on REST.
+function bulkQueryable(soql) {
+  return !/\(\s*SELECT\b/i.test(soql)
+    && !/\b(GROUP\s+BY|OFFSET|TYPEOF)\b/i.test(soql)
+    && !/\b(COUNT|COUNT_DISTINCT|SUM|AVG|MIN|MAX)\s*\(/i.test(soql);
+}
+
+// RFC 4180: quoted fields may hold commas, newlines and doubled quotes
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
   }
+  return rows;
+}
+
+// Bulk CSV has no types and writes null as an empty field
+function csvValue(raw, type) {
+  if (raw === "") return null;
+  switch (type) {
+    case "boolean":
+      return raw === "true";
+    case "int":
+    case "long":
+    case "double":
+    case "currency":
+    case "percent":
+      return Number(raw);
+    default:
+      return raw;
+  }
+}
+
+// Sets record.A.B.C, leaving an empty relationship as null the way REST does
+function setRecordPath(record, names, value) {
+  let target = record;
+  for (const name of names.slice(0, -1)) {
+    if (target[name] == null) {
+      if (value === null) {
+        if (!(name in target)) target[name] = null;
+        return;
+      }
+      target[name] = {};
+    }
+    target = target[name];
+  }
+  target[names[names.length - 1]] = value;
+}
+
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(abortError());
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener("abort", () => {
+      clearTimeout(timer);
+      reject(abortError());
+    }, { once: true });
+  });
+}
+
+// Subrequest results carry the same error body as a standalone request:
+// [{ errorCode, message }]
+function subrequestError(result, statusCode) {
+  const message = Array.isArray(result)
+    ? result.map((e) => e.message).join(", ")
+    : result?.message || `HTTP ${statusCode}`;
+  const errors = Array.isArray(result) ? result : [];
+  return new APIError(message, statusCode, {
+    errorCode: errors[0]?.errorCode || null,
+    fields: [...new Set(errors.flatMap((e) => e.fields || []))],
+  });
 }
 
 export function normalizeToMyDomain(url) {
@@ -101,6 +665,24 @@ export function normalizeToMyDomain(url) {
   }
 }
 
+/**
+ * Salesforce orgs open in any browser tab, as My Domain origins:
+ * [{ origin, hostname }]. Needs the "tabs" permission to read tab URLs.
+ */
+export async function listOpenOrgs() {
+  const tabs = await chrome.tabs.query({ url: ["https://*.salesforce.com/*", "https://*.force.com/*"] });
+  const orgs = new Map();
+  tabs.forEach((tab) => {
+    try {
+      const { origin, hostname } = new URL(normalizeToMyDomain(tab.url));
+      if (hostname.endsWith(".my.salesforce.com")) orgs.set(hostname, { origin, hostname });
+    } catch {
+      // tab without a readable URL
+    }
+  });
+  return [...orgs.values()].sort((a, b) => a.hostname.localeCompare(b.hostname));
+}
+
 export function getAPIFromUrl() {
   const params = new URLSearchParams(window.location.search);
   const org = params.get("org");
@@ -3,14 +3,53 @@
  *
  * Allows a rep to select active products and see a simulated quote preview
  * that reflects pricing rules, product rules, and approval thresholds —
- * all WITHOUT creating an actual Salesforce Quote record.
+ * all WITHOUT creating an actual Salesforce Quote record. An existing
+ * SBQQ__Quote__c can also be loaded and re-simulated read-only, to compare
+ * the simulated prices with what CPQ stored.
  *
  * All data is fetched directly from the user's own Salesforce org
  * using their authenticated browser session.
  * No data is sent anywhere outside of Salesforce.
  */
 
-import { SalesforceAPI, getAPIFromUrl } from "./sfdc-api.js";
+import { SalesforceAPI, getAPIFromUrl, onApiUsage, formatApiUsage } from "./sfdc-api.js";
+import { loadOrgData, saveOrgData } from "./storage.js";
+import { toQcpModel } from "./cpq-qcp.js";
+import {
+  priceQuote,
+  effectiveDiscount,
+  normalizeDiscountSchedule,
+  normalizeBlockPrices,
+  describeTier,
+  endDateForTerm,
+  quoteRecord,
+  quoteLineRecord,
+  setQuoteField,
+  setLineField,
+  LINE_FIELD_INPUTS,
+  QUOTE_FIELD_INPUTS,
+  PRORATE_PRECISIONS,
+  DEFAULT_SUBSCRIPTION_TERM,
+} from "./cpq-pricing.js";
+import {
+  normalizePriceRule,
+  runPriceRules,
+  normalizeProductRule,
+  evaluateProductRules,
+  normalizeApprovalRule,
+  evaluateApprovalRules,
+  approvalSteps,
+} from "./cpq-rules.js";
+import {
+  buildBundles,
+  defaultSelection,
+  optionStates,
+  enforceConstraints,
+  validateBundle,
+  clampOptionQuantity,
+  optionLineQuantity,
+  MAX_BUNDLE_DEPTH,
+} from "./cpq-bundles.js";
 
 // ── State ──────────────────────────────────────────────────────────────────
 let api = null;
@@ -18,12 +57,45 @@ let allProducts = [];
 let displayedProducts = [];
 let selectedProducts = new Map(); // id → product record
 let quoteLines = []; // enriched quote lines with pricing
-let priceRules = [];
-let productRules = [];
-let approvalRules = [];
+let quoteSettings = {
+  additionalDiscount: null, // quote-level defaults, used when the line field is blank
+  partnerDiscount: null,
+  distributorDiscount: null,
+  startDate: new Date().toISOString().slice(0, 10),
+  endDate: null, // when set, the term is derived from the dates
+  subscriptionTerm: null, // blank → each product's own term (no proration)
+  prorationPrecision: "Month + Day",
+  termUnit: "Month",
+  pricebookId: null, // Pricebook2 the entries come from
+  currency: "USD", // quote CurrencyIsoCode
+};
+let pricebooks = []; // active Pricebook2 records
+let currencies = []; // active CurrencyType records — empty in single-currency orgs
+let datedRates = []; // DatedConversionRate rows for the quote currency (advanced currency management)
+let displayLocale = navigator.language || "en-US";
+let scenarios = []; // saved scenarios for this org
+let currentScenarioId = null; // scenario the preview was opened from or last saved as
+let compareIds = new Set(); // scenarios ticked for side-by-side comparison
+let loadedQuote = null; // existing quote being re-simulated: { record, lines, unmatched, readOnly }
+let quoteTotals = null;
+let expandedLines = new Set(); // line keys with the waterfall breakdown open
+let lineKeySeq = 0;
+let bundles = new Map(); // bundle Product2 Id → options, features, constraints
+let pricebookEntryByProduct = new Map(); // best entry per product, for adding option lines later
+let linePricingData = {}; // schedules, block prices and costs for building lines
+let priceRules = []; // normalized for the rules engine
+let priceRuleData = { summaryVariables: new Map(), lookupData: new Map() };
+let priceRuleResults = [];
+let productRules = []; // normalized for the rules engine
+let productRuleVariables = new Map();
+let productRuleResults = [];
+let approvalRules = []; // normalized for the rules engine
+let approvalRuleResults = [];
 let activeTab = "lines";
 const PAGE_SIZE = 50;
+const LOCALES = ["en-US", "en-GB", "en-AU", "en-CA", "de-DE", "fr-FR", "es-ES", "it-IT", "nl-NL", "ja-JP", "pt-BR"];
 let currentPage = 0;
+let productLoad = null; // AbortController while product pages are still arriving
 
 // ── Init ───────────────────────────────────────────────────────────────────
 function init() {
@@ -34,46 +106,228 @@ function init() {
   }
 
   document.getElementById("orgChipLabel").textContent = new URL(api.orgOrigin).hostname;
+  const showUsage = (usage) => {
+    document.getElementById("apiUsageLabel").textContent = formatApiUsage(usage);
+  };
+  onApiUsage((origin, usage) => origin === api.orgOrigin && showUsage(usage));
+  api.apiUsage().then(showUsage);
 
   // Controls
   document.getElementById("productSearch").addEventListener("input", onProductSearch);
-  document.getElementById("buildQuoteBtn").addEventListener("click", buildQuotePreview);
+  document.getElementById("buildQuoteBtn").addEventListener("click", buildFromSelection);
+  document.getElementById("loadQuoteBtn").addEventListener("click", onLoadQuote);
+  document.getElementById("quoteIdInput").addEventListener("keydown", (e) => {
+    if (e.key === "Enter") onLoadQuote();
+  });
   document.getElementById("exportQuoteBtn").addEventListener("click", exportQuote);
+  document.getElementById("saveScenarioBtn").addEventListener("click", saveScenario);
+  document.getElementById("sendQcpBtn").addEventListener("click", sendToQcpRunner);
   document.getElementById("loadMoreBtn").addEventListener("click", loadMoreProducts);
+  document.getElementById("stopProductsBtn").addEventListener("click", () => productLoad?.abort());
+  document.getElementById("pricebookSelect").addEventListener("change", onPricebookChange);
+  document.getElementById("currencySelect").addEventListener("change", onCurrencyChange);
+  document.getElementById("localeSelect").addEventListener("change", onLocaleChange);
 
   // Tabs
   document.querySelectorAll(".tab").forEach((tab) => {
     tab.addEventListener("click", () => switchTab(tab.dataset.tab));
   });
 
+  // Launched from a Quote record page — load it once the pricebooks are known
+  const quoteId = parseQuoteId(new URLSearchParams(window.location.search).get("quote") || "");
+  if (quoteId) document.getElementById("quoteIdInput").value = quoteId;
+
   loadProducts();
+  loadPricingOptions().then(() => {
+    if (quoteId) loadQuote(quoteId);
+  });
+  loadScenarios();
+}
+
+// ── Pricebook & Currency ───────────────────────────────────────────────────
+/**
+ * Populate the pricebook, currency and locale pickers. Currencies only
+ * exist in multi-currency orgs; elsewhere the org's default currency is
+ * used and the currency picker stays hidden.
+ */
+async function loadPricingOptions() {
+  const [pricebookRecords, currencyRecords, org] = await queryManyOrEmpty([
+    `
+      SELECT Id, Name, IsStandard
+      FROM Pricebook2
+      WHERE IsActive = true
+      ORDER BY IsStandard DESC, Name ASC
+    `,
+    `
+      SELECT IsoCode, ConversionRate, DecimalPlaces, IsCorporate
+      FROM CurrencyType
+      WHERE IsActive = true
+      ORDER BY IsoCode ASC
+    `,
+    `SELECT DefaultCurrencyIsoCode FROM Organization LIMIT 1`,
+  ]);
+
+  pricebooks = pricebookRecords;
+  currencies = currencyRecords;
+  quoteSettings.pricebookId = pricebooks[0]?.Id || null;
+  quoteSettings.currency =
+    currencies.find((c) => c.IsCorporate)?.IsoCode || org[0]?.DefaultCurrencyIsoCode || "USD";
+
+  const pricebookSelect = document.getElementById("pricebookSelect");
+  pricebookSelect.innerHTML = pricebooks.length
+    ? pricebooks
+        .map((pb) => `<option value="${escHtml(pb.Id)}">${escHtml(pb.Name)}${pb.IsStandard ? " (Standard)" : ""}</option>`)
+        .join("")
+    : `<option value="">Any pricebook</option>`;
+
+  const currencySelect = document.getElementById("currencySelect");
+  currencySelect.innerHTML = currencies
+    .map(
+      (c) => `<option value="${escHtml(c.IsoCode)}"${c.IsoCode === quoteSettings.currency ? " selected" : ""}>${escHtml(c.IsoCode)}${c.IsCorporate ? " (corporate)" : ""}</option>`
+    )
+    .join("");
+  currencySelect.classList.toggle("hidden", currencies.length < 2);
+
+  const locales = [...new Set([displayLocale, ...LOCALES])];
+  document.getElementById("localeSelect").innerHTML = locales
+    .map((l) => `<option value="${escHtml(l)}"${l === displayLocale ? " selected" : ""}>${escHtml(l)}</option>`)
+    .join("");
+
+  await loadDatedRates();
+}
+
+/**
+ * Dated exchange rates for the quote currency, when advanced currency
+ * management is enabled. Falls back to CurrencyType rates otherwise.
+ */
+async function loadDatedRates() {
+  datedRates = isMultiCurrency()
+    ? await queryOrEmpty(`
+        SELECT IsoCode, ConversionRate, StartDate, NextStartDate
+        FROM DatedConversionRate
+        WHERE IsoCode = '${quoteSettings.currency}'
+        ORDER BY StartDate ASC
+      `)
+    : [];
+}
+
+function isMultiCurrency() {
+  return currencies.length > 0;
+}
+
+function corporateCurrency() {
+  return currencies.find((c) => c.IsCorporate)?.IsoCode || null;
+}
+
+// Units of the quote currency per one unit of corporate currency, on the quote start date
+function conversionRate() {
+  const date = quoteSettings.startDate;
+  const dated = datedRates.find(
+    (r) => (!date || r.StartDate <= date) && (!r.NextStartDate || !date || date < r.NextStartDate)
+  );
+  if (dated) return dated.ConversionRate;
+  return currencies.find((c) => c.IsoCode === quoteSettings.currency)?.ConversionRate || 1;
+}
+
+function syncPricingPickers() {
+  document.getElementById("pricebookSelect").value = quoteSettings.pricebookId || "";
+  document.getElementById("currencySelect").value = quoteSettings.currency;
+}
+
+function onPricebookChange(e) {
+  quoteSettings.pricebookId = e.target.value || null;
+  if (quoteLines.length > 0) rebuildKeepingLineInputs();
+}
+
+async function onCurrencyChange(e) {
+  quoteSettings.currency = e.target.value;
+  await loadDatedRates();
+  if (quoteLines.length > 0) rebuildKeepingLineInputs();
+}
+
+// Re-prices the preview against the new pricebook or currency, carrying
+// over quantities, discounts and bundle selections the same way a scenario
+// is restored. Lines whose product has no entry there are dropped.
+async function rebuildKeepingLineInputs() {
+  const { lines } = snapshotScenario(null, null);
+  const previous = quoteLines;
+  await buildQuotePreview();
+  if (quoteLines === previous || quoteLines.length === 0) return; // the rebuild failed
+
+  restoreScenarioLines({ lines });
+  recalculate();
+  renderQuoteResults();
+}
+
+function onLocaleChange(e) {
+  displayLocale = e.target.value;
+  if (quoteLines.length > 0) renderQuoteResults();
 }
 
 // ── Load Products ──────────────────────────────────────────────────────────
+// Pages are shown as they arrive: the list appears with the first page and
+// later pages extend it until everything is in or the user stops the load.
+// Catalogs over the Bulk API threshold arrive in a few large pages once
+// Salesforce has finished the export job.
 async function loadProducts() {
+  productLoad = new AbortController();
+  allProducts = [];
+  currentPage = 0;
   try {
     // Fetch all active products with pricebook entries
-    const records = await api.query(`
+    const pages = api.queryPages(`
       SELECT Id, Name, ProductCode, Description, Family,
              IsActive, SBQQ__SubscriptionPricing__c,
              SBQQ__BillingType__c, SBQQ__ChargeType__c
       FROM Product2
       WHERE IsActive = true
       ORDER BY Name
-      LIMIT 2000
-    `);
-
-    allProducts = records;
-    currentPage = 0;
-    renderProductPage(false);
-
-    document.getElementById("productLoadingState").classList.add("hidden");
-    document.getElementById("productListContainer").classList.remove("hidden");
+    `, { signal: productLoad.signal, onBulkJob: showProductExportJob });
+
+    for await (const page of pages) {
+      allProducts = allProducts.concat(page.records);
+      if (page.fetched === page.records.length) {
+        document.getElementById("productLoadingState").classList.add("hidden");
+        document.getElementById("productListContainer").classList.remove("hidden");
+      }
+      fillProductPage();
+      renderProductLoadStatus(page);
+    }
   } catch (err) {
+    if (err.name === "AbortError") {
+      renderProductLoadStatus(null);
+      return;
+    }
+    if (allProducts.length > 0) {
+      renderProductLoadStatus(null, `Stopped after ${allProducts.length.toLocaleString()} products: ${err.message}`);
+      return;
+    }
     showProductError(
       `Failed to load products: ${err.message}. Make sure you're logged in to Salesforce.`
     );
+  } finally {
+    productLoad = null;
+  }
+}
+
+function showProductExportJob(job) {
+  const processed = job.numberRecordsProcessed ? ` — ${job.numberRecordsProcessed.toLocaleString()} products so far` : "";
+  document.getElementById("productLoadingText").textContent =
+    `Large catalog: exporting products with a Bulk API job (${job.state})${processed}…`;
+}
+
+// page is the latest from queryPages, or null once loading stopped early
+function renderProductLoadStatus(page, message = null) {
+  const status = document.getElementById("productLoadStatus");
+  if (page?.done) {
+    status.classList.add("hidden");
+    return;
   }
+  status.classList.remove("hidden");
+  document.getElementById("stopProductsBtn").classList.toggle("hidden", !page);
+  document.getElementById("productLoadLabel").textContent = page
+    ? `Loading products… ${page.fetched.toLocaleString()} of ${page.totalSize.toLocaleString()}`
+    : message || `Loading stopped — showing the first ${allProducts.length.toLocaleString()} products.`;
 }
 
 function getFilteredProducts() {
@@ -103,7 +357,11 @@ function renderProductPage(append = false) {
   });
 
   displayedProducts = filtered.slice(0, end);
+  updateLoadMoreBtn(filtered);
+}
 
+function updateLoadMoreBtn(filtered) {
+  const end = (currentPage + 1) * PAGE_SIZE;
   const loadMoreBtn = document.getElementById("loadMoreBtn");
   if (end < filtered.length) {
     loadMoreBtn.classList.remove("hidden");
@@ -113,6 +371,19 @@ function renderProductPage(append = false) {
   }
 }
 
+// Tops up the pages already shown with products that arrived since, leaving
+// the rest to "Load more"
+function fillProductPage() {
+  const filtered = getFilteredProducts();
+  const list = document.getElementById("productList");
+  const end = (currentPage + 1) * PAGE_SIZE;
+  filtered.slice(list.children.length, end).forEach((product) => {
+    list.appendChild(buildProductItem(product));
+  });
+  displayedProducts = filtered.slice(0, end);
+  updateLoadMoreBtn(filtered);
+}
+
 function loadMoreProducts() {
   currentPage++;
   renderProductPage(true);
@@ -187,14 +458,28 @@ function renderSelectedBar() {
 }
 
 // ── Build Quote Preview ────────────────────────────────────────────────────
+// A fresh preview from the picked products, leaving any loaded quote behind
+function buildFromSelection() {
+  loadedQuote = null;
+  buildQuotePreview();
+}
+
 async function buildQuotePreview() {
   if (selectedProducts.size === 0) return;
 
   showQuoteState("loading");
   document.getElementById("exportQuoteBtn").disabled = true;
+  document.getElementById("saveScenarioBtn").disabled = true;
+  document.getElementById("sendQcpBtn").disabled = true;
 
   try {
-    const productIds = [...selectedProducts.keys()];
+    setQuoteLoadingMsg("Fetching bundle options…");
+    bundles = await fetchBundles([...selectedProducts.keys()]);
+
+    // Option products are priced like any other line, so load them too
+    const productIds = [
+      ...new Set([...selectedProducts.keys(), ...[...bundles.values()].flatMap((b) => b.options.map((o) => o.productId))]),
+    ];
     const productIdList = productIds.map((id) => `'${id}'`).join(",");
 
     // Parallel load: pricebook entries + CPQ rules
@@ -202,20 +487,33 @@ async function buildQuotePreview() {
     const [pricebookEntries, fetchedPriceRules, fetchedProductRules, fetchedApprovalRules] =
       await Promise.all([
         fetchPricebookEntries(productIdList),
-        fetchPriceRules(productIdList),
+        fetchPriceRules(),
         fetchProductRules(productIdList),
         fetchApprovalRules(),
       ]);
 
+    setQuoteLoadingMsg("Fetching discount schedules, block prices and costs…");
+    const [discountSchedules, blockPrices, costs] = await Promise.all([
+      fetchDiscountSchedules(productIdList, pricebookEntries),
+      fetchBlockPrices(productIdList),
+      fetchCosts(productIdList),
+    ]);
+
     setQuoteLoadingMsg("Building quote lines…");
-    quoteLines = buildQuoteLines(pricebookEntries, pricebookEntries);
-    priceRules = fetchedPriceRules;
-    productRules = fetchedProductRules;
+    quoteLines = buildQuoteLines(pricebookEntries, { discountSchedules, blockPrices, costs });
+    priceRules = fetchedPriceRules.rules;
+    priceRuleData = fetchedPriceRules;
+    productRules = fetchedProductRules.rules;
+    productRuleVariables = fetchedProductRules.summaryVariables;
     approvalRules = fetchedApprovalRules;
+    expandedLines = new Set();
+    recalculate();
 
     renderQuoteResults();
     showQuoteState("results");
     document.getElementById("exportQuoteBtn").disabled = false;
+    document.getElementById("saveScenarioBtn").disabled = false;
+    document.getElementById("sendQcpBtn").disabled = false;
   } catch (err) {
     // Fall back gracefully — show whatever we have
     console.error("[CPQ Toolkit] Error building quote preview:", err);
@@ -224,17 +522,68 @@ async function buildQuotePreview() {
   }
 }
 
+/**
+ * Fetch product options, features and option constraints for the selected
+ * products, then for any option that is itself a bundle, down to
+ * MAX_BUNDLE_DEPTH levels.
+ */
+async function fetchBundles(productIds) {
+  const records = { options: [], features: [], constraints: [] };
+  const seen = new Set();
+  let level = productIds;
+
+  for (let depth = 0; depth < MAX_BUNDLE_DEPTH && level.length > 0; depth++) {
+    level.forEach((id) => seen.add(id));
+    const idList = level.map((id) => `'${id}'`).join(",");
+    const [options, features, constraints] = await queryManyOrEmpty([
+      `
+        SELECT Id, SBQQ__ConfiguredSKU__c, SBQQ__OptionalSKU__c, SBQQ__OptionalSKU__r.Name,
+               SBQQ__OptionalSKU__r.ProductCode, SBQQ__Feature__c, SBQQ__Number__c, SBQQ__Type__c,
+               SBQQ__Quantity__c, SBQQ__QuantityEditable__c, SBQQ__MinQuantity__c, SBQQ__MaxQuantity__c,
+               SBQQ__Required__c, SBQQ__Selected__c, SBQQ__Bundled__c, SBQQ__UnitPrice__c
+        FROM SBQQ__ProductOption__c
+        WHERE SBQQ__ConfiguredSKU__c IN (${idList})
+        ORDER BY SBQQ__Number__c ASC NULLS LAST
+      `,
+      `
+        SELECT Id, Name, SBQQ__ConfiguredSKU__c, SBQQ__Number__c, SBQQ__Category__c,
+               SBQQ__MinOptionCount__c, SBQQ__MaxOptionCount__c
+        FROM SBQQ__ProductFeature__c
+        WHERE SBQQ__ConfiguredSKU__c IN (${idList})
+      `,
+      `
+        SELECT Id, Name, SBQQ__ConfiguredSKU__c, SBQQ__Type__c,
+               SBQQ__ConstrainingOption__c, SBQQ__ConstrainedOption__c
+        FROM SBQQ__OptionConstraint__c
+        WHERE SBQQ__ConfiguredSKU__c IN (${idList}) AND SBQQ__Active__c = true
+      `,
+    ]);
+    records.options.push(...options);
+    records.features.push(...features);
+    records.constraints.push(...constraints);
+    level = [...new Set(options.map((o) => o.SBQQ__OptionalSKU__c))].filter((id) => !seen.has(id));
+  }
+
+  return buildBundles(records);
+}
+
 async function fetchPricebookEntries(productIdList) {
+  const pricebookFilter = quoteSettings.pricebookId ? `AND Pricebook2Id = '${quoteSettings.pricebookId}'` : "";
   try {
     return await api.query(`
       SELECT Id, Product2Id, Product2.Name, Product2.ProductCode, Product2.Family,
              Product2.Description, Product2.SBQQ__SubscriptionPricing__c,
              Product2.SBQQ__BillingType__c, Product2.SBQQ__ChargeType__c,
-             UnitPrice, IsActive, Pricebook2.Name, Pricebook2.IsStandard
+             Product2.SBQQ__SubscriptionTerm__c, Product2.SBQQ__DiscountSchedule__c,
+             Product2.SBQQ__TermDiscountSchedule__c, Product2.SBQQ__PricingMethod__c,
+             Product2.SBQQ__PercentOfTotalBase__c,
+             UnitPrice, IsActive, Pricebook2Id, Pricebook2.Name, Pricebook2.IsStandard
       FROM PricebookEntry
       WHERE Product2Id IN (${productIdList})
         AND IsActive = true
         AND Pricebook2.IsActive = true
+        ${pricebookFilter}
+        ${currencyFilter()}
       ORDER BY Pricebook2.IsStandard DESC, UnitPrice ASC
     `);
   } catch {
@@ -248,82 +597,409 @@ async function fetchPricebookEntries(productIdList) {
   }
 }
 
-async function fetchPriceRules(productIdList) {
+/**
+ * Fetch the volume and term discount schedules referenced by the selected
+ * products, plus any product schedules scoped to a specific pricebook —
+ * those override the product's own schedule for lines from that pricebook.
+ */
+async function fetchDiscountSchedules(productIdList, pricebookEntries) {
+  const scheduleIds = new Set();
+  pricebookEntries.forEach((entry) => {
+    if (entry.Product2?.SBQQ__DiscountSchedule__c) scheduleIds.add(entry.Product2.SBQQ__DiscountSchedule__c);
+    if (entry.Product2?.SBQQ__TermDiscountSchedule__c) scheduleIds.add(entry.Product2.SBQQ__TermDiscountSchedule__c);
+  });
+
+  const filters = [`(SBQQ__Product__c IN (${productIdList}) AND SBQQ__Pricebook__c != null)`];
+  if (scheduleIds.size > 0) {
+    filters.push(`Id IN (${[...scheduleIds].map((id) => `'${id}'`).join(",")})`);
+  }
+
+  try {
+    const records = await api.query(`
+      SELECT Id, Name, SBQQ__Type__c, SBQQ__DiscountUnit__c,
+             SBQQ__UsePriceForAmount__c, SBQQ__CrossProducts__c,
+             SBQQ__Product__c, SBQQ__Pricebook__c,
+             (SELECT Id, Name, SBQQ__LowerBound__c, SBQQ__UpperBound__c,
+                     SBQQ__Discount__c, SBQQ__DiscountAmount__c, SBQQ__Price__c
+              FROM SBQQ__DiscountTiers__r
+              ORDER BY SBQQ__LowerBound__c ASC)
+      FROM SBQQ__DiscountSchedule__c
+      WHERE ${filters.join(" OR ")}
+    `);
+    return records.map((r) => normalizeDiscountSchedule(r, r.SBQQ__Pricebook__c ? "pricebook" : "product"));
+  } catch (err) {
+    console.warn("[CPQ Toolkit] Could not load discount schedules:", err.message);
+    return [];
+  }
+}
+
+/**
+ * Pick the schedule that applies to a pricebook entry: a pricebook-scoped
+ * schedule for this product wins over the product's own lookup.
+ */
+function resolveDiscountSchedule(entry, schedules, lookupField) {
+  if (lookupField === "SBQQ__DiscountSchedule__c") {
+    const override = schedules.find(
+      (s) => s.productId === entry.Product2Id && s.pricebookId && s.pricebookId === entry.Pricebook2Id
+    );
+    if (override) return override;
+  }
+  const id = entry.Product2?.[lookupField];
+  return (id && schedules.find((s) => s.id === id)) || null;
+}
+
+async function fetchBlockPrices(productIdList) {
+  try {
+    const records = await api.query(`
+      SELECT Id, Name, SBQQ__Product__c, SBQQ__Pricebook__c,
+             SBQQ__LowerBound__c, SBQQ__UpperBound__c,
+             SBQQ__Price__c, SBQQ__OverageRate__c
+      FROM SBQQ__BlockPrice__c
+      WHERE SBQQ__Product__c IN (${productIdList})
+        ${currencyFilter()}
+      ORDER BY SBQQ__LowerBound__c ASC
+    `);
+    return normalizeBlockPrices(records);
+  } catch (err) {
+    console.warn("[CPQ Toolkit] Could not load block prices:", err.message);
+    return [];
+  }
+}
+
+async function fetchCosts(productIdList) {
   try {
-    // Fetch active price rules and conditions associated with our products
     return await api.query(`
-      SELECT Id, Name, SBQQ__Active__c, SBQQ__Conditions__c,
-             SBQQ__ConditionsMet__c, SBQQ__ErrorMessage__c,
-             SBQQ__EvaluationEvent__c, SBQQ__EvaluationOrder__c
+      SELECT Id, SBQQ__Product__c, SBQQ__UnitCost__c
+      FROM SBQQ__Cost__c
+      WHERE SBQQ__Product__c IN (${productIdList})
+        AND SBQQ__Active__c = true
+        ${currencyFilter()}
+    `);
+  } catch (err) {
+    console.warn("[CPQ Toolkit] Could not load costs:", err.message);
+    return [];
+  }
+}
+
+// Pricebook entries, block prices and costs are per currency in multi-currency orgs
+function currencyFilter() {
+  return isMultiCurrency() ? `AND CurrencyIsoCode = '${quoteSettings.currency}'` : "";
+}
+
+/**
+ * Block prices for a line: bands scoped to the line's pricebook win,
+ * otherwise the product's pricebook-agnostic bands apply.
+ */
+function resolveBlockPrices(entry, blockPrices) {
+  const forProduct = blockPrices.filter((b) => b.productId === entry.Product2Id);
+  const scoped = forProduct.filter((b) => b.pricebookId && b.pricebookId === entry.Pricebook2Id);
+  return scoped.length > 0 ? scoped : forProduct.filter((b) => !b.pricebookId);
+}
+
+/**
+ * Fetch active price rules together with their conditions, actions and
+ * lookup queries, plus the summary variables and lookup-object rows they
+ * reference, shaped for the local rules engine.
+ */
+async function fetchPriceRules() {
+  const empty = { rules: [], summaryVariables: new Map(), lookupData: new Map() };
+  let records;
+  try {
+    records = await api.query(`
+      SELECT Id, Name, SBQQ__Active__c, SBQQ__ConditionsMet__c,
+             SBQQ__AdvancedCondition__c, SBQQ__EvaluationEvent__c,
+             SBQQ__EvaluationOrder__c, SBQQ__TargetObject__c, SBQQ__LookupObject__c
       FROM SBQQ__PriceRule__c
       WHERE SBQQ__Active__c = true
       ORDER BY SBQQ__EvaluationOrder__c ASC NULLS LAST
       LIMIT 200
     `);
+  } catch {
+    return empty;
+  }
+  if (records.length === 0) return empty;
+
+  const ruleIdList = records.map((r) => `'${r.Id}'`).join(",");
+  const [conditions, actions, lookupQueries] = await queryManyOrEmpty([
+    `
+      SELECT Id, SBQQ__Rule__c, SBQQ__Index__c, SBQQ__Object__c, SBQQ__Field__c,
+             SBQQ__TestedVariable__c, SBQQ__TestedFormula__c, SBQQ__Operator__c,
+             SBQQ__FilterType__c, SBQQ__Value__c, SBQQ__FilterVariable__c, SBQQ__FilterFormula__c
+      FROM SBQQ__PriceCondition__c
+      WHERE SBQQ__Rule__c IN (${ruleIdList})
+    `,
+    `
+      SELECT Id, SBQQ__Rule__c, SBQQ__Order__c, SBQQ__TargetObject__c, SBQQ__Field__c,
+             SBQQ__Value__c, SBQQ__ValueField__c, SBQQ__SourceVariable__c,
+             SBQQ__Formula__c, SBQQ__SourceLookupField__c
+      FROM SBQQ__PriceAction__c
+      WHERE SBQQ__Rule__c IN (${ruleIdList})
+    `,
+    `
+      SELECT Id, SBQQ__PriceRule2__c, SBQQ__LookupField__c, SBQQ__Operator__c,
+             SBQQ__TestedObject__c, SBQQ__TestedField__c, SBQQ__MatchType__c, SBQQ__TestedValue__c
+      FROM SBQQ__LookupQuery__c
+      WHERE SBQQ__PriceRule2__c IN (${ruleIdList})
+    `,
+  ]);
+
+  const rules = records.map((record) => normalizePriceRule(record, { conditions, actions, lookupQueries }));
+  const [summaryVariables, lookupData] = await Promise.all([
+    fetchSummaryVariables(conditions, actions),
+    fetchLookupData(rules),
+  ]);
+
+  return { rules, summaryVariables, lookupData };
+}
+
+async function fetchSummaryVariables(conditions, actions) {
+  const ids = new Set();
+  conditions.forEach((c) => {
+    if (c.SBQQ__TestedVariable__c) ids.add(c.SBQQ__TestedVariable__c);
+    if (c.SBQQ__FilterVariable__c) ids.add(c.SBQQ__FilterVariable__c);
+  });
+  actions.forEach((a) => {
+    if (a.SBQQ__SourceVariable__c) ids.add(a.SBQQ__SourceVariable__c);
+  });
+  if (ids.size === 0) return new Map();
+
+  const records = await queryOrEmpty(`
+    SELECT Id, Name, SBQQ__AggregateFunction__c, SBQQ__AggregateField__c,
+           SBQQ__TargetObject__c, SBQQ__FilterField__c, SBQQ__Operator__c,
+           SBQQ__FilterValue__c, SBQQ__CompositeOperator__c
+    FROM SBQQ__SummaryVariable__c
+    WHERE Id IN (${[...ids].map((id) => `'${id}'`).join(",")})
+  `);
+  return new Map(records.map((r) => [r.Id, r]));
+}
+
+/**
+ * Load the rows of every lookup object (price rule lookup tables) with
+ * just the fields the lookup queries and actions read. Objects that fail
+ * to load are left out, and their rules are reported as unsupported.
+ */
+async function fetchLookupData(rules) {
+  const fieldsByObject = new Map();
+  rules.forEach((rule) => {
+    if (!rule.lookupObject || !/^\w+$/.test(rule.lookupObject)) return;
+    const fields = fieldsByObject.get(rule.lookupObject) || new Set(["Id"]);
+    rule.lookupQueries.forEach((q) => q.lookupField && fields.add(q.lookupField));
+    rule.actions.forEach((a) => a.sourceLookupField && fields.add(a.sourceLookupField));
+    fieldsByObject.set(rule.lookupObject, fields);
+  });
+
+  const lookupData = new Map();
+  await Promise.all(
+    [...fieldsByObject].map(async ([objectName, fields]) => {
+      const fieldList = [...fields].filter((f) => /^[\w.]+$/.test(f)).join(", ");
+      try {
+        lookupData.set(objectName, await api.query(`SELECT ${fieldList} FROM ${objectName} LIMIT 2000`));
+      } catch (err) {
+        console.warn(`[CPQ Toolkit] Could not load lookup object ${objectName}:`, err.message);
+      }
+    })
+  );
+  return lookupData;
+}
+
+async function queryOrEmpty(soql) {
+  try {
+    return await api.query(soql);
   } catch {
     return [];
   }
 }
 
+// Several queries in one composite batch call; each one that fails is empty
+async function queryManyOrEmpty(soqls) {
+  try {
+    return (await api.queryMany(soqls)).map(({ records, error }) => (error ? [] : records));
+  } catch {
+    return soqls.map(() => []);
+  }
+}
+
+/**
+ * Fetch active product rules with their error conditions and product
+ * actions. Configuration rules tie Product-scoped rules to the bundles
+ * they run on, so only those linked to the selected products are loaded.
+ */
 async function fetchProductRules(productIdList) {
+  const empty = { rules: [], summaryVariables: new Map() };
+  let records;
   try {
-    return await api.query(`
-      SELECT Id, Name, SBQQ__Active__c, SBQQ__Type__c,
-             SBQQ__Conditions__c, SBQQ__ConditionsMet__c,
-             SBQQ__ErrorMessage__c, SBQQ__EvaluationEvent__c
+    records = await api.query(`
+      SELECT Id, Name, SBQQ__Active__c, SBQQ__Type__c, SBQQ__Scope__c,
+             SBQQ__ConditionsMet__c, SBQQ__AdvancedCondition__c, SBQQ__ErrorMessage__c,
+             SBQQ__EvaluationEvent__c, SBQQ__EvaluationOrder__c
       FROM SBQQ__ProductRule__c
       WHERE SBQQ__Active__c = true
-      ORDER BY Name ASC
+      ORDER BY SBQQ__EvaluationOrder__c ASC NULLS LAST, Name ASC
       LIMIT 200
     `);
   } catch {
-    return [];
+    return empty;
   }
+
+  const configurationRules = await queryOrEmpty(`
+    SELECT Id, SBQQ__Product__c, SBQQ__ProductRule__c
+    FROM SBQQ__ConfigurationRule__c
+    WHERE SBQQ__Active__c = true AND SBQQ__Product__c IN (${productIdList})
+  `);
+  const linkedRuleIds = new Set(configurationRules.map((c) => c.SBQQ__ProductRule__c));
+  records = records.filter((r) => r.SBQQ__Scope__c !== "Product" || linkedRuleIds.has(r.Id));
+  if (records.length === 0) return empty;
+
+  const ruleIdList = records.map((r) => `'${r.Id}'`).join(",");
+  const [conditions, actions] = await queryManyOrEmpty([
+    `
+      SELECT Id, SBQQ__Rule__c, SBQQ__Index__c, SBQQ__TestedObject__c, SBQQ__TestedField__c,
+             SBQQ__TestedVariable__c, SBQQ__Operator__c, SBQQ__FilterType__c,
+             SBQQ__FilterValue__c, SBQQ__FilterVariable__c
+      FROM SBQQ__ErrorCondition__c
+      WHERE SBQQ__Rule__c IN (${ruleIdList})
+    `,
+    `
+      SELECT Id, SBQQ__Rule__c, SBQQ__Type__c, SBQQ__Product__c, SBQQ__Product__r.Name,
+             SBQQ__Required__c, SBQQ__FilterField__c, SBQQ__Operator__c,
+             SBQQ__FilterValue__c, SBQQ__ValueField__c
+      FROM SBQQ__ProductAction__c
+      WHERE SBQQ__Rule__c IN (${ruleIdList})
+    `,
+  ]);
+
+  return {
+    rules: records.map((record) => normalizeProductRule(record, { conditions, actions, configurationRules })),
+    summaryVariables: await fetchSummaryVariables(conditions, []),
+  };
 }
 
+/**
+ * Fetch active approval rules and their conditions — Advanced Approvals
+ * (sbaa__) when the package is installed, otherwise legacy CPQ approvals.
+ */
 async function fetchApprovalRules() {
-  try {
-    return await api.query(`
-      SELECT Id, Name, SBQQ__Active__c, SBQQ__ApprovalStep__c,
-             SBQQ__ApprovalChain__r.Name, SBQQ__Conditions__c,
-             SBQQ__ConditionsMet__c
-      FROM SBQQ__ApprovalRule__c
-      WHERE SBQQ__Active__c = true
-      ORDER BY SBQQ__ApprovalStep__c ASC NULLS LAST
-      LIMIT 200
+  for (const namespace of ["sbaa__", "SBQQ__"]) {
+    let records;
+    try {
+      records = await api.query(`
+        SELECT Id, Name, ${namespace}TargetObject__c, ${namespace}ConditionsMet__c,
+               ${namespace}AdvancedCondition__c, ${namespace}ApprovalStep__c,
+               ${namespace}ApprovalChain__c, ${namespace}ApprovalChain__r.Name,
+               ${namespace}Approver__r.Name, ${namespace}ApproverField__c
+        FROM ${namespace}ApprovalRule__c
+        WHERE ${namespace}Active__c = true
+        ORDER BY ${namespace}ApprovalStep__c ASC NULLS LAST
+        LIMIT 200
+      `);
+    } catch {
+      continue; // namespace not installed — try the next one
+    }
+    if (records.length === 0) return [];
+
+    const conditions = await queryOrEmpty(`
+      SELECT Id, ${namespace}ApprovalRule__c, ${namespace}Index__c, ${namespace}TestedField__c,
+             ${namespace}TestedVariable__c, ${namespace}Operator__c, ${namespace}FilterType__c,
+             ${namespace}FilterValue__c, ${namespace}FilterField__c, ${namespace}FilterVariable__c
+      FROM ${namespace}ApprovalCondition__c
+      WHERE ${namespace}ApprovalRule__c IN (${records.map((r) => `'${r.Id}'`).join(",")})
     `);
-  } catch {
-    return [];
+    return records.map((record) => normalizeApprovalRule(record, { conditions, namespace }));
   }
+  return [];
 }
 
-function buildQuoteLines(pricebookEntries) {
+/**
+ * One line per selected product, each followed by its bundle options
+ * (default selection) as a nested line hierarchy.
+ */
+function buildQuoteLines(pricebookEntries, pricingData = {}) {
+  linePricingData = pricingData;
   // Deduplicate: keep best (standard pricebook) entry per product
-  const seen = new Set();
-  const lines = [];
-
+  pricebookEntryByProduct = new Map();
   pricebookEntries.forEach((entry) => {
-    if (seen.has(entry.Product2Id)) return;
-    seen.add(entry.Product2Id);
-
-    const product = entry.Product2 || selectedProducts.get(entry.Product2Id) || {};
-    lines.push({
-      productId: entry.Product2Id,
-      productName: product.Name || "Unknown Product",
-      productCode: product.ProductCode || "",
-      family: product.Family || "",
-      listPrice: entry.UnitPrice || 0,
-      unitPrice: entry.UnitPrice || 0,
-      quantity: 1,
-      discount: 0,
-      pricebookName: entry.Pricebook2?.Name || "Standard",
-      subscriptionPricing: product.SBQQ__SubscriptionPricing__c,
-      billingType: product.SBQQ__BillingType__c,
-      chargeType: product.SBQQ__ChargeType__c,
-      description: product.Description || "",
-    });
+    if (!pricebookEntryByProduct.has(entry.Product2Id)) pricebookEntryByProduct.set(entry.Product2Id, entry);
+  });
+  if (loadedQuote) return buildLinesFromQuote(loadedQuote);
+
+  const lines = [];
+  pricebookEntryByProduct.forEach((entry, productId) => {
+    if (!selectedProducts.has(productId)) return;
+    lines.push(...buildLineTree(createQuoteLine(entry, 0)));
   });
+  return lines;
+}
+
+function createQuoteLine(entry, depth) {
+  const { discountSchedules = [], blockPrices = [], costs = [] } = linePricingData;
+  const product = entry.Product2 || selectedProducts.get(entry.Product2Id) || {};
+  return {
+    key: `line-${++lineKeySeq}`,
+    productId: entry.Product2Id,
+    productName: product.Name || "Unknown Product",
+    productCode: product.ProductCode || "",
+    family: product.Family || "",
+    listPrice: entry.UnitPrice || 0,
+    unitPrice: entry.UnitPrice || 0,
+    quantity: 1,
+    discount: null, // blank → falls back to the quote-level additional discount
+    additionalDiscountAmount: null,
+    specialPrice: null,
+    partnerDiscount: null,
+    distributorDiscount: null,
+    pricebookId: entry.Pricebook2Id || null,
+    pricebookName: entry.Pricebook2?.Name || "Standard",
+    subscriptionTerm: product.SBQQ__SubscriptionTerm__c ?? null,
+    discountSchedule: resolveDiscountSchedule(entry, discountSchedules, "SBQQ__DiscountSchedule__c"),
+    termDiscountSchedule: resolveDiscountSchedule(entry, discountSchedules, "SBQQ__TermDiscountSchedule__c"),
+    pricingMethod: product.SBQQ__PricingMethod__c || "List",
+    blockPrices: resolveBlockPrices(entry, blockPrices),
+    unitCost: costs.find((c) => c.SBQQ__Product__c === entry.Product2Id)?.SBQQ__UnitCost__c ?? null,
+    markupRate: null,
+    markupAmount: null,
+    percentOfTotal: null,
+    percentOfTotalBase: product.SBQQ__PercentOfTotalBase__c || "List",
+    subscriptionPricing: product.SBQQ__SubscriptionPricing__c,
+    billingType: product.SBQQ__BillingType__c,
+    chargeType: product.SBQQ__ChargeType__c,
+    description: product.Description || "",
+    bundle: depth < MAX_BUNDLE_DEPTH ? bundles.get(entry.Product2Id) || null : null,
+    depth,
+    parentKey: null,
+    option: null, // SBQQ__ProductOption__c this line was selected from
+    optionQuantity: null, // per-bundle quantity; components multiply it by the parent's
+    bundled: false,
+  };
+}
+
+function createOptionLine(parent, option, optionQuantity) {
+  // Options without a pricebook entry still show up, priced at zero
+  const entry = pricebookEntryByProduct.get(option.productId) || {
+    Product2Id: option.productId,
+    Product2: { Name: option.productName, ProductCode: option.productCode },
+    UnitPrice: 0,
+  };
+  const line = createQuoteLine(entry, parent.depth + 1);
+  line.parentKey = parent.key;
+  line.option = option;
+  line.optionQuantity = optionQuantity;
+  line.quantity = optionLineQuantity(option, optionQuantity, parent.quantity);
+  line.bundled = option.bundled;
+  if (option.unitPrice !== null) {
+    line.specialPrice = option.unitPrice;
+    line.specialPriceType = "Option";
+  }
+  return line;
+}
 
+// A line followed by the option lines of its default bundle configuration
+function buildLineTree(line) {
+  if (!line.bundle) return [line];
+  const lines = [line];
+  defaultSelection(line.bundle).forEach((qty, optionId) => {
+    const option = line.bundle.options.find((o) => o.id === optionId);
+    lines.push(...buildLineTree(createOptionLine(line, option, qty)));
+  });
   return lines;
 }
 
@@ -346,31 +1022,41 @@ function switchTab(tab) {
       renderLinesTab(content);
       break;
     case "priceRules":
-      renderRulesTab(content, "Price Rules", priceRules, renderPriceRuleItem);
+      renderPriceRulesTab(content);
       break;
     case "productRules":
-      renderRulesTab(content, "Product Rules", productRules, renderProductRuleItem);
+      renderProductRulesTab(content);
       break;
     case "approvals":
-      renderRulesTab(content, "Approval Rules", approvalRules, renderApprovalRuleItem);
+      renderApprovalsTab(content);
+      break;
+    case "bundles":
+      renderBundlesTab(content);
+      break;
+    case "scenarios":
+      renderScenariosTab(content);
       break;
   }
 }
 
 function renderLinesTab(container) {
-  const total = calcTotal();
-  const netTotal = calcNetTotal();
+  const total = quoteTotals ? quoteTotals.listTotal : 0;
+  const netTotal = quoteTotals ? quoteTotals.netTotal : 0;
 
   container.innerHTML = `
+    ${renderLoadedQuoteBar()}
+    ${renderProductRuleBanner()}
+    ${renderApprovalBanner()}
     <div class="quote-summary">
       <div class="quote-summary-header">
         <div>
           <div style="font-size:14px;font-weight:700;margin-bottom:2px">📋 Simulated Quote Preview</div>
-          <div style="font-size:12px;color:var(--color-text-muted)">${quoteLines.length} product${quoteLines.length !== 1 ? "s" : ""} · Prices from Standard Pricebook · No actual quote created</div>
+          <div style="font-size:12px;color:var(--color-text-muted)">${quoteLines.length} line${quoteLines.length !== 1 ? "s" : ""} · Prices from ${escHtml(pricebookName())}${isMultiCurrency() ? ` in ${escHtml(quoteSettings.currency)}` : ""} · No actual quote created${renderMissingProducts()}</div>
         </div>
         <div class="quote-total">
           <div class="quote-total-label">Net Total</div>
           <div class="quote-total-amount" id="netTotalDisplay">${formatCurrency(netTotal)}</div>
+          ${renderCorporateEquivalent(netTotal)}
         </div>
       </div>
       <div style="padding:12px 16px;display:flex;gap:24px;flex-wrap:wrap;border-bottom:1px solid var(--color-border)">
@@ -386,11 +1072,35 @@ function renderLinesTab(container) {
           <div style="font-size:11px;color:var(--color-text-muted);text-transform:uppercase;letter-spacing:0.06em">Avg Discount</div>
           <div style="font-size:16px;font-weight:700;color:var(--color-gold)">${calcAvgDiscount()}%</div>
         </div>
+        <div>
+          <div style="font-size:11px;color:var(--color-text-muted);text-transform:uppercase;letter-spacing:0.06em">Annualized Recurring</div>
+          <div style="font-size:16px;font-weight:700;color:var(--color-text)">${formatCurrency(quoteTotals ? quoteTotals.annualTotal : 0)}</div>
+        </div>
+        <div>
+          <div style="font-size:11px;color:var(--color-text-muted);text-transform:uppercase;letter-spacing:0.06em">One-Time</div>
+          <div style="font-size:16px;font-weight:700;color:var(--color-text)">${formatCurrency(quoteTotals ? quoteTotals.oneTimeTotal : 0)}</div>
+        </div>
       </div>
+      <div class="quote-settings">
+        <label class="quote-setting">
+          <span>Additional Disc. %</span>
+          <input type="number" class="discount-input" value="${quoteSettings.additionalDiscount ?? ""}" min="0" max="100" step="0.5" data-quote-field="additionalDiscount" placeholder="0">
+        </label>
+        <label class="quote-setting">
+          <span>Partner Disc. %</span>
+          <input type="number" class="discount-input" value="${quoteSettings.partnerDiscount ?? ""}" min="0" max="100" step="0.5" data-quote-field="partnerDiscount" placeholder="0">
+        </label>
+        <label class="quote-setting">
+          <span>Distributor Disc. %</span>
+          <input type="number" class="discount-input" value="${quoteSettings.distributorDiscount ?? ""}" min="0" max="100" step="0.5" data-quote-field="distributorDiscount" placeholder="0">
+        </label>
+      </div>
+      ${renderTermSettings()}
       <div class="table-wrap" style="border:none;border-radius:0">
         <table>
           <thead>
             <tr>
+              <th style="width:28px"></th>
               <th>Product</th>
               <th>Code</th>
               <th>Qty</th>
@@ -405,11 +1115,78 @@ function renderLinesTab(container) {
       </div>
     </div>
     <div style="background:rgba(224,159,62,0.08);border:1px solid rgba(224,159,62,0.2);border-radius:var(--radius);padding:12px 16px;font-size:12px;color:var(--color-text-muted)">
-      💡 <strong style="color:var(--color-gold-light)">Tip:</strong> Adjust quantities and discounts to explore different scenarios. CPQ price rules may override these values in production — check the Price Rules tab to see what's configured.
+      💡 <strong style="color:var(--color-gold-light)">Tip:</strong> Click a line to see its price waterfall, from list price down to net. Active calculator price rules are simulated locally — check the Price Rules tab for what fired and what couldn't be simulated.
     </div>
   `;
 
+  container.querySelectorAll("[data-quote-field]").forEach((input) => {
+    input.addEventListener("change", onQuoteSettingChange);
+  });
+  document.getElementById("unlockQuoteBtn")?.addEventListener("click", unlockLoadedQuote);
+
   renderQuoteLineRows();
+  lockQuoteInputs(container);
+}
+
+function pricebookName() {
+  return pricebooks.find((pb) => pb.Id === quoteSettings.pricebookId)?.Name || "Standard Pricebook";
+}
+
+// Selected products left off the quote because they have no entry in this pricebook/currency
+function renderMissingProducts() {
+  const missing = [...selectedProducts.values()].filter((p) => !quoteLines.some((l) => l.productId === p.Id));
+  if (missing.length === 0) return "";
+  return `<div style="color:var(--color-error);margin-top:2px" title="${escHtml(missing.map((p) => p.Name).join(", "))}">⚠ ${missing.length} selected product${missing.length !== 1 ? "s have" : " has"} no active entry in this pricebook${isMultiCurrency() ? " and currency" : ""}</div>`;
+}
+
+function renderCorporateEquivalent(amount) {
+  const corporate = corporateCurrency();
+  if (!corporate || corporate === quoteSettings.currency) return "";
+  const rate = conversionRate();
+  return `<div style="font-size:11px;color:var(--color-text-muted)" title="Rate ${rate} ${escHtml(quoteSettings.currency)} per ${escHtml(corporate)}${datedRates.length ? " (dated)" : ""}">≈ ${formatCurrency(amount / rate, corporate)}</div>`;
+}
+
+/**
+ * Quote start/end date and subscription term, which drive proration for
+ * every subscription line.
+ */
+function renderTermSettings() {
+  const derivedEnd = endDateForTerm(
+    quoteSettings.startDate,
+    quoteSettings.subscriptionTerm ?? DEFAULT_SUBSCRIPTION_TERM,
+    quoteSettings.termUnit
+  );
+  const precisionOptions = PRORATE_PRECISIONS.map(
+    (p) => `<option value="${p}"${p === quoteSettings.prorationPrecision ? " selected" : ""}>${p}</option>`
+  ).join("");
+  const unitOptions = ["Month", "Day"]
+    .map((u) => `<option value="${u}"${u === quoteSettings.termUnit ? " selected" : ""}>${u}</option>`)
+    .join("");
+
+  return `
+    <div class="quote-settings">
+      <label class="quote-setting">
+        <span>Start Date</span>
+        <input type="date" class="date-input" value="${quoteSettings.startDate || ""}" data-quote-field="startDate">
+      </label>
+      <label class="quote-setting">
+        <span>End Date</span>
+        <input type="date" class="date-input" value="${quoteSettings.endDate || ""}" data-quote-field="endDate" title="${quoteSettings.endDate ? "" : `Derived from term: ${derivedEnd || "—"}`}">
+      </label>
+      <label class="quote-setting">
+        <span>Term (${quoteSettings.termUnit === "Day" ? "days" : "months"})</span>
+        <input type="number" class="discount-input" value="${quoteSettings.subscriptionTerm ?? ""}" min="1" step="1" data-quote-field="subscriptionTerm" placeholder="Product" ${quoteSettings.endDate ? "disabled title=\"End date is set — term is derived from the dates\"" : ""}>
+      </label>
+      <label class="quote-setting">
+        <span>Prorate Precision</span>
+        <select class="setting-select" data-quote-field="prorationPrecision">${precisionOptions}</select>
+      </label>
+      <label class="quote-setting">
+        <span>Term Unit</span>
+        <select class="setting-select" data-quote-field="termUnit">${unitOptions}</select>
+      </label>
+    </div>
+  `;
 }
 
 function renderQuoteLineRows() {
@@ -418,178 +1195,1549 @@ function renderQuoteLineRows() {
   tbody.innerHTML = "";
 
   quoteLines.forEach((line, idx) => {
-    const netPrice = line.unitPrice * (1 - line.discount / 100);
-    const lineTotal = netPrice * line.quantity;
+    const pricing = line.pricing;
+    const isOpen = expandedLines.has(line.key);
 
     const tr = document.createElement("tr");
+    tr.className = "expand-row";
     tr.innerHTML = `
-      <td>
-        <div style="font-weight:600;font-size:13px">${escHtml(line.productName)}</div>
+      <td><span class="expand-icon${isOpen ? " open" : ""}">▸</span></td>
+      <td style="padding-left:${12 + line.depth * 20}px">
+        <div style="font-weight:600;font-size:13px">${line.depth ? `<span class="bundle-indent">↳</span>` : ""}${escHtml(line.productName)}</div>
         ${line.family ? `<div style="font-size:11px;color:var(--color-text-muted)">${escHtml(line.family)}</div>` : ""}
-        ${line.subscriptionPricing ? `<span class="badge badge-gold" style="margin-top:3px">Subscription</span>` : ""}
+        ${renderBundleBadge(line)}
+        ${renderSubscriptionBadge(pricing.subscription)}
+        ${renderTierBadge(pricing.volumeSchedule)}
+        ${renderRuleBadge(line)}
       </td>
       <td><code style="font-size:11px;color:var(--color-text-muted)">${escHtml(line.productCode)}</code></td>
-      <td><input type="number" class="qty-input" value="${line.quantity}" min="1" data-idx="${idx}" data-field="quantity"></td>
-      <td>${formatCurrency(line.listPrice)}</td>
-      <td><input type="number" class="discount-input" value="${line.discount}" min="0" max="100" step="0.5" data-idx="${idx}" data-field="discount">%</td>
-      <td>${formatCurrency(netPrice)}</td>
-      <td style="font-weight:700;color:var(--color-gold)">${formatCurrency(lineTotal)}</td>
+      <td>${renderQuantityInput(line, idx)}</td>
+      <td>
+        ${formatCurrency(pricing.listPrice)}
+        <div class="pricing-method" title="SBQQ__PricingMethod__c">${escHtml(pricing.pricingMethod)}${pricing.pricingMethod === "Block" ? " · flat" : ""}</div>
+      </td>
+      <td><input type="number" class="discount-input" value="${line.discount ?? ""}" min="0" max="100" step="0.5" data-idx="${idx}" data-field="discount" placeholder="${quoteSettings.additionalDiscount ?? 0}">%</td>
+      <td>${formatCurrency(pricing.netPrice)}${renderStoredDiff(line)}</td>
+      <td style="font-weight:700;color:var(--color-gold)">${formatCurrency(pricing.netTotal)}</td>
     `;
 
+    tr.addEventListener("click", (e) => {
+      if (e.target.tagName === "INPUT") return;
+      toggleLineBreakdown(line.key);
+    });
+
+    const detailRow = document.createElement("tr");
+    detailRow.className = "breakdown-row";
+    detailRow.style.display = isOpen ? "table-row" : "none";
+    detailRow.innerHTML = `<td colspan="8">${renderLineBreakdown(line, idx)}</td>`;
+
     tbody.appendChild(tr);
+    tbody.appendChild(detailRow);
   });
 
   // Wire up inputs
-  tbody.querySelectorAll("input").forEach((input) => {
+  tbody.querySelectorAll("input[data-field]").forEach((input) => {
     input.addEventListener("change", onLineInputChange);
   });
+  lockQuoteInputs(tbody);
 }
 
-function onLineInputChange(e) {
-  const idx = parseInt(e.target.dataset.idx);
-  const field = e.target.dataset.field;
-  const val = parseFloat(e.target.value) || 0;
-
-  if (field === "quantity") {
-    quoteLines[idx].quantity = Math.max(1, Math.round(val));
-    e.target.value = quoteLines[idx].quantity;
-  } else if (field === "discount") {
-    quoteLines[idx].discount = Math.min(100, Math.max(0, val));
-    e.target.value = quoteLines[idx].discount;
+function renderQuantityInput(line, idx) {
+  if (!line.parentKey) {
+    return `<input type="number" class="qty-input" value="${line.quantity}" min="1" data-idx="${idx}" data-field="quantity">`;
   }
+  // Option lines edit their per-bundle quantity
+  const { option } = line;
+  return `
+    <input type="number" class="qty-input" value="${line.optionQuantity}" min="${option.minQuantity ?? 0}" ${option.maxQuantity !== null ? `max="${option.maxQuantity}"` : ""} data-idx="${idx}" data-field="quantity" ${option.quantityEditable ? "" : "disabled title=\"Quantity is not editable on this option\""}>
+    ${option.type === "Component" ? `<div class="pricing-method" title="Component quantity scales with the bundle">× bundle = ${line.quantity}</div>` : ""}
+  `;
+}
 
-  // Recalculate totals
-  document.getElementById("netTotalDisplay").textContent = formatCurrency(calcNetTotal());
-  renderQuoteLineRows();
+function renderBundleBadge(line) {
+  if (line.bundle) return `<span class="badge badge-muted" style="margin-top:3px">Bundle</span>`;
+  if (!line.option) return "";
+  return `<span class="badge badge-muted" style="margin-top:3px" title="SBQQ__ProductOption__c type">${escHtml(line.option.type)}${line.bundled ? " · bundled" : ""}</span>`;
 }
 
-function renderRulesTab(container, title, rules, itemRenderer) {
-  if (rules.length === 0) {
-    container.innerHTML = `
-      <div class="empty-state">
-        <div class="empty-icon">📭</div>
-        <h3 style="color:var(--color-text);font-size:16px">No ${title} Found</h3>
-        <p style="max-width:320px">No active ${title.toLowerCase()} were found in your org. This could mean none are configured, or you may not have read access to the rule objects.</p>
-      </div>
-    `;
-    return;
-  }
+function renderSubscriptionBadge(subscription) {
+  if (!subscription) return "";
+  const unit = subscription.unit === "Day" ? "d" : "mo";
+  const term = Math.round(subscription.term * 100) / 100;
+  return `<span class="badge badge-gold" style="margin-top:3px" title="${escHtml(subscription.note)}">Subscription · ${term} ${unit}${subscription.prorateMultiplier !== 1 ? ` · ×${subscription.prorateMultiplier}` : ""}</span>`;
+}
 
-  container.innerHTML = `
-    <div style="margin-bottom:12px">
-      <span class="badge badge-muted" style="font-size:12px">${rules.length} active rule${rules.length !== 1 ? "s" : ""}</span>
-    </div>
-    <div class="rule-card">
-      <div class="rule-card-header">
-        <span class="rule-card-icon">📐</span>
-        <span class="rule-card-title">${escHtml(title)}</span>
-        <span class="rule-card-count">${rules.length}</span>
-      </div>
-      <div class="rule-list" id="ruleList"></div>
-    </div>
-  `;
+function renderRuleBadge(line) {
+  const names = [...new Set(ruleChangesForLine(line).map((c) => c.rule.name))];
+  if (names.length === 0) return "";
+  return `<span class="badge badge-crimson" style="margin-top:3px" title="${escHtml(names.join(", "))}">⚡ ${names.length} price rule${names.length !== 1 ? "s" : ""}</span>`;
+}
 
-  const list = container.querySelector("#ruleList");
-  rules.forEach((rule) => {
-    list.appendChild(itemRenderer(rule));
-  });
+function renderTierBadge(result) {
+  if (!result) return "";
+  const tier = result.tiers[result.tiers.length - 1]?.tier;
+  const title = `${result.schedule.name} (${result.schedule.type}${result.schedule.source === "pricebook" ? ", pricebook override" : ""})`;
+  if (!tier) {
+    return `<span class="badge badge-muted" style="margin-top:3px" title="${escHtml(title)}">No tier</span>`;
+  }
+  return `<span class="badge badge-success" style="margin-top:3px" title="${escHtml(title)}">${escHtml(describeTier(result.schedule, tier))}</span>`;
 }
 
-function renderPriceRuleItem(rule) {
-  const div = document.createElement("div");
-  div.className = "rule-item rule-active";
-  div.innerHTML = `
-    <span class="rule-item-icon">💲</span>
-    <div class="rule-item-body">
-      <div class="rule-item-name">${escHtml(rule.Name)}</div>
-      <div class="rule-item-meta">
-        ${rule.SBQQ__EvaluationEvent__c ? `Fires on: <strong>${escHtml(rule.SBQQ__EvaluationEvent__c)}</strong>` : ""}
-        ${rule.SBQQ__EvaluationOrder__c ? ` · Order: ${rule.SBQQ__EvaluationOrder__c}` : ""}
-        ${rule.SBQQ__ConditionsMet__c ? ` · Conditions: ${escHtml(rule.SBQQ__ConditionsMet__c)}` : ""}
+/**
+ * Per-line price waterfall: one row per CPQ pricing stage, with a bar
+ * scaled against the list price so the biggest drops stand out.
+ */
+function renderLineBreakdown(line, idx) {
+  const pricing = line.pricing;
+  const scale = Math.max(...pricing.stages.map((s) => Math.abs(s.unitPrice)), 0.01);
+
+  const stageRows = pricing.stages
+    .map((stage) => {
+      const width = Math.max(0, Math.min(100, (stage.unitPrice / scale) * 100));
+      const change = stage.change
+        ? `<span style="color:${stage.change < 0 ? "var(--color-success)" : "var(--color-crimson-light)"}">${stage.change < 0 ? "−" : "+"}${formatCurrency(Math.abs(stage.change))}</span>`
+        : `<span style="color:var(--color-text-subtle)">—</span>`;
+      return `
+        <div class="waterfall-row">
+          <div class="waterfall-label" title="${escHtml(stage.field)}">${escHtml(stage.label)}</div>
+          <div class="waterfall-bar-track"><div class="waterfall-bar waterfall-${stage.key}" style="width:${width}%"></div></div>
+          <div class="waterfall-price">${formatCurrency(stage.unitPrice)}</div>
+          <div class="waterfall-change">${change}</div>
+          <div class="waterfall-note">${escHtml(stage.note)}</div>
+        </div>
+      `;
+    })
+    .join("");
+
+  return `
+    <div class="line-breakdown">
+      <div class="waterfall">
+        ${stageRows}
+        ${renderSubscriptionSummary(pricing)}
+        ${renderScheduleTiers(pricing.volumeSchedule, "Volume discount schedule")}
+        ${renderScheduleTiers(pricing.termSchedule, "Term discount schedule")}
+        ${renderLineRuleChanges(line)}
+      </div>
+      <div class="line-breakdown-inputs">
+        ${renderPricingMethodInputs(line, idx)}
+        <label class="quote-setting">
+          <span>Special Price</span>
+          <input type="number" class="discount-input" value="${line.specialPrice ?? ""}" min="0" step="0.01" data-idx="${idx}" data-field="specialPrice" placeholder="—">
+        </label>
+        <label class="quote-setting">
+          <span>Add'l Disc. Amount</span>
+          <input type="number" class="discount-input" value="${line.additionalDiscountAmount ?? ""}" min="0" step="0.01" data-idx="${idx}" data-field="additionalDiscountAmount" placeholder="—">
+        </label>
+        <label class="quote-setting">
+          <span>Partner Disc. %</span>
+          <input type="number" class="discount-input" value="${line.partnerDiscount ?? ""}" min="0" max="100" step="0.5" data-idx="${idx}" data-field="partnerDiscount" placeholder="${quoteSettings.partnerDiscount ?? 0}">
+        </label>
+        <label class="quote-setting">
+          <span>Distributor Disc. %</span>
+          <input type="number" class="discount-input" value="${line.distributorDiscount ?? ""}" min="0" max="100" step="0.5" data-idx="${idx}" data-field="distributorDiscount" placeholder="${quoteSettings.distributorDiscount ?? 0}">
+        </label>
       </div>
-      ${rule.SBQQ__ErrorMessage__c ? `<div style="font-size:11px;color:var(--color-error);margin-top:2px">⚠ ${escHtml(rule.SBQQ__ErrorMessage__c)}</div>` : ""}
     </div>
   `;
-  return div;
 }
 
-function renderProductRuleItem(rule) {
-  const typeColors = {
-    Alert: "badge-crimson",
-    Validation: "badge-crimson",
-    Selection: "badge-gold",
-    Filter: "badge-muted",
-  };
-  const badgeClass = typeColors[rule.SBQQ__Type__c] || "badge-muted";
-
-  const div = document.createElement("div");
-  div.className = "rule-item rule-active";
-  div.innerHTML = `
-    <span class="rule-item-icon">🔧</span>
-    <div class="rule-item-body">
-      <div class="rule-item-name">${escHtml(rule.Name)}</div>
-      <div class="rule-item-meta" style="display:flex;align-items:center;gap:6px;flex-wrap:wrap;margin-top:3px">
-        ${rule.SBQQ__Type__c ? `<span class="badge ${badgeClass}">${escHtml(rule.SBQQ__Type__c)}</span>` : ""}
-        ${rule.SBQQ__EvaluationEvent__c ? `<span>Fires on: <strong>${escHtml(rule.SBQQ__EvaluationEvent__c)}</strong></span>` : ""}
-        ${rule.SBQQ__ConditionsMet__c ? `<span>Conditions: ${escHtml(rule.SBQQ__ConditionsMet__c)}</span>` : ""}
-      </div>
-      ${rule.SBQQ__ErrorMessage__c ? `<div style="font-size:11px;color:var(--color-error);margin-top:4px">⚠ ${escHtml(rule.SBQQ__ErrorMessage__c)}</div>` : ""}
+/**
+ * Price rule writes on this line, so it's clear which waterfall inputs
+ * came from a rule rather than from the fields below.
+ */
+function renderLineRuleChanges(line) {
+  const changes = ruleChangesForLine(line);
+  if (changes.length === 0) return "";
+  const rows = changes
+    .map(
+      (c) => `
+        <div class="rule-change">
+          <strong>${escHtml(c.rule.name)}</strong>
+          <span style="color:var(--color-text-subtle)">${escHtml(c.event)}</span>
+          ${renderFieldChange(c, LINE_FIELD_INPUTS)}
+        </div>
+      `
+    )
+    .join("");
+  return `
+    <div class="schedule-tiers">
+      <div class="schedule-tiers-title">Price rules applied to this line</div>
+      ${rows}
     </div>
   `;
-  return div;
 }
 
-function renderApprovalRuleItem(rule) {
+function renderFieldChange(change, pricingInputs) {
+  const repriced = change.field in pricingInputs;
+  return `
+    <code>${escHtml(change.field)}</code>
+    ${escHtml(formatRuleValue(change.from))} → <strong>${escHtml(formatRuleValue(change.to))}</strong>
+    ${repriced ? "" : `<span style="color:var(--color-text-subtle)" title="Not a pricing input — shown on the record only">(record only)</span>`}
+  `;
+}
+
+function formatRuleValue(value) {
+  if (value === null || value === undefined || value === "") return "blank";
+  if (typeof value === "number") return String(Math.round(value * 10000) / 10000);
+  return String(value);
+}
+
+function renderPricingMethodInputs(line, idx) {
+  if (line.pricingMethod === "Cost") {
+    return `
+      <label class="quote-setting">
+        <span>Markup %</span>
+        <input type="number" class="discount-input" value="${line.markupRate ?? ""}" min="0" step="0.5" data-idx="${idx}" data-field="markupRate" placeholder="0">
+      </label>
+      <label class="quote-setting">
+        <span>Markup Amount</span>
+        <input type="number" class="discount-input" value="${line.markupAmount ?? ""}" min="0" step="0.01" data-idx="${idx}" data-field="markupAmount" placeholder="—">
+      </label>
+    `;
+  }
+  if (line.pricingMethod === "Percent Of Total") {
+    return `
+      <label class="quote-setting">
+        <span>% of ${escHtml(line.percentOfTotalBase)} Total</span>
+        <input type="number" class="discount-input" value="${line.percentOfTotal ?? ""}" min="0" step="0.5" data-idx="${idx}" data-field="percentOfTotal" placeholder="0">
+      </label>
+      ${(line.percentOfTotal ?? "") === "" ? `<div style="font-size:11px;color:var(--color-error)">⚠ No percent set — this line is priced at 0</div>` : ""}
+    `;
+  }
+  return "";
+}
+
+function renderSubscriptionSummary(pricing) {
+  const sub = pricing.subscription;
+  if (!sub) return "";
+  const unit = sub.unit === "Day" ? "days" : "months";
+  const source = { dates: "quote dates", quote: "quote term", product: "product term" }[sub.source];
+  return `
+    <div class="schedule-tiers">
+      <div class="schedule-tiers-title">
+        Subscription: <strong>${Math.round(sub.term * 100) / 100} ${unit}</strong> from ${source}
+        · product term ${sub.productTerm} ${unit}
+        · prorate multiplier <strong>${sub.prorateMultiplier}</strong>
+        · total contract value <strong>${formatCurrency(pricing.netTotal)}</strong>
+        · annualized <strong>${formatCurrency(pricing.annualTotal)}</strong>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Full tier table for a schedule, highlighting the tier(s) the line hit.
+ */
+function renderScheduleTiers(result, title) {
+  if (!result) return "";
+  const { schedule } = result;
+  const hit = new Set(result.tiers.map((t) => t.tier.id));
+  const rows = schedule.tiers
+    .map(
+      (tier) => `
+        <span class="schedule-tier${hit.has(tier.id) ? " hit" : ""}">${escHtml(describeTier(schedule, tier))}</span>
+      `
+    )
+    .join("");
+  return `
+    <div class="schedule-tiers">
+      <div class="schedule-tiers-title">
+        ${escHtml(title)}: <strong>${escHtml(schedule.name)}</strong>
+        · ${escHtml(schedule.type)}${schedule.crossProducts ? " · cross-product" : ""}${schedule.source === "pricebook" ? " · pricebook override" : ""}
+        · qty ${result.quantity}
+      </div>
+      <div class="schedule-tier-list">${rows || `<span class="schedule-tier">No tiers defined</span>`}</div>
+    </div>
+  `;
+}
+
+function toggleLineBreakdown(key) {
+  if (expandedLines.has(key)) {
+    expandedLines.delete(key);
+  } else {
+    expandedLines.add(key);
+  }
+  renderQuoteLineRows();
+}
+
+function onLineInputChange(e) {
+  const idx = parseInt(e.target.dataset.idx);
+  const field = e.target.dataset.field;
+  const line = quoteLines[idx];
+
+  if (field === "quantity" && line.parentKey) {
+    line.optionQuantity = clampOptionQuantity(line.option, Math.round(parseFloat(e.target.value) || 0));
+  } else if (field === "quantity") {
+    line.quantity = Math.max(1, Math.round(parseFloat(e.target.value) || 0));
+  } else if (["specialPrice", "additionalDiscountAmount", "markupRate", "markupAmount", "percentOfTotal"].includes(field)) {
+    line[field] = parseOptionalNumber(e.target.value, 0);
+  } else {
+    // Percent fields: blank means "use the quote-level default"
+    line[field] = parseOptionalNumber(e.target.value, 0, 100);
+  }
+
+  refreshQuote();
+}
+
+function onQuoteSettingChange(e) {
+  const field = e.target.dataset.quoteField;
+  const raw = e.target.value;
+
+  if (field === "startDate" || field === "endDate") {
+    quoteSettings[field] = raw || null;
+  } else if (field === "prorationPrecision" || field === "termUnit") {
+    quoteSettings[field] = raw;
+  } else if (field === "subscriptionTerm") {
+    quoteSettings[field] = parseOptionalNumber(raw, 1);
+  } else {
+    quoteSettings[field] = parseOptionalNumber(raw, 0, 100);
+  }
+  refreshQuote();
+}
+
+function parseOptionalNumber(raw, min, max = Infinity) {
+  if (String(raw).trim() === "") return null;
+  const val = parseFloat(raw);
+  if (isNaN(val)) return null;
+  return Math.min(max, Math.max(min, val));
+}
+
+function renderRulesTab(container, title, rules, itemRenderer) {
+  if (rules.length === 0) {
+    container.innerHTML = `
+      <div class="empty-state">
+        <div class="empty-icon">📭</div>
+        <h3 style="color:var(--color-text);font-size:16px">No ${title} Found</h3>
+        <p style="max-width:320px">No active ${title.toLowerCase()} were found in your org. This could mean none are configured, or you may not have read access to the rule objects.</p>
+      </div>
+    `;
+    return;
+  }
+
+  container.innerHTML = `
+    <div style="margin-bottom:12px">
+      <span class="badge badge-muted" style="font-size:12px">${rules.length} active rule${rules.length !== 1 ? "s" : ""}</span>
+    </div>
+    <div class="rule-card">
+      <div class="rule-card-header">
+        <span class="rule-card-icon">📐</span>
+        <span class="rule-card-title">${escHtml(title)}</span>
+        <span class="rule-card-count">${rules.length}</span>
+      </div>
+      <div class="rule-list" id="ruleList"></div>
+    </div>
+  `;
+
+  const list = container.querySelector("#ruleList");
+  rules.forEach((rule) => {
+    list.appendChild(itemRenderer(rule));
+  });
+}
+
+const PRICE_RULE_STATUS_ORDER = ["fired", "unsupported", "not-fired", "skipped"];
+
+/**
+ * Price rules tab: every active rule with its simulated outcome — which
+ * conditions passed, what it changed, and anything the local engine
+ * could not evaluate.
+ */
+function renderPriceRulesTab(container) {
+  if (priceRuleResults.length === 0) {
+    renderRulesTab(container, "Price Rules", [], renderPriceRuleItem);
+    return;
+  }
+
+  const count = (status) => priceRuleResults.filter((r) => r.status === status).length;
+  const ordered = [...priceRuleResults].sort(
+    (a, b) => PRICE_RULE_STATUS_ORDER.indexOf(a.status) - PRICE_RULE_STATUS_ORDER.indexOf(b.status)
+  );
+
+  renderRulesTab(container, "Price Rules", ordered, renderPriceRuleItem);
+  container.querySelector(".badge").insertAdjacentHTML(
+    "afterend",
+    `
+      <span class="badge badge-success" style="font-size:12px">${count("fired")} fired</span>
+      <span class="badge badge-muted" style="font-size:12px">${count("not-fired")} not fired</span>
+      ${count("unsupported") ? `<span class="badge badge-crimson" style="font-size:12px">${count("unsupported")} not simulated</span>` : ""}
+      ${count("skipped") ? `<span class="badge badge-muted" style="font-size:12px">${count("skipped")} configurator-only</span>` : ""}
+    `
+  );
+}
+
+function renderPriceRuleItem(result) {
+  const { rule, status } = result;
+  const statusBadge = {
+    fired: `<span class="badge badge-success">Fired</span>`,
+    "not-fired": `<span class="badge badge-muted">Not fired</span>`,
+    unsupported: `<span class="badge badge-crimson">Not simulated</span>`,
+    skipped: `<span class="badge badge-muted">Configurator</span>`,
+  }[status];
+
+  const conditions = result.conditions
+    .map(
+      ({ condition, passed, actual, summary }) => `
+        <div class="rule-condition">
+          <span style="color:${passed ? "var(--color-success)" : "var(--color-text-subtle)"}">${passed ? "✓" : "✗"}</span>
+          ${condition.index !== null ? `<span class="badge badge-muted">${condition.index}</span>` : ""}
+          ${escHtml(describeRuleCondition(condition, priceRuleData.summaryVariables))}
+          <span style="color:var(--color-text-subtle)">${escHtml(summary || `actual: ${formatRuleValue(actual)}`)}</span>
+        </div>
+      `
+    )
+    .join("");
+
+  const changes = result.changes
+    .map((c) => {
+      const target = c.target === "Quote" ? "Quote" : quoteLines[c.lineIndex]?.productName || c.lineKey;
+      return `
+        <div class="rule-change">
+          <span>${escHtml(target)}</span>
+          ${renderFieldChange(c, c.target === "Quote" ? QUOTE_FIELD_INPUTS : LINE_FIELD_INPUTS)}
+        </div>
+      `;
+    })
+    .join("");
+
+  const unsupported = result.unsupported
+    .map((msg) => `<div style="font-size:11px;color:var(--color-error);margin-top:2px">⚠ ${escHtml(msg)}</div>`)
+    .join("");
+
   const div = document.createElement("div");
-  div.className = "rule-item rule-active";
-  const chainName = rule.SBQQ__ApprovalChain__r?.Name || "";
+  div.className = `rule-item ${status === "fired" ? "rule-triggered" : status === "skipped" ? "rule-inactive" : "rule-active"}`;
+  div.innerHTML = `
+    <span class="rule-item-icon">💲</span>
+    <div class="rule-item-body">
+      <div class="rule-item-name">${escHtml(rule.name)}</div>
+      <div class="rule-item-meta" style="display:flex;align-items:center;gap:6px;flex-wrap:wrap;margin-top:3px">
+        ${statusBadge}
+        <span>Fires on: <strong>${escHtml(rule.events.join(", "))}</strong></span>
+        ${rule.order !== null ? `<span>Order: ${rule.order}</span>` : ""}
+        <span>Conditions: ${escHtml(rule.conditionsMet)}${rule.conditionsMet === "Custom" && rule.advancedCondition ? ` (${escHtml(rule.advancedCondition)})` : ""}</span>
+        ${rule.lookupObject ? `<span>Lookup: <code>${escHtml(rule.lookupObject)}</code></span>` : ""}
+      </div>
+      ${conditions ? `<div class="rule-details">${conditions}</div>` : ""}
+      ${changes ? `<div class="rule-details">${changes}</div>` : ""}
+      ${unsupported}
+    </div>
+  `;
+  return div;
+}
+
+function describeRuleCondition(condition, summaryVariables) {
+  const variableName = (id) => summaryVariables.get(id)?.Name || "summary variable";
+  const tested = condition.testedVariableId
+    ? variableName(condition.testedVariableId)
+    : condition.testedFormula || `${condition.object}.${condition.field || "?"}`;
+  const expected = {
+    Variable: variableName(condition.filterVariableId),
+    Formula: condition.filterFormula,
+    Field: condition.filterField,
+  }[condition.filterType] ?? `"${condition.value ?? ""}"`;
+  return `${tested} ${condition.operator} ${expected}`;
+}
+
+/**
+ * Validation and Alert rules triggered by the current selection, shown
+ * above the quote lines so a blocking rule is impossible to miss.
+ */
+function renderProductRuleBanner() {
+  const triggered = productRuleResults.filter((r) => r.status === "triggered");
+  const blocking = triggered.filter((r) => r.outcome === "block");
+  const warnings = triggered.filter((r) => r.outcome === "warn");
+  if (blocking.length === 0 && warnings.length === 0) return "";
+
+  const item = (result) => `
+    <div class="rule-banner-item">
+      <strong>${escHtml(result.rule.name)}</strong>${result.rule.message ? ` — ${escHtml(result.rule.message)}` : ""}
+      ${renderTriggeredBy(result)}
+    </div>
+  `;
+
+  return `
+    ${blocking.length ? `<div class="rule-banner rule-banner-block">⛔ ${blocking.length} validation rule${blocking.length !== 1 ? "s" : ""} would block saving this quote${blocking.map(item).join("")}</div>` : ""}
+    ${warnings.length ? `<div class="rule-banner rule-banner-warn">⚠ ${warnings.length} alert${warnings.length !== 1 ? "s" : ""} would be shown${warnings.map(item).join("")}</div>` : ""}
+  `;
+}
+
+function renderTriggeredBy(result) {
+  if (result.triggeredBy.length === 0) return "";
+  const names = result.triggeredBy.map((i) => quoteLines[i]?.productName).filter(Boolean);
+  return `<span style="color:var(--color-text-muted)">· triggered by ${escHtml(names.join(", "))}</span>`;
+}
+
+const PRODUCT_RULE_STATUS_ORDER = ["triggered", "unsupported", "not-triggered", "skipped"];
+
+/**
+ * Product rules tab: every active rule that applies to the selection,
+ * with whether its error conditions are met and what would happen.
+ */
+function renderProductRulesTab(container) {
+  if (productRuleResults.length === 0) {
+    renderRulesTab(container, "Product Rules", [], renderProductRuleItem);
+    return;
+  }
+
+  const count = (status) => productRuleResults.filter((r) => r.status === status).length;
+  const ordered = [...productRuleResults].sort(
+    (a, b) => PRODUCT_RULE_STATUS_ORDER.indexOf(a.status) - PRODUCT_RULE_STATUS_ORDER.indexOf(b.status)
+  );
+
+  renderRulesTab(container, "Product Rules", ordered, renderProductRuleItem);
+  container.querySelector(".badge").insertAdjacentHTML(
+    "afterend",
+    `
+      <span class="badge badge-gold" style="font-size:12px">${count("triggered")} triggered</span>
+      <span class="badge badge-muted" style="font-size:12px">${count("not-triggered")} not triggered</span>
+      ${count("unsupported") ? `<span class="badge badge-crimson" style="font-size:12px">${count("unsupported")} not simulated</span>` : ""}
+    `
+  );
+}
+
+function renderProductRuleItem(result) {
+  const { rule, status } = result;
+  const typeColors = {
+    Alert: "badge-crimson",
+    Validation: "badge-crimson",
+    Selection: "badge-gold",
+    Filter: "badge-muted",
+  };
+  const badgeClass = typeColors[rule.type] || "badge-muted";
+  const statusBadge = {
+    triggered: `<span class="badge badge-gold">${{ block: "Blocks", warn: "Warns", select: "Selects", filter: "Filters" }[result.outcome] || "Triggered"}</span>`,
+    "not-triggered": `<span class="badge badge-muted">Not triggered</span>`,
+    unsupported: `<span class="badge badge-crimson">Not simulated</span>`,
+    skipped: `<span class="badge badge-muted">Not applicable</span>`,
+  }[status];
+
+  const conditions = result.conditions
+    .map(
+      ({ condition, passed, actual, summary }) => `
+        <div class="rule-condition">
+          <span style="color:${passed ? "var(--color-success)" : "var(--color-text-subtle)"}">${passed ? "✓" : "✗"}</span>
+          ${condition.index !== null ? `<span class="badge badge-muted">${condition.index}</span>` : ""}
+          ${escHtml(describeRuleCondition(condition, productRuleVariables))}
+          <span style="color:var(--color-text-subtle)">${escHtml(summary || `actual: ${formatRuleValue(actual)}`)}</span>
+        </div>
+      `
+    )
+    .join("");
+
+  const actions = result.actions
+    .map(
+      (action) => `
+        <div class="rule-change">
+          <span class="badge badge-muted">${escHtml(action.type || "?")}</span>
+          ${escHtml(action.note)}
+        </div>
+      `
+    )
+    .join("");
+
+  const unsupported = result.unsupported
+    .map((msg) => `<div style="font-size:11px;color:var(--color-error);margin-top:2px">⚠ ${escHtml(msg)}</div>`)
+    .join("");
+
+  const div = document.createElement("div");
+  div.className = `rule-item ${status === "triggered" ? "rule-triggered" : status === "skipped" ? "rule-inactive" : "rule-active"}`;
+  div.innerHTML = `
+    <span class="rule-item-icon">🔧</span>
+    <div class="rule-item-body">
+      <div class="rule-item-name">${escHtml(rule.name)}</div>
+      <div class="rule-item-meta" style="display:flex;align-items:center;gap:6px;flex-wrap:wrap;margin-top:3px">
+        ${statusBadge}
+        <span class="badge ${badgeClass}">${escHtml(rule.type)}</span>
+        <span>Scope: ${escHtml(rule.scope)}</span>
+        <span>Fires on: <strong>${escHtml(rule.events.join(", "))}</strong></span>
+        <span>Conditions: ${escHtml(rule.conditionsMet)}${rule.conditionsMet === "Custom" && rule.advancedCondition ? ` (${escHtml(rule.advancedCondition)})` : ""}</span>
+        ${status === "triggered" ? renderTriggeredBy(result) : ""}
+      </div>
+      ${rule.message ? `<div style="font-size:11px;color:${status === "triggered" ? "var(--color-error)" : "var(--color-text-muted)"};margin-top:4px">${status === "triggered" ? "⚠ " : ""}${escHtml(rule.message)}</div>` : ""}
+      ${conditions ? `<div class="rule-details">${conditions}</div>` : ""}
+      ${actions ? `<div class="rule-details">${actions}</div>` : ""}
+      ${unsupported}
+    </div>
+  `;
+  return div;
+}
+
+/**
+ * One-line approval verdict above the quote lines, recomputed with every
+ * discount or quantity change.
+ */
+function renderApprovalBanner() {
+  if (approvalRules.length === 0) return "";
+  const steps = approvalSteps(approvalRuleResults);
+  if (steps.length === 0) {
+    return `<div class="rule-banner rule-banner-ok">✅ No approval required</div>`;
+  }
+  const chain = steps
+    .map(({ step, rules }) => `${step !== null ? `Step ${step}: ` : ""}${rules.map(describeApprover).join(", ")}`)
+    .join(" → ");
+  return `<div class="rule-banner rule-banner-warn">🔏 Approval required — <span class="rule-banner-item">${escHtml(chain)}</span></div>`;
+}
+
+function describeApprover(rule) {
+  if (rule.approverName) return rule.approverName;
+  if (rule.approverField) return `approver from ${rule.approverField}`;
+  return rule.name;
+}
+
+const APPROVAL_STATUS_ORDER = ["triggered", "unsupported", "not-triggered", "skipped"];
+
+/**
+ * Approvals tab: the approval steps this quote would go through, in
+ * order, followed by every active rule and its condition results.
+ */
+function renderApprovalsTab(container) {
+  if (approvalRuleResults.length === 0) {
+    renderRulesTab(container, "Approval Rules", [], renderApprovalRuleItem);
+    return;
+  }
+
+  const ordered = [...approvalRuleResults].sort(
+    (a, b) => APPROVAL_STATUS_ORDER.indexOf(a.status) - APPROVAL_STATUS_ORDER.indexOf(b.status)
+  );
+  renderRulesTab(container, "Approval Rules", ordered, renderApprovalRuleItem);
+
+  const steps = approvalSteps(approvalRuleResults);
+  const stepRows = steps
+    .map(
+      ({ step, rules }) => `
+        <div class="approval-step">
+          <span class="badge badge-gold">${step !== null ? `Step ${step}` : "No step"}</span>
+          ${rules
+            .map(
+              (rule) => `
+                <span class="approval-step-rule">
+                  <strong>${escHtml(describeApprover(rule))}</strong>
+                  <span style="color:var(--color-text-muted)">${escHtml(rule.name)}${rule.chainName ? ` · ${escHtml(rule.chainName)} chain` : ""}</span>
+                </span>
+              `
+            )
+            .join("")}
+        </div>
+      `
+    )
+    .join("");
+
+  container.querySelector(".rule-card").insertAdjacentHTML(
+    "beforebegin",
+    `
+      <div class="rule-card" style="margin-bottom:12px">
+        <div class="rule-card-header">
+          <span class="rule-card-icon">🔏</span>
+          <span class="rule-card-title">${steps.length ? "Approval path for this quote" : "No approval required"}</span>
+          <span class="rule-card-count">${escHtml(approvalRules[0].source)}</span>
+        </div>
+        ${stepRows ? `<div class="rule-list">${stepRows}</div>` : ""}
+      </div>
+    `
+  );
+}
+
+function renderApprovalRuleItem(result) {
+  const { rule, status } = result;
+  const statusBadge = {
+    triggered: `<span class="badge badge-gold">Requires approval</span>`,
+    "not-triggered": `<span class="badge badge-muted">Not triggered</span>`,
+    unsupported: `<span class="badge badge-crimson">Not simulated</span>`,
+    skipped: `<span class="badge badge-muted">Not applicable</span>`,
+  }[status];
+
+  const conditions = result.conditions
+    .map(
+      ({ condition, passed, actual, summary }) => `
+        <div class="rule-condition">
+          <span style="color:${passed ? "var(--color-success)" : "var(--color-text-subtle)"}">${passed ? "✓" : "✗"}</span>
+          ${condition.index !== null ? `<span class="badge badge-muted">${condition.index}</span>` : ""}
+          ${escHtml(describeRuleCondition(condition, new Map()))}
+          <span style="color:var(--color-text-subtle)">${escHtml(summary || `actual: ${formatRuleValue(actual)}`)}</span>
+        </div>
+      `
+    )
+    .join("");
+
+  const unsupported = result.unsupported
+    .map((msg) => `<div style="font-size:11px;color:var(--color-error);margin-top:2px">⚠ ${escHtml(msg)}</div>`)
+    .join("");
+
+  const div = document.createElement("div");
+  div.className = `rule-item ${status === "triggered" ? "rule-triggered" : status === "skipped" ? "rule-inactive" : "rule-active"}`;
   div.innerHTML = `
     <span class="rule-item-icon">✅</span>
     <div class="rule-item-body">
-      <div class="rule-item-name">${escHtml(rule.Name)}</div>
+      <div class="rule-item-name">${escHtml(rule.name)}</div>
       <div class="rule-item-meta" style="display:flex;align-items:center;gap:6px;flex-wrap:wrap;margin-top:3px">
-        ${rule.SBQQ__ApprovalStep__c ? `<span class="badge badge-muted">Step ${rule.SBQQ__ApprovalStep__c}</span>` : ""}
-        ${chainName ? `<span>Chain: <strong>${escHtml(chainName)}</strong></span>` : ""}
-        ${rule.SBQQ__ConditionsMet__c ? `<span>Conditions: ${escHtml(rule.SBQQ__ConditionsMet__c)}</span>` : ""}
+        ${statusBadge}
+        ${rule.step !== null ? `<span class="badge badge-muted">Step ${rule.step}</span>` : ""}
+        ${rule.chainName ? `<span>Chain: <strong>${escHtml(rule.chainName)}</strong></span>` : ""}
+        <span>Approver: <strong>${escHtml(describeApprover(rule))}</strong></span>
+        <span>Conditions: ${escHtml(rule.conditionsMet)}${rule.conditionsMet === "Custom" && rule.advancedCondition ? ` (${escHtml(rule.advancedCondition)})` : ""}</span>
+        ${status === "triggered" ? renderTriggeredBy(result) : ""}
       </div>
+      ${conditions ? `<div class="rule-details">${conditions}</div>` : ""}
+      ${unsupported}
     </div>
   `;
   return div;
 }
 
+// ── Bundles ────────────────────────────────────────────────────────────────
+/**
+ * Configurator for every bundle on the quote: options grouped by feature,
+ * with selection, quantity limits and option constraints enforced. Nested
+ * bundles render inside their parent option.
+ */
+function renderBundlesTab(container) {
+  const roots = quoteLines.filter((l) => l.bundle && !l.parentKey);
+  if (roots.length === 0) {
+    container.innerHTML = `
+      <div class="empty-state">
+        <div class="empty-icon">📦</div>
+        <h3 style="color:var(--color-text);font-size:16px">No Bundles</h3>
+        <p style="max-width:320px">None of the selected products have product options. Select a bundle product to configure its options here.</p>
+      </div>
+    `;
+    return;
+  }
+
+  container.innerHTML = roots.map(renderBundlePanel).join("");
+  container.querySelectorAll("input[data-option]").forEach((input) => {
+    input.addEventListener("change", onOptionToggle);
+  });
+  container.querySelectorAll("input[data-option-qty]").forEach((input) => {
+    input.addEventListener("change", onOptionQuantityChange);
+  });
+  lockQuoteInputs(container);
+}
+
+function renderBundlePanel(line) {
+  const { bundle } = line;
+  const selection = bundleSelection(line);
+  const states = optionStates(bundle, selection);
+  const problems = validateBundle(bundle, selection);
+  const [start, end] = subtreeRange(line);
+  const bundleTotal = quoteLines.slice(start, end).reduce((sum, l) => sum + l.pricing.netTotal, 0);
+
+  const features = bundle.features
+    .map((feature) => {
+      const options = bundle.options.filter((o) => o.featureId === feature.id);
+      if (options.length === 0) return "";
+      const limits = [
+        feature.minOptions !== null ? `min ${feature.minOptions}` : "",
+        feature.maxOptions !== null ? `max ${feature.maxOptions}` : "",
+      ].filter(Boolean).join(" · ");
+      return `
+        <div class="bundle-feature">
+          <div class="bundle-feature-title">${escHtml(feature.name)}${limits ? ` <span style="color:var(--color-text-subtle);font-weight:400">(${limits})</span>` : ""}</div>
+          ${options.map((option) => renderBundleOption(line, option, states.get(option.id))).join("")}
+        </div>
+      `;
+    })
+    .join("");
+
+  return `
+    <div class="rule-card bundle-panel" style="margin-bottom:12px">
+      <div class="rule-card-header">
+        <span class="rule-card-icon">📦</span>
+        <span class="rule-card-title">${escHtml(line.productName)}${line.depth ? ` <span style="color:var(--color-text-muted);font-weight:400">· nested bundle, qty ${line.quantity}</span>` : ""}</span>
+        <span class="rule-card-count">Bundle total ${formatCurrency(bundleTotal)}</span>
+      </div>
+      ${problems.length ? `<div class="bundle-problems">${problems.map((p) => `<div>⚠ ${escHtml(p)}</div>`).join("")}</div>` : ""}
+      ${features}
+    </div>
+  `;
+}
+
+function renderBundleOption(parent, option, state) {
+  const child = state.selected
+    ? quoteLines.find((l) => l.parentKey === parent.key && l.option.id === option.id)
+    : null;
+  const entry = pricebookEntryByProduct.get(option.productId);
+  const price = child
+    ? formatCurrency(child.pricing.netTotal)
+    : option.bundled
+      ? "Included"
+      : formatCurrency(option.unitPrice ?? entry?.UnitPrice ?? 0);
+  const qtyLimits = [
+    option.minQuantity !== null ? `min="${option.minQuantity}"` : `min="0"`,
+    option.maxQuantity !== null ? `max="${option.maxQuantity}"` : "",
+  ].join(" ");
+
+  return `
+    <div class="bundle-option${state.disabled ? " disabled" : ""}">
+      <input type="checkbox" data-parent="${parent.key}" data-option="${option.id}" ${state.selected ? "checked" : ""} ${state.locked || state.disabled ? "disabled" : ""} title="${state.locked ? "Required option" : escHtml(state.reason || "")}">
+      <div class="bundle-option-name">
+        <div>${escHtml(option.productName)} ${option.productCode ? `<code style="font-size:11px;color:var(--color-text-muted)">${escHtml(option.productCode)}</code>` : ""}</div>
+        <div class="bundle-option-meta">
+          <span class="badge badge-muted">${escHtml(option.type)}</span>
+          ${option.required ? `<span class="badge badge-crimson">Required</span>` : ""}
+          ${option.bundled ? `<span class="badge badge-gold">Bundled</span>` : ""}
+          ${state.reason ? `<span style="color:var(--color-error)">${escHtml(state.reason)}</span>` : ""}
+        </div>
+      </div>
+      <input type="number" class="qty-input" value="${state.quantity}" ${qtyLimits} data-parent="${parent.key}" data-option-qty="${option.id}" ${state.selected && option.quantityEditable ? "" : "disabled"}>
+      <div class="bundle-option-price">${price}</div>
+    </div>
+    ${child && child.bundle ? `<div class="bundle-nested">${renderBundlePanel(child)}</div>` : ""}
+  `;
+}
+
+function onOptionToggle(e) {
+  const parent = quoteLines.find((l) => l.key === e.target.dataset.parent);
+  const option = parent.bundle.options.find((o) => o.id === e.target.dataset.option);
+  const selection = bundleSelection(parent);
+  if (e.target.checked) {
+    selection.set(option.id, option.quantity);
+  } else {
+    selection.delete(option.id);
+  }
+  applyBundleSelection(parent, enforceConstraints(parent.bundle, selection));
+  refreshQuote();
+}
+
+function onOptionQuantityChange(e) {
+  const parent = quoteLines.find((l) => l.key === e.target.dataset.parent);
+  const option = parent.bundle.options.find((o) => o.id === e.target.dataset.optionQty);
+  const selection = bundleSelection(parent);
+  selection.set(option.id, clampOptionQuantity(option, Math.round(parseFloat(e.target.value) || 0)));
+  applyBundleSelection(parent, selection);
+  refreshQuote();
+}
+
+// Current selection of a bundle line: option Id → per-bundle quantity
+function bundleSelection(line) {
+  const selection = new Map();
+  quoteLines
+    .filter((l) => l.parentKey === line.key)
+    .forEach((l) => selection.set(l.option.id, l.optionQuantity));
+  return selection;
+}
+
+// [start, end) of a line and all of its nested option lines in quoteLines
+function subtreeRange(line) {
+  const start = quoteLines.indexOf(line);
+  let end = start + 1;
+  while (end < quoteLines.length && quoteLines[end].depth > line.depth) end++;
+  return [start, end];
+}
+
+/**
+ * Re-sync a bundle's option lines with a new selection. Existing option
+ * lines keep their edits, deselected ones are dropped with everything
+ * nested under them, and newly selected ones get their own default
+ * configuration. Option lines follow the bundle's option order.
+ */
+function applyBundleSelection(parent, selection) {
+  const [start, end] = subtreeRange(parent);
+  const lines = [parent];
+
+  parent.bundle.options.forEach((option) => {
+    if (!selection.has(option.id)) return;
+    const existing = quoteLines
+      .slice(start + 1, end)
+      .find((l) => l.parentKey === parent.key && l.option.id === option.id);
+    if (existing) {
+      existing.optionQuantity = selection.get(option.id);
+      const [from, to] = subtreeRange(existing);
+      lines.push(...quoteLines.slice(from, to));
+    } else {
+      lines.push(...buildLineTree(createOptionLine(parent, option, selection.get(option.id))));
+    }
+  });
+
+  quoteLines.splice(start, end - start, ...lines);
+}
+
+// Component quantities follow their parent bundle's quantity
+function syncBundleQuantities() {
+  const byKey = new Map(quoteLines.map((l) => [l.key, l]));
+  quoteLines.forEach((line) => {
+    if (!line.parentKey) return;
+    line.quantity = optionLineQuantity(line.option, line.optionQuantity, byKey.get(line.parentKey).quantity);
+  });
+}
+
+// ── Existing Quote ─────────────────────────────────────────────────────────
+// Stored line inputs carried into the simulation. Prices CPQ calculated
+// (list, regular, net…) are left for the simulation to work out.
+const STORED_LINE_INPUTS = [
+  "SBQQ__Discount__c",
+  "SBQQ__AdditionalDiscountAmount__c",
+  "SBQQ__PartnerDiscount__c",
+  "SBQQ__DistributorDiscount__c",
+  "SBQQ__SubscriptionTerm__c",
+  "SBQQ__MarkupRate__c",
+  "SBQQ__MarkupAmount__c",
+  "SBQQ__PercentOfTotal__c",
+];
+
+// Accepts a bare 15/18-character Id or a Quote record page URL
+function parseQuoteId(text) {
+  const value = text.trim();
+  const fromUrl = value.match(/\/SBQQ__Quote__c\/([a-zA-Z0-9]{15,18})(?:[/?#]|$)/);
+  if (fromUrl) return fromUrl[1];
+  return /^[a-zA-Z0-9]{15}(?:[a-zA-Z0-9]{3})?$/.test(value) ? value : null;
+}
+
+function onLoadQuote() {
+  const quoteId = parseQuoteId(document.getElementById("quoteIdInput").value);
+  if (!quoteId) {
+    alert("Enter a quote Id (15 or 18 characters) or paste the quote's record page URL.");
+    return;
+  }
+  loadQuote(quoteId);
+}
+
+/**
+ * Load an existing quote and rebuild the preview from its stored lines —
+ * same products, quantities, discounts and bundle structure — read-only,
+ * so the simulated prices can be checked against SBQQ__NetPrice__c.
+ * Nothing is ever written back to the quote.
+ */
+async function loadQuote(quoteId) {
+  showQuoteState("loading");
+  setQuoteLoadingMsg("Fetching quote…");
+
+  let stored;
+  try {
+    stored = await fetchQuote(quoteId);
+  } catch (err) {
+    console.error("[CPQ Toolkit] Error loading quote:", err);
+    showQuoteState(quoteLines.length > 0 ? "results" : "empty");
+    alert(`Could not load quote: ${err.message}`);
+    return;
+  }
+  if (stored.lines.length === 0) {
+    showQuoteState(quoteLines.length > 0 ? "results" : "empty");
+    alert(`${stored.quote.Name} has no quote lines.`);
+    return;
+  }
+
+  loadedQuote = { record: stored.quote, lines: stored.lines, unmatched: [], readOnly: true };
+  currentScenarioId = null;
+  applyStoredQuoteSettings(stored.quote);
+  await loadDatedRates();
+  syncPricingPickers();
+
+  selectedProducts = new Map();
+  stored.lines
+    .filter((row) => !row.SBQQ__RequiredBy__c)
+    .forEach((row) => {
+      const product = allProducts.find((p) => p.Id === row.SBQQ__Product__c) || {
+        Id: row.SBQQ__Product__c,
+        Name: row.SBQQ__Product__r?.Name || "Unknown Product",
+        ProductCode: row.SBQQ__Product__r?.ProductCode || "",
+      };
+      selectedProducts.set(product.Id, product);
+    });
+  renderSelectedBar();
+  renderProductPage(false);
+
+  activeTab = "lines";
+  await buildQuotePreview();
+}
+
+// Quote and lines in one composite call — the lines query reads the quote
+// Id from the first subrequest, so a missing quote fails both
+async function fetchQuote(quoteId) {
+  const quoteSoql = `
+    SELECT Id, Name, SBQQ__Account__r.Name, SBQQ__Status__c, SBQQ__PriceBook__c,
+           ${isMultiCurrency() ? "CurrencyIsoCode," : ""}
+           SBQQ__StartDate__c, SBQQ__EndDate__c, SBQQ__SubscriptionTerm__c,
+           SBQQ__CustomerDiscount__c, SBQQ__PartnerDiscount__c, SBQQ__DistributorDiscount__c,
+           SBQQ__ListAmount__c, SBQQ__NetAmount__c
+    FROM SBQQ__Quote__c
+    WHERE Id = '${quoteId}'
+  `;
+  const linesSoql = `
+    SELECT Id, Name, SBQQ__Product__c, SBQQ__Product__r.Name, SBQQ__Product__r.ProductCode,
+           SBQQ__RequiredBy__c, SBQQ__ProductOption__c, SBQQ__Number__c,
+           SBQQ__Quantity__c, SBQQ__BundledQuantity__c,
+           SBQQ__Discount__c, SBQQ__AdditionalDiscountAmount__c,
+           SBQQ__SpecialPrice__c, SBQQ__SpecialPriceType__c,
+           SBQQ__PartnerDiscount__c, SBQQ__DistributorDiscount__c, SBQQ__SubscriptionTerm__c,
+           SBQQ__MarkupRate__c, SBQQ__MarkupAmount__c, SBQQ__PercentOfTotal__c,
+           SBQQ__ListPrice__c, SBQQ__NetPrice__c, SBQQ__NetTotal__c
+    FROM SBQQ__QuoteLine__c
+    WHERE SBQQ__Quote__c = '@{quote.records[0].Id}'
+    ORDER BY SBQQ__Number__c ASC NULLS LAST
+  `;
+  // References must stay unencoded for the composite resource to resolve them
+  const quoteRef = "@{quote.records[0].Id}";
+  const results = await api.composite([
+    { referenceId: "quote", url: `/query/?q=${encodeURIComponent(quoteSoql)}` },
+    { referenceId: "lines", url: `/query/?q=${encodeURIComponent(linesSoql).replace(encodeURIComponent(quoteRef), quoteRef)}` },
+  ]);
+
+  const failed = (result) => result.statusCode >= 400;
+  const errorText = (result) => [].concat(result.body || []).map((e) => e.message).join(", ");
+  if (failed(results.quote)) throw new Error(errorText(results.quote));
+  const quote = results.quote.body.records[0];
+  if (!quote) throw new Error(`No SBQQ__Quote__c found with Id ${quoteId}`);
+  if (failed(results.lines)) throw new Error(errorText(results.lines));
+  return { quote, lines: await api.remainingRecords(results.lines.body) };
+}
+
+function applyStoredQuoteSettings(record) {
+  Object.entries(QUOTE_FIELD_INPUTS).forEach(([field, key]) => {
+    quoteSettings[key] = record[field] ?? null;
+  });
+  // CPQ prices a quote without a start date from today
+  quoteSettings.startDate ||= new Date().toISOString().slice(0, 10);
+  quoteSettings.pricebookId =
+    record.SBQQ__PriceBook__c || pricebooks.find((pb) => pb.IsStandard)?.Id || quoteSettings.pricebookId;
+  if (record.CurrencyIsoCode) quoteSettings.currency = record.CurrencyIsoCode;
+}
+
+/**
+ * Quote lines rebuilt from the stored SBQQ__QuoteLine__c rows, in the
+ * quote's line order. Rows that can't be rebuilt — no pricebook entry, or
+ * an option no longer on its bundle — are listed on quote.unmatched along
+ * with everything nested under them.
+ */
+function buildLinesFromQuote(quote) {
+  const lines = [];
+  quote.unmatched = [];
+  const childrenOf = (rowId) => quote.lines.filter((row) => (row.SBQQ__RequiredBy__c || null) === rowId);
+
+  const skipRow = (row, reason) => {
+    quote.unmatched.push({ row, reason });
+    childrenOf(row.Id).forEach((child) => skipRow(child, "Parent line could not be rebuilt"));
+  };
+
+  const addRow = (row, parent) => {
+    let line = null;
+    if (!parent) {
+      const entry = pricebookEntryByProduct.get(row.SBQQ__Product__c);
+      if (!entry) return skipRow(row, "No active entry in this pricebook");
+      line = createQuoteLine(entry, 0);
+    } else {
+      const option = parent.bundle?.options.find((o) => o.id === row.SBQQ__ProductOption__c);
+      if (!option) return skipRow(row, "Product option is no longer on the bundle");
+      line = createOptionLine(parent, option, row.SBQQ__BundledQuantity__c ?? row.SBQQ__Quantity__c);
+    }
+    applyStoredInputs(line, row);
+    lines.push(line);
+    childrenOf(row.Id).forEach((child) => addRow(child, line));
+  };
+
+  childrenOf(null).forEach((row) => addRow(row, null));
+  return lines;
+}
+
+function applyStoredInputs(line, row) {
+  // Option quantities come from the bundled quantity, set when the line was created
+  if (!line.parentKey && row.SBQQ__Quantity__c !== null) line.quantity = row.SBQQ__Quantity__c;
+  STORED_LINE_INPUTS.forEach((field) => {
+    if (row[field] !== null && row[field] !== undefined) line[LINE_FIELD_INPUTS[field]] = row[field];
+  });
+  // CPQ fills in the special price on every line; only a hand-entered one is an input
+  if (row.SBQQ__SpecialPriceType__c === "Custom") line.specialPrice = row.SBQQ__SpecialPrice__c;
+  line.stored = {
+    id: row.Id,
+    name: row.Name,
+    listPrice: row.SBQQ__ListPrice__c,
+    netPrice: row.SBQQ__NetPrice__c,
+    netTotal: row.SBQQ__NetTotal__c,
+  };
+}
+
+function unlockLoadedQuote() {
+  loadedQuote.readOnly = false;
+  renderQuoteResults();
+}
+
+// Disable every input in a rendered section while the loaded quote is read-only
+function lockQuoteInputs(container) {
+  if (!loadedQuote?.readOnly) return;
+  container.querySelectorAll("input, select").forEach((el) => {
+    el.disabled = true;
+    el.title = "Read-only — unlock the loaded quote to edit";
+  });
+}
+
+function storedPriceMatches() {
+  const compared = quoteLines.filter((l) => l.stored && l.stored.netPrice !== null && l.stored.netPrice !== undefined);
+  const matched = compared.filter((l) => Math.abs(l.pricing.netPrice - l.stored.netPrice) < 0.005);
+  return { compared: compared.length, matched: matched.length };
+}
+
+function renderLoadedQuoteBar() {
+  if (!loadedQuote) return "";
+  const { record, unmatched, readOnly } = loadedQuote;
+  const { compared, matched } = storedPriceMatches();
+  const storedNet = record.SBQQ__NetAmount__c;
+  const diff = storedNet !== null && storedNet !== undefined ? (quoteTotals?.netTotal || 0) - storedNet : null;
+
+  return `
+    <div class="loaded-quote-bar">
+      <div class="loaded-quote-info">
+        <strong>📄 ${escHtml(record.Name)}</strong>
+        ${record.SBQQ__Account__r?.Name ? ` · ${escHtml(record.SBQQ__Account__r.Name)}` : ""}
+        ${record.SBQQ__Status__c ? ` · ${escHtml(record.SBQQ__Status__c)}` : ""}
+        · <span style="color:var(--color-gold)">${readOnly ? "read-only" : "unlocked — edits stay in this preview"}</span>
+        <div style="margin-top:2px">
+          ${diff !== null ? `Stored net ${formatCurrency(storedNet)} vs simulated ${formatCurrency(quoteTotals?.netTotal || 0)}${Math.abs(diff) < 0.005 ? " — match" : ` (${diff > 0 ? "+" : "−"}${formatCurrency(Math.abs(diff))})`} · ` : ""}
+          ${matched} of ${compared} line${compared !== 1 ? "s" : ""} match the stored SBQQ__NetPrice__c
+        </div>
+        ${unmatched.length ? `<div style="color:var(--color-error);margin-top:2px" title="${escHtml(unmatched.map((u) => `${u.row.SBQQ__Product__r?.Name || u.row.Name}: ${u.reason}`).join("\n"))}">⚠ ${unmatched.length} stored line${unmatched.length !== 1 ? "s" : ""} could not be rebuilt</div>` : ""}
+      </div>
+      ${readOnly ? `<button class="btn btn-secondary btn-sm" id="unlockQuoteBtn">🔓 Unlock to edit</button>` : ""}
+    </div>
+  `;
+}
+
+function renderStoredDiff(line) {
+  const stored = line.stored?.netPrice;
+  if (stored === null || stored === undefined) return "";
+  const diff = line.pricing.netPrice - stored;
+  if (Math.abs(diff) < 0.005) {
+    return `<div class="stored-diff match" title="Matches the stored SBQQ__NetPrice__c">✓ matches stored</div>`;
+  }
+  return `<div class="stored-diff ${diff > 0 ? "delta-up" : "delta-down"}" title="Stored SBQQ__NetPrice__c on ${escHtml(line.stored.name)}">stored ${formatCurrency(stored)} (${diff > 0 ? "+" : "−"}${formatCurrency(Math.abs(diff))})</div>`;
+}
+
+// ── Scenarios ──────────────────────────────────────────────────────────────
+// Line inputs a scenario restores; everything else is rebuilt from the org
+const SCENARIO_LINE_FIELDS = [
+  "quantity",
+  "optionQuantity",
+  "discount",
+  "additionalDiscountAmount",
+  "specialPrice",
+  "partnerDiscount",
+  "distributorDiscount",
+  "markupRate",
+  "markupAmount",
+  "percentOfTotal",
+];
+
+async function loadScenarios() {
+  try {
+    scenarios = await loadOrgData(api.orgOrigin, "scenarios", []);
+  } catch (err) {
+    console.warn("[CPQ Toolkit] Could not load saved scenarios:", err.message);
+    scenarios = [];
+  }
+  renderSavedScenarioList();
+}
+
+async function persistScenarios() {
+  await saveOrgData(api.orgOrigin, "scenarios", scenarios);
+  renderSavedScenarioList();
+  if (activeTab === "scenarios") renderScenariosTab(document.getElementById("tabContent"));
+}
+
+/**
+ * Capture the current preview: the selection, quote settings and line
+ * inputs needed to rebuild it, plus the computed pricing so scenarios can
+ * be compared without re-querying the org.
+ */
+function snapshotScenario(id, name) {
+  const { ruleOverrides, ruleFieldValues, ...settings } = quoteSettings;
+  return {
+    id,
+    name,
+    savedAt: new Date().toISOString(),
+    settings,
+    products: [...selectedProducts.values()],
+    lines: quoteLines.map((line) => ({
+      key: line.key,
+      productId: line.productId,
+      parentKey: line.parentKey,
+      optionId: line.option ? line.option.id : null,
+      ...Object.fromEntries(SCENARIO_LINE_FIELDS.map((f) => [f, line[f]])),
+      path: linePath(line),
+      productName: line.productName,
+      productCode: line.productCode,
+      depth: line.depth,
+      pricing: {
+        quantity: line.pricing.quantity,
+        listTotal: line.pricing.listTotal,
+        netPrice: line.pricing.netPrice,
+        netTotal: line.pricing.netTotal,
+        annualTotal: line.pricing.annualTotal,
+      },
+    })),
+    totals: { ...quoteTotals },
+  };
+}
+
+// Product Ids from the top-level line down to this one, to line up
+// the same bundle option across scenarios
+function linePath(line) {
+  const path = [];
+  for (let l = line; l; l = quoteLines.find((p) => p.key === l.parentKey)) path.unshift(l.productId);
+  return path.join("/");
+}
+
+async function saveScenario() {
+  const current = scenarios.find((sc) => sc.id === currentScenarioId);
+  const name = prompt("Scenario name", current?.name || `Scenario ${scenarios.length + 1}`)?.trim();
+  if (!name) return;
+
+  const existing = scenarios.find((sc) => sc.name === name);
+  if (existing && existing.id !== currentScenarioId && !confirm(`Replace the saved scenario "${name}"?`)) return;
+
+  const scenario = snapshotScenario(existing?.id || `scenario-${Date.now()}`, name);
+  scenarios = existing ? scenarios.map((sc) => (sc.id === existing.id ? scenario : sc)) : [...scenarios, scenario];
+  currentScenarioId = scenario.id;
+  try {
+    await persistScenarios();
+  } catch (err) {
+    alert(`Could not save scenario: ${err.message}`);
+  }
+}
+
+/**
+ * Rebuild a saved scenario against the org's current data, then restore
+ * its bundle selections and line inputs.
+ */
+async function openScenario(id) {
+  const scenario = scenarios.find((sc) => sc.id === id);
+  if (!scenario) return;
+
+  selectedProducts = new Map(scenario.products.map((p) => [p.Id, p]));
+  Object.assign(quoteSettings, scenario.settings);
+  await loadDatedRates();
+  loadedQuote = null;
+  syncPricingPickers();
+  renderSelectedBar();
+  renderProductPage(false);
+
+  currentScenarioId = id;
+  activeTab = "lines";
+  await buildQuotePreview();
+  if (quoteLines.length === 0) return;
+
+  restoreScenarioLines(scenario);
+  recalculate();
+  renderQuoteResults();
+}
+
+function restoreScenarioLines(scenario) {
+  const linesByKey = new Map(); // saved line key → rebuilt line
+  const restoredBundles = new Set();
+
+  scenario.lines.forEach((saved) => {
+    let line;
+    if (!saved.parentKey) {
+      line = quoteLines.find((l) => !l.parentKey && l.productId === saved.productId);
+    } else {
+      const parent = linesByKey.get(saved.parentKey);
+      if (!parent || !parent.bundle) return;
+      if (!restoredBundles.has(parent.key)) {
+        const selection = new Map(
+          scenario.lines
+            .filter((l) => l.parentKey === saved.parentKey && parent.bundle.options.some((o) => o.id === l.optionId))
+            .map((l) => [l.optionId, l.optionQuantity])
+        );
+        applyBundleSelection(parent, selection);
+        restoredBundles.add(parent.key);
+      }
+      line = quoteLines.find((l) => l.parentKey === parent.key && l.option.id === saved.optionId);
+    }
+    if (!line) return;
+
+    linesByKey.set(saved.key, line);
+    SCENARIO_LINE_FIELDS.forEach((f) => {
+      if (f in saved) line[f] = saved[f];
+    });
+  });
+}
+
+async function duplicateScenario(id) {
+  const scenario = scenarios.find((sc) => sc.id === id);
+  if (!scenario) return;
+  const previous = scenarios;
+  scenarios = [...scenarios, { ...scenario, id: `scenario-${Date.now()}`, name: `${scenario.name} (copy)`, savedAt: new Date().toISOString() }];
+  try {
+    await persistScenarios();
+  } catch (err) {
+    scenarios = previous;
+    alert(`Could not duplicate scenario: ${err.message}`);
+  }
+}
+
+async function deleteScenario(id) {
+  const scenario = scenarios.find((sc) => sc.id === id);
+  if (!scenario || !confirm(`Delete the saved scenario "${scenario.name}"?`)) return;
+  const previous = { scenarios, compareIds, currentScenarioId };
+  scenarios = scenarios.filter((sc) => sc.id !== id);
+  compareIds = new Set([...compareIds].filter((cid) => cid !== id));
+  if (currentScenarioId === id) currentScenarioId = null;
+  try {
+    await persistScenarios();
+  } catch (err) {
+    ({ scenarios, compareIds, currentScenarioId } = previous);
+    alert(`Could not delete scenario: ${err.message}`);
+  }
+}
+
+function renderScenarioRow(scenario, { compare = false } = {}) {
+  const lineCount = scenario.lines.length;
+  const checked = compareIds.has(scenario.id);
+  return `
+    <div class="scenario-row${scenario.id === currentScenarioId ? " current" : ""}">
+      ${compare ? `<input type="checkbox" data-compare="${escHtml(scenario.id)}" ${checked ? "checked" : ""} ${!checked && compareIds.size >= 3 ? "disabled" : ""} title="Compare">` : ""}
+      <div class="scenario-name">
+        <strong>${escHtml(scenario.name)}</strong>
+        <div class="scenario-meta">
+          ${lineCount} line${lineCount !== 1 ? "s" : ""}
+          · ${formatCurrency(scenario.totals.netTotal, scenario.settings.currency)}
+          · saved ${escHtml(new Date(scenario.savedAt).toLocaleString(displayLocale))}
+        </div>
+      </div>
+      <div class="scenario-actions">
+        <button class="btn btn-secondary btn-sm" data-action="open" data-id="${escHtml(scenario.id)}">Open</button>
+        ${compare ? `
+          <button class="btn btn-secondary btn-sm" data-action="duplicate" data-id="${escHtml(scenario.id)}">Duplicate</button>
+          <button class="btn btn-secondary btn-sm" data-action="delete" data-id="${escHtml(scenario.id)}">Delete</button>
+        ` : ""}
+      </div>
+    </div>
+  `;
+}
+
+// Saved scenarios on the empty preview, so they can be reopened straight away
+function renderSavedScenarioList() {
+  const container = document.getElementById("savedScenarioList");
+  if (!container) return;
+  container.innerHTML = scenarios.length
+    ? `<div class="scenario-meta" style="text-align:left">Saved scenarios</div>${scenarios.map((sc) => renderScenarioRow(sc)).join("")}`
+    : "";
+  wireScenarioActions(container);
+}
+
+function renderScenariosTab(container) {
+  if (scenarios.length === 0) {
+    container.innerHTML = `
+      <div class="empty-state">
+        <div class="empty-icon">💾</div>
+        <h3 style="color:var(--color-text);font-size:16px">No Saved Scenarios</h3>
+        <p style="max-width:320px">Click <strong>Save Scenario</strong> to keep this quote preview. Save a few variations — good, better, best — and compare them here side by side.</p>
+      </div>
+    `;
+    return;
+  }
+
+  const compared = scenarios.filter((sc) => compareIds.has(sc.id));
+  container.innerHTML = `
+    <div class="saved-scenarios" style="max-width:none;margin:0 0 16px">
+      ${scenarios.map((sc) => renderScenarioRow(sc, { compare: true })).join("")}
+    </div>
+    ${compared.length >= 2
+      ? renderScenarioComparison(compared)
+      : `<div class="scenario-meta">Tick two or three scenarios to compare them side by side.</div>`}
+  `;
+
+  wireScenarioActions(container);
+  container.querySelectorAll("input[data-compare]").forEach((input) => {
+    input.addEventListener("change", () => {
+      if (input.checked) compareIds.add(input.dataset.compare);
+      else compareIds.delete(input.dataset.compare);
+      renderScenariosTab(container);
+    });
+  });
+}
+
+function wireScenarioActions(container) {
+  const actions = { open: openScenario, duplicate: duplicateScenario, delete: deleteScenario };
+  container.querySelectorAll("button[data-action]").forEach((btn) => {
+    btn.addEventListener("click", () => actions[btn.dataset.action](btn.dataset.id));
+  });
+}
+
+/**
+ * Side-by-side comparison: lines matched by product (and bundle position)
+ * across scenarios, with deltas against the first scenario ticked.
+ */
+function renderScenarioComparison(list) {
+  const [base] = list;
+  const sameCurrency = list.every((sc) => sc.settings.currency === base.settings.currency);
+
+  const paths = [];
+  const labels = new Map();
+  list.forEach((sc) =>
+    sc.lines.forEach((line) => {
+      if (labels.has(line.path)) return;
+      labels.set(line.path, line);
+      paths.push(line.path);
+    })
+  );
+
+  const delta = (value, baseValue, currency) => {
+    if (!sameCurrency) return `<td style="color:var(--color-text-subtle)" title="Scenarios use different currencies">—</td>`;
+    const diff = (value || 0) - (baseValue || 0);
+    if (Math.abs(diff) < 0.005) return `<td style="color:var(--color-text-subtle)">—</td>`;
+    return `<td class="${diff > 0 ? "delta-up" : "delta-down"}">${diff > 0 ? "+" : "−"}${formatCurrency(Math.abs(diff), currency)}</td>`;
+  };
+
+  const lineRows = paths
+    .map((path) => {
+      const label = labels.get(path);
+      const baseLine = base.lines.find((l) => l.path === path);
+      const cells = list
+        .map((sc, i) => {
+          const line = sc.lines.find((l) => l.path === path);
+          const cur = sc.settings.currency;
+          return `
+            <td>${line ? line.pricing.quantity : "—"}</td>
+            <td>${line ? formatCurrency(line.pricing.netTotal, cur) : "—"}</td>
+            ${i > 0 ? delta(line?.pricing.netTotal, baseLine?.pricing.netTotal, cur) : ""}
+          `;
+        })
+        .join("");
+      return `
+        <tr>
+          <td style="padding-left:${14 + label.depth * 20}px">${label.depth ? `<span class="bundle-indent">↳</span>` : ""}${escHtml(label.productName)}</td>
+          ${cells}
+        </tr>
+      `;
+    })
+    .join("");
+
+  const totalRow = (title, key) => `
+    <tr class="compare-total">
+      <td>${title}</td>
+      ${list
+        .map((sc, i) => `
+          <td></td>
+          <td>${formatCurrency(sc.totals[key], sc.settings.currency)}</td>
+          ${i > 0 ? delta(sc.totals[key], base.totals[key], sc.settings.currency) : ""}
+        `)
+        .join("")}
+    </tr>
+  `;
+
+  return `
+    <div class="table-wrap compare-table">
+      <table>
+        <thead>
+          <tr>
+            <th>Product</th>
+            ${list.map((sc, i) => `<th colspan="${i > 0 ? 3 : 2}">${escHtml(sc.name)}${i === 0 ? " (base)" : ""}</th>`).join("")}
+          </tr>
+          <tr>
+            <th></th>
+            ${list.map((sc, i) => `<th>Qty</th><th>Net Total</th>${i > 0 ? "<th>Δ vs base</th>" : ""}`).join("")}
+          </tr>
+        </thead>
+        <tbody>
+          ${lineRows}
+          ${totalRow("List Total", "listTotal")}
+          ${totalRow("Net Total", "netTotal")}
+          ${totalRow("Annualized Recurring", "annualTotal")}
+        </tbody>
+      </table>
+    </div>
+  `;
+}
+
 // ── Calculations ───────────────────────────────────────────────────────────
-function calcTotal() {
-  return quoteLines.reduce((sum, line) => sum + line.listPrice * line.quantity, 0);
+/**
+ * Price the quote from the user's inputs, then run the price rules on top.
+ * Rule writes are cleared first so every pass starts from a clean quote.
+ */
+function recalculate() {
+  syncBundleQuantities();
+  [quoteSettings, ...quoteLines].forEach((target) => {
+    target.ruleOverrides = null;
+    target.ruleFieldValues = null;
+  });
+  quoteTotals = priceQuote(quoteLines, quoteSettings);
+  const simulation = buildSimulation();
+  priceRuleResults = runPriceRules(priceRules, simulation, priceRuleData);
+  productRuleResults = evaluateProductRules(productRules, simulation, { summaryVariables: productRuleVariables });
+  approvalRuleResults = evaluateApprovalRules(approvalRules, simulation);
+}
+
+// The rules engine's view of the simulated quote
+function buildSimulation() {
+  return {
+    lines: quoteLines,
+    quoteRecord: () => quoteRecord(quoteSettings, quoteTotals, quoteLines),
+    lineRecord: (line) => quoteLineRecord(line),
+    setQuoteField: (field, value) => setQuoteField(quoteSettings, field, value, quoteTotals, quoteLines),
+    setLineField: (line, field, value) => setLineField(line, field, value),
+    reprice: () => {
+      quoteTotals = priceQuote(quoteLines, quoteSettings);
+    },
+  };
 }
 
-function calcNetTotal() {
-  return quoteLines.reduce(
-    (sum, line) => sum + line.unitPrice * (1 - line.discount / 100) * line.quantity,
-    0
+// Every price rule change applied to one line, in the order it happened
+function ruleChangesForLine(line) {
+  return priceRuleResults.flatMap((result) =>
+    result.changes.filter((c) => c.lineKey === line.key).map((c) => ({ ...c, rule: result.rule }))
   );
 }
 
+function refreshQuote() {
+  recalculate();
+  if (activeTab === "lines") renderLinesTab(document.getElementById("tabContent"));
+  if (activeTab === "bundles") renderBundlesTab(document.getElementById("tabContent"));
+}
+
 function calcAvgDiscount() {
   if (quoteLines.length === 0) return "0.00";
-  const avg = quoteLines.reduce((s, l) => s + l.discount, 0) / quoteLines.length;
+  const avg = quoteLines.reduce((s, l) => s + effectiveDiscount(l.pricing), 0) / quoteLines.length;
   return avg.toFixed(2);
 }
 
 // ── Export ─────────────────────────────────────────────────────────────────
+/**
+ * Hand the simulated quote to the QCP Runner as calculator models, then
+ * open the runner. An already-open runner picks it up from storage.
+ */
+async function sendToQcpRunner() {
+  const name =
+    loadedQuote?.record.Name || scenarios.find((sc) => sc.id === currentScenarioId)?.name || "Simulated quote";
+  const quote = { ...quoteRecord(quoteSettings, quoteTotals, quoteLines), Id: loadedQuote?.record.Id || null };
+  await saveOrgData(api.orgOrigin, "qcpQuote", {
+    name,
+    savedAt: new Date().toISOString(),
+    currency: quoteSettings.currency,
+    model: toQcpModel(quote, quoteLines.map(quoteLineRecord)),
+  });
+  chrome.tabs.create({ url: chrome.runtime.getURL(`tools/qcp-runner.html?org=${encodeURIComponent(api.orgOrigin)}`) });
+}
+
 function exportQuote() {
   const lines = quoteLines.map((line) => ({
     "Product Name": line.productName,
     "Product Code": line.productCode,
     Family: line.family,
-    Quantity: line.quantity,
-    "List Price": line.listPrice.toFixed(2),
-    "Discount %": line.discount,
-    "Net Price": (line.unitPrice * (1 - line.discount / 100)).toFixed(2),
-    "Line Total": (line.unitPrice * (1 - line.discount / 100) * line.quantity).toFixed(2),
+    Quantity: line.pricing.quantity,
+    "Pricing Method": line.pricing.pricingMethod,
+    "List Price": line.pricing.listPrice.toFixed(2),
+    "Special Price": line.pricing.specialPrice.toFixed(2),
+    "Discount Schedule": line.pricing.volumeSchedule?.note || "",
+    "Term Discount Schedule": line.pricing.termSchedule?.note || "",
+    "Regular Price": line.pricing.regularPrice.toFixed(2),
+    "Additional Discount": line.pricing.additionalDiscount.amount !== null
+      ? line.pricing.additionalDiscount.amount
+      : `${line.pricing.additionalDiscount.percent}%`,
+    "Customer Price": line.pricing.customerPrice.toFixed(2),
+    "Partner Discount %": line.pricing.partnerDiscount,
+    "Partner Price": line.pricing.partnerPrice.toFixed(2),
+    "Distributor Discount %": line.pricing.distributorDiscount,
+    "Net Price": line.pricing.netPrice.toFixed(2),
+    ...(loadedQuote ? { "Stored Net Price": line.stored?.netPrice ?? "" } : {}),
+    "Line Total": line.pricing.netTotal.toFixed(2),
     "Subscription Pricing": line.subscriptionPricing || "",
+    "Subscription Term": line.pricing.subscription ? line.pricing.subscription.term : "",
+    "Prorate Multiplier": line.pricing.subscription ? line.pricing.subscription.prorateMultiplier : "",
+    "Annualized Total": line.pricing.subscription ? line.pricing.annualTotal.toFixed(2) : "",
     "Billing Type": line.billingType || "",
     "Charge Type": line.chargeType || "",
     Pricebook: line.pricebookName,
+    Currency: quoteSettings.currency,
+    "Parent Bundle": line.parentKey ? quoteLines.find((l) => l.key === line.parentKey)?.productName || "" : "",
+    "Option Level": line.depth || "",
+    Bundled: line.bundled ? "Yes" : "",
+    "Price Rules": [...new Set(ruleChangesForLine(line).map((c) => c.rule.name))].join("; "),
   }));
 
   if (lines.length === 0) return;
@@ -642,9 +2790,9 @@ function showProductError(msg) {
   document.querySelector("#productErrorText span:last-child").textContent = msg;
 }
 
-function formatCurrency(amount) {
-  if (typeof amount !== "number" || isNaN(amount)) return "$0.00";
-  return new Intl.NumberFormat("en-US", { style: "currency", currency: "USD" }).format(amount);
+function formatCurrency(amount, currency = quoteSettings.currency) {
+  const value = typeof amount !== "number" || isNaN(amount) ? 0 : amount;
+  return new Intl.NumberFormat(displayLocale, { style: "currency", currency }).format(value);
 }
 
 function escHtml(str) {
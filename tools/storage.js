@@ -0,0 +1,31 @@
+/**
+ * Salesforce CPQ Toolkit — Local Storage
+ *
+ * Thin wrappers around chrome.storage.local for data the tools keep
+ * between sessions (saved quote scenarios, settings). Every key is scoped
+ * to one org so data saved against a sandbox never shows up in production.
+ *
+ * Nothing stored here ever leaves the browser.
+ */
+
+/**
+ * Storage key for a named value in one org, e.g.
+ * "scenarios:acme.my.salesforce.com".
+ */
+export function orgStorageKey(orgOrigin, name) {
+  return `${name}:${new URL(orgOrigin).hostname}`;
+}
+
+export async function loadOrgData(orgOrigin, name, fallback = null) {
+  const key = orgStorageKey(orgOrigin, name);
+  const result = await chrome.storage.local.get(key);
+  return result[key] ?? fallback;
+}
+
+export async function saveOrgData(orgOrigin, name, value) {
+  await chrome.storage.local.set({ [orgStorageKey(orgOrigin, name)]: value });
+}
+
+export async function removeOrgData(orgOrigin, name) {
+  await chrome.storage.local.remove(orgStorageKey(orgOrigin, name));
+}
@@ -0,0 +1,447 @@
+/**
+ * Salesforce CPQ Toolkit — Twin Field Analysis
+ *
+ * Compatibility checks for twin field pairs, working on the field
+ * describes (`/sobjects/{name}/describe` → fields[]) of both sides.
+ *
+ * Pure computation — no API calls, no DOM access.
+ *
+ * Reference: https://help.salesforce.com/s/articleView?id=sales.cpq_twin_fields.htm&type=5
+ */
+
+const PICKLIST_TYPES = new Set(["picklist", "multipicklist"]);
+
+/**
+ * Compare the value sets of two picklist fields. Returns null unless both
+ * sides are (multi-select) picklists.
+ *
+ *   missing             active source values that aren't active on the target
+ *   inactiveOnTarget    the subset of `missing` that exists but is inactive
+ *   targetRestricted    restricted picklist — missing values are rejected
+ *   *ControllingField   controlling field when the picklist is dependent
+ *   recordTypeDependent target object has several record types, each of
+ *                       which may offer only some of the values
+ *   *ValueSet           global value set names, filled in by the caller
+ *                       when it looks them up (not part of the describe)
+ */
+export function comparePicklists(sourceField, targetField, { targetRecordTypeCount = 0 } = {}) {
+  if (!PICKLIST_TYPES.has(sourceField.type) || !PICKLIST_TYPES.has(targetField.type)) return null;
+
+  const activeValues = (field) => (field.picklistValues || []).filter((v) => v.active).map((v) => v.value);
+  const targetValues = new Map((targetField.picklistValues || []).map((v) => [v.value, v]));
+  const sourceValues = activeValues(sourceField);
+  const missing = sourceValues.filter((value) => !targetValues.get(value)?.active);
+
+  return {
+    sourceValues,
+    targetValues: activeValues(targetField),
+    missing,
+    inactiveOnTarget: missing.filter((value) => targetValues.has(value)),
+    targetRestricted: !!targetField.restrictedPicklist,
+    sourceControllingField: sourceField.dependentPicklist ? sourceField.controllerName || null : null,
+    targetControllingField: targetField.dependentPicklist ? targetField.controllerName || null : null,
+    recordTypeDependent: targetRecordTypeCount > 1,
+    sourceValueSet: null,
+    targetValueSet: null,
+  };
+}
+
+/**
+ * One-line explanation of what happens to the missing values on sync.
+ */
+export function describePicklistGap(result) {
+  if (!result || result.missing.length === 0) return "";
+  const count = `${result.missing.length} source value${result.missing.length !== 1 ? "s" : ""}`;
+  return result.targetRestricted
+    ? `${count} not allowed by the restricted target picklist — records carrying them fail to sync.`
+    : `${count} missing on the target — they sync as unlisted values that users can't pick or report on cleanly.`;
+}
+
+// ── Compatibility Grades ───────────────────────────────────────────────────
+// A higher rank is more severe, so sorting by rank groups the risky pairs
+export const COMPATIBILITY_GRADES = {
+  ok: { rank: 0, label: "OK" },
+  truncation: { rank: 1, label: "Truncation risk" },
+  precision: { rank: 2, label: "Precision loss" },
+  nosync: { rank: 3, label: "Won't sync" },
+};
+
+// Field types grouped by the kind of value they hold
+const TYPE_FAMILIES = {
+  string: "text",
+  textarea: "text",
+  email: "text",
+  phone: "text",
+  url: "text",
+  picklist: "text",
+  multipicklist: "text",
+  combobox: "text",
+  encryptedstring: "text",
+  double: "number",
+  currency: "number",
+  percent: "number",
+  int: "number",
+  long: "number",
+  date: "date",
+  datetime: "date",
+  boolean: "boolean",
+  reference: "reference",
+  id: "reference",
+};
+
+/**
+ * Grade how safely a twin field value carries from source to target,
+ * following CPQ's twin field rules: the target must be writable, the types
+ * must hold the same kind of value, and the target must be at least as
+ * long / precise as the source.
+ *
+ * Returns { grade, reasons } — grade is the worst finding, reasons lists
+ * every finding in plain words.
+ */
+export function gradeCompatibility(source, target) {
+  const findings = [];
+  const add = (grade, reason) => findings.push({ grade, reason });
+
+  if (target.calculated) add("nosync", "Target is a formula field — CPQ can't write to it");
+  else if (target.createable === false && target.updateable === false) add("nosync", "Target field is read-only");
+
+  const sourceFamily = TYPE_FAMILIES[source.type];
+  const targetFamily = TYPE_FAMILIES[target.type];
+  if (!sourceFamily || sourceFamily !== targetFamily) {
+    add("nosync", `${source.type} → ${target.type} holds a different kind of value`);
+  } else if (sourceFamily === "text") {
+    if (source.length && target.length && source.length > target.length) {
+      add("truncation", `Source holds up to ${source.length} characters, target only ${target.length}`);
+    }
+  } else if (sourceFamily === "number") {
+    const sourceScale = decimalPlaces(source);
+    const targetScale = decimalPlaces(target);
+    const sourceDigits = integerDigits(source);
+    const targetDigits = integerDigits(target);
+    if (sourceScale > targetScale) {
+      add("precision", `Source has ${sourceScale} decimal places, target ${targetScale} — values are rounded`);
+    }
+    if (sourceDigits && targetDigits && sourceDigits > targetDigits) {
+      add("truncation", `Source allows ${sourceDigits} digits before the decimal point, target only ${targetDigits} — large values fail`);
+    }
+  } else if (sourceFamily === "date" && source.type === "datetime" && target.type === "date") {
+    add("precision", "Date/time source, date-only target — the time is dropped");
+  } else if (sourceFamily === "reference") {
+    const sourceRefs = source.referenceTo || [];
+    const targetRefs = new Set(target.referenceTo || []);
+    if (sourceRefs.length && targetRefs.size && !sourceRefs.some((ref) => targetRefs.has(ref))) {
+      add("nosync", `Lookups point at different objects (${sourceRefs.join(", ")} → ${[...targetRefs].join(", ")})`);
+    }
+  }
+
+  const grade = findings.reduce(
+    (worst, f) => (COMPATIBILITY_GRADES[f.grade].rank > COMPATIBILITY_GRADES[worst].rank ? f.grade : worst),
+    "ok"
+  );
+  return { grade, reasons: findings.map((f) => f.reason) };
+}
+
+function decimalPlaces(field) {
+  return field.type === "int" || field.type === "long" ? 0 : field.scale || 0;
+}
+
+function integerDigits(field) {
+  if (field.type === "int" || field.type === "long") return field.digits || 0;
+  return field.precision ? field.precision - (field.scale || 0) : 0;
+}
+
+// ── Near-miss Candidates ───────────────────────────────────────────────────
+// Common abbreviations in API names, expanded before names are compared
+const NAME_ABBREVIATIONS = {
+  pct: "percent",
+  perc: "percent",
+  amt: "amount",
+  qty: "quantity",
+  desc: "description",
+  descr: "description",
+  num: "number",
+  no: "number",
+  nbr: "number",
+  dt: "date",
+  prc: "price",
+  disc: "discount",
+  acct: "account",
+  opp: "opportunity",
+  oppty: "opportunity",
+  prod: "product",
+  cust: "customer",
+  addr: "address",
+};
+
+/**
+ * Propose likely-intended twins among the custom fields that have no exact
+ * API name match — `Discount_Pct__c` vs `Discount_Percent__c`, or
+ * `acme__Region__c` vs `Region__c`. Only custom fields are considered
+ * since those are the ones an admin can rename.
+ *
+ * Each source and target field is used at most once, best match first.
+ * Returns [{ source, target, confidence (0–1), reasons }].
+ */
+export function findNearMisses(sourceFields, targetFields, { minConfidence = 0.65 } = {}) {
+  const exact = new Set(sourceFields.map((f) => f.name.toLowerCase()));
+  const targetNames = new Set(targetFields.map((f) => f.name.toLowerCase()));
+  const unmatched = (fields, others) => fields.filter((f) => f.custom && !others.has(f.name.toLowerCase()));
+  const sources = unmatched(sourceFields, targetNames);
+  const targets = unmatched(targetFields, exact);
+
+  const scored = [];
+  sources.forEach((source) => {
+    const sourceName = normalizeName(source.name);
+    const sourceLabel = normalizeLabel(source.label);
+    targets.forEach((target) => {
+      const nameScore = similarity(sourceName, normalizeName(target.name));
+      const labelScore = similarity(sourceLabel, normalizeLabel(target.label));
+      const reasons = [];
+      let confidence = 0.6 * nameScore + 0.4 * labelScore;
+
+      if (nameScore === 1) {
+        confidence = Math.max(confidence, 0.95);
+        reasons.push(namespaceOf(source.name) !== namespaceOf(target.name)
+          ? "Same name apart from the namespace prefix"
+          : "Same name once underscores and abbreviations are normalized");
+      } else if (nameScore >= 0.75) {
+        reasons.push(`Similar API names (${Math.round(nameScore * 100)}%)`);
+      }
+      if (labelScore === 1) {
+        confidence = Math.max(confidence, 0.85);
+        reasons.push("Identical labels");
+      } else if (labelScore >= 0.75) {
+        reasons.push(`Similar labels (${Math.round(labelScore * 100)}%)`);
+      }
+      if (confidence < minConfidence) return;
+      if (TYPE_FAMILIES[source.type] !== TYPE_FAMILIES[target.type]) {
+        reasons.push(`Types differ (${source.type} → ${target.type}) — renaming alone won't make it sync`);
+      }
+      scored.push({ source, target, confidence: Math.round(confidence * 100) / 100, reasons });
+    });
+  });
+
+  scored.sort((a, b) => b.confidence - a.confidence);
+  const usedSources = new Set();
+  const usedTargets = new Set();
+  return scored.filter(({ source, target }) => {
+    if (usedSources.has(source.name) || usedTargets.has(target.name)) return false;
+    usedSources.add(source.name);
+    usedTargets.add(target.name);
+    return true;
+  });
+}
+
+function namespaceOf(apiName) {
+  const match = apiName.match(/^([A-Za-z0-9]+)__.+__c$/);
+  return match ? match[1].toLowerCase() : "";
+}
+
+// "acme__Discount_Pct__c" → "discountpercent"
+function normalizeName(apiName) {
+  return apiName
+    .replace(/__c$/i, "")
+    .replace(/^[A-Za-z0-9]+__/, "")
+    .replace(/([a-z0-9])([A-Z])/g, "$1_$2")
+    .toLowerCase()
+    .split(/_+/)
+    .filter(Boolean)
+    .map((word) => NAME_ABBREVIATIONS[word] || word)
+    .join("");
+}
+
+// "Discount (%)" → "discountpercent"
+function normalizeLabel(label) {
+  return String(label || "")
+    .toLowerCase()
+    .replace(/%/g, " percent ")
+    .replace(/#/g, " number ")
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean)
+    .map((word) => NAME_ABBREVIATIONS[word] || word)
+    .join("");
+}
+
+// 1 − edit distance / longer length
+function similarity(a, b) {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return 1 - previous[b.length] / Math.max(a.length, b.length);
+}
+
+// ── Cross-org Diff ─────────────────────────────────────────────────────────
+/**
+ * Custom fields that exist on an object in one org but not the other.
+ * Takes { objectName: [fieldName] } for each org; only objects described
+ * in both orgs are compared. Returns [{ objectName, field, only: "left"|"right" }].
+ */
+export function diffObjectFields(leftFields, rightFields) {
+  const differences = [];
+  Object.keys(leftFields)
+    .filter((objectName) => rightFields[objectName])
+    .sort()
+    .forEach((objectName) => {
+      const left = new Set(leftFields[objectName].filter((f) => f.endsWith("__c")).map((f) => f.toLowerCase()));
+      const right = new Set(rightFields[objectName].filter((f) => f.endsWith("__c")).map((f) => f.toLowerCase()));
+      leftFields[objectName].forEach((field) => {
+        if (left.has(field.toLowerCase()) && !right.has(field.toLowerCase())) differences.push({ objectName, field, only: "left" });
+      });
+      rightFields[objectName].forEach((field) => {
+        if (right.has(field.toLowerCase()) && !left.has(field.toLowerCase())) differences.push({ objectName, field, only: "right" });
+      });
+    });
+  return differences;
+}
+
+// ── Scan Diff ──────────────────────────────────────────────────────────────
+// Pair properties compared between two scans, with the label shown for each
+const SCAN_DIFF_FIELDS = {
+  sourceType: "Source type",
+  sourceLength: "Source length",
+  sourcePrecision: "Source precision",
+  sourceScale: "Source scale",
+  sourceFormula: "Source formula",
+  targetType: "Target type",
+  targetLength: "Target length",
+  targetPrecision: "Target precision",
+  targetScale: "Target scale",
+  targetFormula: "Target formula",
+  severity: "Severity",
+};
+
+/**
+ * Twin pairs added, removed or changed between two scans (the pair lists
+ * the explorer builds). Pairs are matched on object pair + API name.
+ *
+ *   added / removed  pairs present on only one side
+ *   changed          [{ pair, changes: [{ field, label, from, to }] }]
+ *                    — `pair` is the later one; picklist gaps count as a
+ *                    change when the missing values differ
+ */
+export function diffScans(before, after) {
+  const key = (p) => `${p.sourceObj}→${p.targetObj}.${p.apiName}`.toLowerCase();
+  const beforeMap = new Map(before.map((p) => [key(p), p]));
+  const afterMap = new Map(after.map((p) => [key(p), p]));
+
+  const changed = [];
+  after.forEach((pair) => {
+    const previous = beforeMap.get(key(pair));
+    if (!previous) return;
+    const changes = Object.entries(SCAN_DIFF_FIELDS)
+      .filter(([field]) => (previous[field] ?? null) !== (pair[field] ?? null))
+      .map(([field, label]) => ({ field, label, from: previous[field] ?? null, to: pair[field] ?? null }));
+
+    const missingBefore = (previous.picklist?.missing || []).join(", ");
+    const missingAfter = (pair.picklist?.missing || []).join(", ");
+    if (missingBefore !== missingAfter) {
+      changes.push({ field: "picklistMissing", label: "Picklist values missing", from: missingBefore || null, to: missingAfter || null });
+    }
+    if (changes.length) changed.push({ pair, changes });
+  });
+
+  return {
+    added: after.filter((p) => !beforeMap.has(key(p))),
+    removed: before.filter((p) => !afterMap.has(key(p))),
+    changed,
+  };
+}
+
+// ── Field-level Security ───────────────────────────────────────────────────
+/**
+ * Union of several grant maps — what one user holding all of those
+ * profiles / permission sets can do.
+ */
+export function mergeFieldGrants(grantMaps) {
+  const merged = new Map();
+  grantMaps.forEach((grants) => {
+    grants.forEach(({ read, edit }, field) => {
+      const current = merged.get(field) || { read: false, edit: false };
+      merged.set(field, { read: current.read || read, edit: current.edit || edit });
+    });
+  });
+  return merged;
+}
+
+/**
+ * Field-level security gaps for twin pairs: a value only syncs when the
+ * running user can read the source field and edit the target field.
+ *
+ * `grants` maps "Object.Field__c" → { read, edit } for one profile or
+ * permission set (FieldPermissions rows). Fields that aren't
+ * permissionable (required and most system fields) are always accessible,
+ * and targets nobody can write (formulas, read-only fields) aren't checked
+ * for edit — the severity grade already reports those.
+ *
+ * Returns [{ pair, sourceRead, targetEdit, issues }] for pairs with a gap.
+ */
+export function auditFieldAccess(pairs, grants) {
+  const access = (objectName, field, permissionable) =>
+    permissionable === false
+      ? { read: true, edit: true }
+      : grants.get(`${objectName}.${field}`.toLowerCase()) || { read: false, edit: false };
+
+  return pairs
+    .map((pair) => {
+      const source = access(pair.sourceObj, pair.apiName, pair.sourcePermissionable);
+      const target = access(pair.targetObj, pair.apiName, pair.targetPermissionable);
+      const checkEdit = !pair.targetFormula && pair.targetWritable !== false;
+      const issues = [];
+      if (!source.read) issues.push(`Can't read ${pair.sourceObj}.${pair.apiName}`);
+      if (checkEdit && !target.edit) {
+        issues.push(target.read ? `Can read but not edit ${pair.targetObj}.${pair.apiName}` : `Can't edit ${pair.targetObj}.${pair.apiName}`);
+      }
+      return { pair, sourceRead: source.read, targetEdit: checkEdit ? target.edit : null, issues };
+    })
+    .filter((row) => row.issues.length > 0);
+}
+
+// ── Sync Verification ──────────────────────────────────────────────────────
+/**
+ * Compare twin field values on real records: each source record against
+ * the target records that point back at it through `linkField`.
+ *
+ * Returns one row per field:
+ *   { field, compared, mismatches, examples: [{ sourceId, targetId, sourceValue, targetValue }] }
+ * plus the number of source records with no target record.
+ */
+export function compareSyncedValues(sourceRecords, targetRecords, linkField, fields, { maxExamples = 3 } = {}) {
+  const sources = new Map(sourceRecords.map((r) => [r.Id, r]));
+  const linked = targetRecords.filter((r) => sources.has(r[linkField]));
+  const linkedSources = new Set(linked.map((r) => r[linkField]));
+
+  const rows = fields.map((field) => {
+    const row = { field, compared: 0, mismatches: 0, examples: [] };
+    linked.forEach((target) => {
+      const source = sources.get(target[linkField]);
+      row.compared++;
+      if (sameSyncedValue(source[field], target[field])) return;
+      row.mismatches++;
+      if (row.examples.length < maxExamples) {
+        row.examples.push({ sourceId: source.Id, targetId: target.Id, sourceValue: source[field] ?? null, targetValue: target[field] ?? null });
+      }
+    });
+    return row;
+  });
+
+  return { rows, unlinked: sourceRecords.length - linkedSources.size, linked: linked.length };
+}
+
+// Blank and null are the same value; numbers compare numerically and
+// multi-select picklists ignore value order
+function sameSyncedValue(a, b) {
+  const blank = (v) => v === null || v === undefined || v === "";
+  if (blank(a) || blank(b)) return blank(a) && blank(b);
+  if (typeof a === "number" || typeof b === "number") return Math.abs(Number(a) - Number(b)) < 1e-9;
+  if (typeof a === "string" && typeof b === "string" && (a.includes(";") || b.includes(";"))) {
+    return a.split(";").sort().join(";") === b.split(";").sort().join(";");
+  }
+  return JSON.stringify(a) === JSON.stringify(b);
+}
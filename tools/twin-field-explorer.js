@@ -11,15 +11,57 @@
  * Reference: https://help.salesforce.com/s/articleView?id=sales.cpq_twin_fields.htm&type=5
  */
 
-import { SalesforceAPI, getAPIFromUrl, formatFieldType } from "./sfdc-api.js";
+import {
+  SalesforceAPI,
+  getAPIFromUrl,
+  listOpenOrgs,
+  formatFieldType,
+  onApiUsage,
+  formatApiUsage,
+} from "./sfdc-api.js";
+import {
+  comparePicklists,
+  describePicklistGap,
+  gradeCompatibility,
+  findNearMisses,
+  diffScans,
+  diffObjectFields,
+  auditFieldAccess,
+  mergeFieldGrants,
+  compareSyncedValues,
+  COMPATIBILITY_GRADES,
+} from "./twin-field-analysis.js";
+import { loadOrgData, saveOrgData, removeOrgData } from "./storage.js";
 
 // ── State ──────────────────────────────────────────────────────────────────
 let allPairs = [];
 let filteredPairs = [];
+let allCandidates = []; // near-miss twins, shown when the candidates toggle is on
+let currentScan = null; // last live scan: { takenAt, pairs, candidates }
+let snapshots = [];
+let viewingSnapshotId = null;
+let permissionSets = null; // profiles + permission sets, loaded when the FLS panel opens
+let flsRows = [];
 let activeFilter = "all";
 let sortCol = "apiName";
 let sortAsc = true;
 let api = null;
+let pairSettings = { disabled: [], custom: [] };
+let sobjectNames = null; // global describe, loaded when the pair manager opens
+const PAIR_SETTINGS_KEY = "twinPairs";
+const SNAPSHOTS_KEY = "twinSnapshots"; // ids; each snapshot has its own key (snapshotKey)
+const SNAPSHOT_FORMAT = "cpq-toolkit-twin-snapshot";
+const FLS_PARENT_CHUNK = 100; // permission set Ids per FieldPermissions query
+
+// Records CPQ creates from quote lines, each with a lookup back to its line
+const VERIFY_SOURCE = "SBQQ__QuoteLine__c";
+const VERIFY_TARGETS = [
+  { object: "OpportunityLineItem", linkField: "SBQQ__QuoteLine__c" },
+  { object: "OrderItem", linkField: "SBQQ__QuoteLine__c" },
+  { object: "SBQQ__Subscription__c", linkField: "SBQQ__QuoteLine__c" },
+];
+const VERIFY_ID_CHUNK = 200; // quote line Ids per target query
+const MAX_VALUE_SET_LOOKUPS = 40; // Tooling queries are one field at a time
 
 const TWIN_PAIRS = [
   { source: 'Contract',                  target: 'Opportunity' },
@@ -51,11 +93,46 @@ function init() {
   }
 
   document.getElementById("orgChipLabel").textContent = new URL(api.orgOrigin).hostname;
+  const showUsage = (usage) => {
+    document.getElementById("apiUsageLabel").textContent = formatApiUsage(usage);
+  };
+  onApiUsage((origin, usage) => origin === api.orgOrigin && showUsage(usage));
+  api.apiUsage().then(showUsage);
 
   // Wire up controls
   document.getElementById("runScanBtn").addEventListener("click", runScan);
+  document.getElementById("refreshMetadataBtn").addEventListener("click", refreshMetadata);
   document.getElementById("exportBtn").addEventListener("click", exportCSV);
   document.getElementById("searchInput").addEventListener("input", applyFilters);
+  document.getElementById("pairsBtn").addEventListener("click", togglePairManager);
+  document.getElementById("addPairBtn").addEventListener("click", addCustomPair);
+  document.getElementById("candidatesToggle").addEventListener("change", applyFilters);
+  document.getElementById("snapshotsBtn").addEventListener("click", () => {
+    document.getElementById("snapshotPanel").classList.toggle("hidden");
+  });
+  document.getElementById("saveSnapshotBtn").addEventListener("click", saveSnapshot);
+  document.getElementById("importSnapshotBtn").addEventListener("click", () => document.getElementById("importSnapshotInput").click());
+  document.getElementById("importSnapshotInput").addEventListener("change", importSnapshot);
+  document.getElementById("compareSnapshotsBtn").addEventListener("click", compareSnapshots);
+  document.getElementById("compareOrgsBtn").addEventListener("click", () => {
+    const panel = document.getElementById("orgComparePanel");
+    panel.classList.toggle("hidden");
+    if (!panel.classList.contains("hidden")) loadOpenOrgs();
+  });
+  document.getElementById("refreshOrgsBtn").addEventListener("click", loadOpenOrgs);
+  document.getElementById("runOrgCompareBtn").addEventListener("click", runOrgComparison);
+  document.getElementById("flsBtn").addEventListener("click", () => {
+    const panel = document.getElementById("flsPanel");
+    panel.classList.toggle("hidden");
+    if (!panel.classList.contains("hidden")) loadPermissionSets();
+  });
+  document.getElementById("flsSearchInput").addEventListener("input", renderPermissionSetList);
+  document.getElementById("runFlsAuditBtn").addEventListener("click", runFlsAudit);
+  document.getElementById("flsExportBtn").addEventListener("click", exportFlsCSV);
+  document.getElementById("verifyBtn").addEventListener("click", () => {
+    document.getElementById("verifyPanel").classList.toggle("hidden");
+  });
+  document.getElementById("runVerifyBtn").addEventListener("click", runVerify);
 
   document.querySelectorAll(".filter-chip").forEach((chip) => {
     chip.addEventListener("click", () => {
@@ -81,6 +158,134 @@ function init() {
       applyFilters();
     });
   });
+
+  loadPairSettings();
+  loadSnapshots();
+}
+
+// ── Object Pairs ───────────────────────────────────────────────────────────
+// Settings keep built-in pairs by reference: disabled holds pair keys,
+// custom holds { source, target } pairs added by the user
+async function loadPairSettings() {
+  try {
+    const saved = await loadOrgData(api.orgOrigin, PAIR_SETTINGS_KEY);
+    if (saved) pairSettings = { disabled: saved.disabled || [], custom: saved.custom || [] };
+  } catch (e) {
+    console.warn(`Could not load pair settings: ${e.message}`);
+  }
+  renderPairManager();
+}
+
+async function persistPairSettings() {
+  renderPairManager();
+  try {
+    await saveOrgData(api.orgOrigin, PAIR_SETTINGS_KEY, pairSettings);
+  } catch (e) {
+    setPairError(`Could not save pair settings: ${e.message}`);
+  }
+}
+
+function pairKey(pair) {
+  return `${pair.source}→${pair.target}`;
+}
+
+function allConfiguredPairs() {
+  return [
+    ...TWIN_PAIRS.map((pair) => ({ ...pair, custom: false })),
+    ...pairSettings.custom.map((pair) => ({ ...pair, custom: true })),
+  ];
+}
+
+function enabledPairs() {
+  const disabled = new Set(pairSettings.disabled);
+  return allConfiguredPairs().filter((pair) => !disabled.has(pairKey(pair)));
+}
+
+function togglePairManager() {
+  const panel = document.getElementById("pairManager");
+  const opening = panel.classList.contains("hidden");
+  panel.classList.toggle("hidden", !opening);
+  if (opening) loadSObjectNames();
+}
+
+// Fill the autocomplete list from the global describe, once per page
+async function loadSObjectNames() {
+  if (sobjectNames) return;
+  try {
+    const result = await api.describeGlobal();
+    sobjectNames = new Set((result.sobjects || []).filter((o) => o.queryable).map((o) => o.name));
+    document.getElementById("sobjectOptions").innerHTML = [...sobjectNames]
+      .sort()
+      .map((name) => `<option value="${escHtml(name)}"></option>`)
+      .join("");
+  } catch (e) {
+    setPairError(`Could not load the org's objects (${e.message}) — custom pairs won't be checked until it loads.`);
+  }
+}
+
+function renderPairManager() {
+  const pairs = allConfiguredPairs();
+  const disabled = new Set(pairSettings.disabled);
+  document.getElementById("pairCount").textContent = `${enabledPairs().length} of ${pairs.length} enabled`;
+
+  const list = document.getElementById("pairList");
+  list.innerHTML = pairs
+    .map((pair) => {
+      const key = pairKey(pair);
+      return `
+        <label class="pair-row">
+          <input type="checkbox" data-pair="${escHtml(key)}" ${disabled.has(key) ? "" : "checked"}>
+          <span class="pair-name">${escHtml(pair.source)} → ${escHtml(pair.target)}</span>
+          ${pair.custom ? `<span class="badge badge-gold">Custom</span>
+          <button class="pair-remove" data-remove="${escHtml(key)}" title="Remove pair">✕</button>` : ""}
+        </label>
+      `;
+    })
+    .join("");
+
+  list.querySelectorAll("input[data-pair]").forEach((box) => {
+    box.addEventListener("change", () => {
+      const key = box.dataset.pair;
+      pairSettings.disabled = pairSettings.disabled.filter((k) => k !== key);
+      if (!box.checked) pairSettings.disabled.push(key);
+      persistPairSettings();
+    });
+  });
+  list.querySelectorAll("button[data-remove]").forEach((btn) => {
+    btn.addEventListener("click", (e) => {
+      e.preventDefault();
+      const key = btn.dataset.remove;
+      pairSettings.custom = pairSettings.custom.filter((pair) => pairKey(pair) !== key);
+      pairSettings.disabled = pairSettings.disabled.filter((k) => k !== key);
+      persistPairSettings();
+    });
+  });
+}
+
+function addCustomPair() {
+  const sourceInput = document.getElementById("pairSourceInput");
+  const targetInput = document.getElementById("pairTargetInput");
+  const pair = { source: sourceInput.value.trim(), target: targetInput.value.trim() };
+
+  if (!pair.source || !pair.target) return setPairError("Enter both a source and a target object.");
+  if (pair.source === pair.target) return setPairError("Source and target must be different objects.");
+  const unknown = [pair.source, pair.target].filter((name) => sobjectNames && !sobjectNames.has(name));
+  if (unknown.length) return setPairError(`Not a queryable object in this org: ${unknown.join(", ")}`);
+  if (allConfiguredPairs().some((p) => pairKey(p) === pairKey(pair))) {
+    return setPairError(`${pair.source} → ${pair.target} is already in the list.`);
+  }
+
+  pairSettings.custom.push(pair);
+  sourceInput.value = "";
+  targetInput.value = "";
+  setPairError("");
+  persistPairSettings();
+}
+
+function setPairError(message) {
+  const el = document.getElementById("pairError");
+  el.textContent = message;
+  el.classList.toggle("hidden", !message);
 }
 
 // ── Scan ───────────────────────────────────────────────────────────────────
@@ -91,34 +296,16 @@ async function runScan() {
   document.getElementById("exportBtn").disabled = true;
 
   try {
-    allPairs = [];
+    const pairs = enabledPairs();
+    if (pairs.length === 0) throw new Error("No object pairs are enabled. Open Pairs to choose which ones to scan.");
 
-    for (const pair of TWIN_PAIRS) {
-      try {
-        setLoadingMsg(`Fetching ${pair.source} fields…`);
-        const sourceDescribe = await api.describe(pair.source);
-
-        setLoadingMsg(`Fetching ${pair.target} fields…`);
-        const targetDescribe = await api.describe(pair.target);
-
-        setLoadingMsg(`Computing twins for ${pair.source} → ${pair.target}…`);
-        const twins = computeTwinPairs(
-          sourceDescribe.fields,
-          targetDescribe.fields,
-          pair.source,
-          pair.target
-        );
-        allPairs.push(...twins);
-      } catch (e) {
-        console.warn(`Skipping pair ${pair.source} → ${pair.target}: ${e.message}`);
-        continue;
-      }
-    }
+    const scan = await scanOrg(api, pairs, setLoadingMsg);
+    currentScan = { takenAt: new Date().toISOString(), pairs: scan.pairs, candidates: scan.candidates };
+    viewingSnapshotId = null;
+    showPairs(currentScan);
 
-    renderStats(allPairs);
-    applyFilters();
-    showState("results");
-    document.getElementById("exportBtn").disabled = false;
+    renderSkippedPairs(scan.skipped);
+    renderSnapshotPanel();
   } catch (err) {
     showError(err.message || "An unexpected error occurred.");
   } finally {
@@ -126,6 +313,72 @@ async function runScan() {
   }
 }
 
+// Describes and metadata queries are cached for the browser session; drop
+// them after a deployment so the scan sees the org as it is now
+async function refreshMetadata() {
+  await api.clearCache();
+  sobjectNames = null;
+  permissionSets = null;
+  if (!document.getElementById("pairManager").classList.contains("hidden")) loadSObjectNames();
+  if (!document.getElementById("flsPanel").classList.contains("hidden")) loadPermissionSets();
+  await runScan();
+}
+
+/**
+ * Describe every object the pairs mention — each one once, however many
+ * pairs it's in — and compute the twins for each pair. Pairs whose objects
+ * can't be described (not installed, no access) are returned in `skipped`.
+ * Near-miss twins come back in `candidates`, and the field names of every
+ * described object in `fields` ({ objectName: [fieldName] }).
+ */
+async function scanOrg(api, pairs, onProgress = () => {}) {
+  const describes = new Map();
+  const errors = new Map();
+  const objectNames = [...new Set(pairs.flatMap((pair) => [pair.source, pair.target]))];
+  onProgress(`Fetching fields for ${objectNames.length} objects…`);
+  (await api.describeMany(objectNames)).forEach(({ objectName, describe, error }) => {
+    if (error) errors.set(objectName, error.message);
+    else describes.set(objectName, describe);
+  });
+
+  const found = [];
+  const candidates = [];
+  const skipped = [];
+  for (const pair of pairs) {
+    const failed = [pair.source, pair.target].filter((name) => errors.has(name));
+    if (failed.length) {
+      skipped.push({ ...pair, reason: failed.map((name) => `${name}: ${errors.get(name)}`).join("; ") });
+      continue;
+    }
+    onProgress(`Computing twins for ${pair.source} → ${pair.target}…`);
+    const sourceFields = describes.get(pair.source).fields;
+    const targetDescribe = describes.get(pair.target);
+    found.push(
+      ...computeTwinPairs(sourceFields, targetDescribe.fields, pair.source, pair.target, {
+        targetRecordTypeCount: countRecordTypes(targetDescribe),
+      })
+    );
+    candidates.push(
+      ...findNearMisses(sourceFields, targetDescribe.fields).map(({ source, target, confidence, reasons }) => ({
+        pairLabel: `${pair.source} → ${pair.target}`,
+        sourceObj: pair.source,
+        targetObj: pair.target,
+        sourceName: source.name,
+        sourceLabel: source.label,
+        targetName: target.name,
+        targetLabel: target.label,
+        confidence,
+        reasons,
+      }))
+    );
+  }
+
+  onProgress("Looking up global value sets…");
+  await annotateValueSets(api, found);
+  const fields = Object.fromEntries([...describes].map(([objectName, d]) => [objectName, d.fields.map((f) => f.name)]));
+  return { pairs: found, candidates, skipped, fields };
+}
+
 /**
  * Compare fields between the two objects.
  * A twin pair exists when the API name matches (case-insensitive).
@@ -133,7 +386,7 @@ async function runScan() {
  * We also include fields that ONLY exist on one side with a flag,
  * so users can see near-matches or candidates.
  */
-function computeTwinPairs(sourceFields, targetFields, sourceObj, targetObj) {
+function computeTwinPairs(sourceFields, targetFields, sourceObj, targetObj, { targetRecordTypeCount = 0 } = {}) {
   const sourceMap = new Map(sourceFields.map(f => [f.name.toLowerCase(), f]));
   const targetMap = new Map(targetFields.map(f => [f.name.toLowerCase(), f]));
 
@@ -143,6 +396,8 @@ function computeTwinPairs(sourceFields, targetFields, sourceObj, targetObj) {
     if (targetMap.has(key)) {
       const targetField = targetMap.get(key);
       const typesMatch = sourceField.type === targetField.type;
+      const picklist = comparePicklists(sourceField, targetField, { targetRecordTypeCount });
+      const compatibility = gradeCompatibility(sourceField, targetField);
 
       pairs.push({
         apiName: sourceField.name,
@@ -157,6 +412,7 @@ function computeTwinPairs(sourceFields, targetFields, sourceObj, targetObj) {
         sourceScale: sourceField.scale,
         sourceRequired: !sourceField.nillable && !sourceField.defaultedOnCreate,
         sourceFormula: sourceField.calculated,
+        sourcePermissionable: sourceField.permissionable,
         // target side
         targetLabel: targetField.label,
         targetType: targetField.type,
@@ -165,7 +421,14 @@ function computeTwinPairs(sourceFields, targetFields, sourceObj, targetObj) {
         targetScale: targetField.scale,
         targetRequired: !targetField.nillable && !targetField.defaultedOnCreate,
         targetFormula: targetField.calculated,
+        targetPermissionable: targetField.permissionable,
+        targetWritable: !!(targetField.createable || targetField.updateable),
         typesMatch,
+        severity: compatibility.grade,
+        severityRank: COMPATIBILITY_GRADES[compatibility.grade].rank,
+        severityReasons: compatibility.reasons,
+        picklist,
+        picklistGap: !!picklist && picklist.missing.length > 0,
         isCustom: sourceField.custom || targetField.custom,
         isTwin: true
       });
@@ -176,6 +439,64 @@ function computeTwinPairs(sourceFields, targetFields, sourceObj, targetObj) {
   return pairs;
 }
 
+// Record types users can actually pick, ignoring the master record type
+function countRecordTypes(describe) {
+  return (describe.recordTypeInfos || []).filter((rt) => rt.available && !rt.master).length;
+}
+
+/**
+ * Find the global value set behind custom picklists that have value gaps.
+ * The describe doesn't say, and pointing both sides at one global value
+ * set is usually the fix. Best effort — without Tooling API access the
+ * value sets just stay unknown.
+ */
+async function annotateValueSets(api, pairs) {
+  const gaps = pairs.filter((p) => p.picklistGap && p.apiName.endsWith("__c"));
+  const fields = new Map(); // "Object.Field__c" → { objectName, fieldName }
+  gaps.forEach((p) => {
+    [p.sourceObj, p.targetObj].forEach((objectName) => {
+      fields.set(`${objectName}.${p.apiName}`, { objectName, fieldName: p.apiName });
+    });
+  });
+  if (fields.size === 0) return;
+
+  let entities = [];
+  try {
+    const objectList = [...new Set(gaps.flatMap((p) => [p.sourceObj, p.targetObj]))].map((n) => `'${n}'`).join(",");
+    entities = await api.toolingQuery(`
+      SELECT QualifiedApiName, DurableId FROM EntityDefinition WHERE QualifiedApiName IN (${objectList})
+    `, { cache: true });
+  } catch (e) {
+    console.warn(`Skipping global value set lookup: ${e.message}`);
+    return;
+  }
+  const tableIds = new Map(entities.map((e) => [e.QualifiedApiName, e.DurableId]));
+
+  const valueSets = new Map();
+  for (const [key, { objectName, fieldName }] of [...fields].slice(0, MAX_VALUE_SET_LOOKUPS)) {
+    const tableId = tableIds.get(objectName);
+    if (!tableId) continue;
+    const [, namespace, developerName] = fieldName.match(/^(?:([A-Za-z0-9]+)__)?(.+)__c$/);
+    try {
+      // Metadata can only be queried one row at a time
+      const [field] = await api.toolingQuery(`
+        SELECT Metadata FROM CustomField
+        WHERE TableEnumOrId = '${tableId}' AND DeveloperName = '${developerName}'
+          AND NamespacePrefix = ${namespace ? `'${namespace}'` : "null"}
+        LIMIT 1
+      `, { cache: true });
+      valueSets.set(key, field?.Metadata?.valueSet?.valueSetName || null);
+    } catch (e) {
+      console.warn(`Skipping value set lookup for ${key}: ${e.message}`);
+    }
+  }
+
+  gaps.forEach((p) => {
+    p.picklist.sourceValueSet = valueSets.get(`${p.sourceObj}.${p.apiName}`) ?? null;
+    p.picklist.targetValueSet = valueSets.get(`${p.targetObj}.${p.apiName}`) ?? null;
+  });
+}
+
 // ── Filtering & Rendering ──────────────────────────────────────────────────
 function applyFilters() {
   const search = document.getElementById("searchInput").value.toLowerCase().trim();
@@ -185,6 +506,8 @@ function applyFilters() {
     if (activeFilter === "twin" && !p.isTwin) return false;
     if (activeFilter === "custom" && !p.isCustom) return false;
     if (activeFilter === "mismatch" && p.typesMatch) return false;
+    if (activeFilter === "picklist" && !p.picklistGap) return false;
+    if (activeFilter.startsWith("severity:") && p.severity !== activeFilter.slice("severity:".length)) return false;
 
     // Search
     if (search) {
@@ -207,6 +530,39 @@ function applyFilters() {
 
   renderTable();
   document.getElementById("resultsCount").textContent = `${filteredPairs.length} of ${allPairs.length} pairs`;
+  renderCandidates(search);
+}
+
+// Near misses follow the search box but not the chips, which describe
+// real twins
+function renderCandidates(search) {
+  const show = document.getElementById("candidatesToggle").checked;
+  document.getElementById("candidatesArea").classList.toggle("hidden", !show);
+  if (!show) return;
+
+  const candidates = allCandidates.filter((c) => {
+    if (!search) return true;
+    const hay = `${c.sourceName} ${c.targetName} ${c.sourceLabel} ${c.targetLabel} ${c.pairLabel}`.toLowerCase();
+    return hay.includes(search);
+  });
+  document.getElementById("candidatesCount").textContent = `${candidates.length} of ${allCandidates.length} candidates`;
+
+  const tbody = document.getElementById("candidatesBody");
+  if (candidates.length === 0) {
+    tbody.innerHTML = `<tr><td colspan="5" style="text-align:center;padding:32px;color:var(--color-text-muted)">No near-miss fields found.</td></tr>`;
+    return;
+  }
+  tbody.innerHTML = candidates
+    .map((c) => `
+      <tr>
+        <td>${escHtml(c.pairLabel)}</td>
+        <td title="${escHtml(c.sourceLabel)}"><code>${escHtml(c.sourceName)}</code></td>
+        <td title="${escHtml(c.targetLabel)}"><code>${escHtml(c.targetName)}</code></td>
+        <td><span class="badge ${c.confidence >= 0.9 ? "badge-crimson" : "badge-gold"}">${Math.round(c.confidence * 100)}%</span></td>
+        <td class="candidate-reasons">${c.reasons.map(escHtml).join("<br/>")}</td>
+      </tr>
+    `)
+    .join("");
 }
 
 function renderTable() {
@@ -215,7 +571,7 @@ function renderTable() {
 
   if (filteredPairs.length === 0) {
     const tr = document.createElement("tr");
-    tr.innerHTML = `<td colspan="8" style="text-align:center;padding:32px;color:var(--color-text-muted)">No fields match your filters.</td>`;
+    tr.innerHTML = `<td colspan="6" style="text-align:center;padding:32px;color:var(--color-text-muted)">No fields match your filters.</td>`;
     tbody.appendChild(tr);
     return;
   }
@@ -228,16 +584,20 @@ function renderTable() {
     const typeBadge = pair.typesMatch
       ? `<span class="badge badge-success">✓ Match</span>`
       : `<span class="badge badge-crimson">✗ Mismatch</span>`;
+    const picklistBadge = pair.picklistGap
+      ? ` <span class="badge badge-gold" title="${escHtml(describePicklistGap(pair.picklist))}">⚠ ${pair.picklist.missing.length} value${pair.picklist.missing.length !== 1 ? "s" : ""} missing</span>`
+      : "";
 
     const customBadge = pair.isCustom
       ? `<span class="badge badge-gold">Custom</span>`
       : `<span class="badge badge-muted">Standard</span>`;
 
       mainRow.innerHTML = `
-        <td>${escHtml(pair.pairLabel)}</td>
+        <td><span class="expand-icon" id="ei-${idx}">▸</span> ${escHtml(pair.pairLabel)}</td>
         <td>${escHtml(pair.sourceLabel)}</td>
         <td>${escHtml(pair.targetLabel)}</td>
-        <td>${typeBadge}</td>
+        <td>${typeBadge}${picklistBadge}</td>
+        <td>${renderSeverityBadge(pair)}</td>
         <td>${customBadge}</td>
       `;
 
@@ -246,13 +606,15 @@ function renderTable() {
     detailRow.id = `detail-${idx}`;
     detailRow.style.display = "none";
     detailRow.innerHTML = `
-      <td colspan="5">
+      <td colspan="6">
         <strong>${escHtml(pair.sourceObj)}</strong><br/>
         ${renderFieldDetail(pair, "source")}
 
         <strong>${escHtml(pair.targetObj)}</strong><br/>
         ${renderFieldDetail(pair, "target")}
         ${!pair.typesMatch ? '<p class="warning">Type mismatch — value may not sync correctly.</p>' : ''}
+        ${pair.severityReasons.map((reason) => `<p class="warning">${escHtml(reason)}</p>`).join("")}
+        ${renderPicklistDetail(pair.picklist)}
       </td>
     `;
 
@@ -263,6 +625,13 @@ function renderTable() {
   });
 }
 
+const SEVERITY_BADGES = { ok: "badge-success", truncation: "badge-gold", precision: "badge-gold", nosync: "badge-crimson" };
+
+function renderSeverityBadge(pair) {
+  const title = pair.severityReasons.join("\n");
+  return `<span class="badge ${SEVERITY_BADGES[pair.severity]}" title="${escHtml(title)}">${escHtml(COMPATIBILITY_GRADES[pair.severity].label)}</span>`;
+}
+
 function renderFieldDetail(pair, side) {
   const prefix = side === 'source' ? 'source' : 'target';
   return `
@@ -277,6 +646,30 @@ function renderFieldDetail(pair, side) {
   `;
 }
 
+function renderPicklistDetail(picklist) {
+  if (!picklist) return "";
+  const notes = [
+    picklist.targetRestricted ? "Target picklist is restricted" : "Target picklist is unrestricted",
+    picklist.sourceValueSet || picklist.targetValueSet
+      ? `Global value set: ${picklist.sourceValueSet || "none"} → ${picklist.targetValueSet || "none"}`
+      : "",
+    picklist.sourceControllingField ? `Source depends on ${picklist.sourceControllingField}` : "",
+    picklist.targetControllingField ? `Target depends on ${picklist.targetControllingField} — values are only valid for some controlling values` : "",
+    picklist.recordTypeDependent ? "Target object has several record types — each may offer only some values" : "",
+  ].filter(Boolean);
+
+  return `
+    <div class="field-detail">
+      <div><strong>Picklist values:</strong> ${picklist.sourceValues?.length ?? picklist.sourceValueCount} active on source, ${picklist.targetValues?.length ?? picklist.targetValueCount} on target</div>
+      ${picklist.missing.length ? `
+        <div class="warning">${escHtml(describePicklistGap(picklist))}</div>
+        <div><strong>Missing on target:</strong> ${picklist.missing.map((v) => `<code>${escHtml(v)}</code>${picklist.inactiveOnTarget.includes(v) ? " (inactive)" : ""}`).join(", ")}</div>
+      ` : ""}
+      ${notes.map((note) => `<div>${escHtml(note)}</div>`).join("")}
+    </div>
+  `;
+}
+
 function toggleDetail(idx) {
   const detailRow = document.getElementById(`detail-${idx}`);
   const icon = document.getElementById(`ei-${idx}`);
@@ -285,9 +678,641 @@ function toggleDetail(idx) {
   icon.classList.toggle("open", !isOpen);
 }
 
+function renderSkippedPairs(skipped) {
+  const el = document.getElementById("skippedPairs");
+  el.classList.toggle("hidden", skipped.length === 0);
+  el.innerHTML = skipped.length
+    ? `<strong>Skipped ${skipped.length} pair${skipped.length !== 1 ? "s" : ""}:</strong> ${skipped
+        .map((pair) => `<span title="${escHtml(pair.reason)}">${escHtml(pair.source)} → ${escHtml(pair.target)}</span>`)
+        .join(", ")}`
+    : "";
+}
+
+// Put a live scan or a saved snapshot on screen
+function showPairs({ pairs, candidates }) {
+  allPairs = pairs;
+  allCandidates = candidates || [];
+  renderStats(allPairs);
+  applyFilters();
+  renderSnapshotNotice();
+  showState("results");
+  document.getElementById("exportBtn").disabled = false;
+}
+
+// ── Snapshots ──────────────────────────────────────────────────────────────
+// Each snapshot is stored under its own key, listed by id under
+// SNAPSHOTS_KEY, so saving one scan doesn't rewrite every other.
+function snapshotKey(id) {
+  return `twinSnapshot:${id}`;
+}
+
+async function loadSnapshots() {
+  try {
+    const stored = await loadOrgData(api.orgOrigin, SNAPSHOTS_KEY, []);
+    if (stored.some((entry) => typeof entry === "object")) {
+      // Older versions kept every snapshot in the one key
+      snapshots = stored.map(compactSnapshot);
+      for (const snapshot of snapshots) await saveOrgData(api.orgOrigin, snapshotKey(snapshot.id), snapshot);
+      await persistSnapshotIndex();
+    } else {
+      const loaded = await Promise.all(stored.map((id) => loadOrgData(api.orgOrigin, snapshotKey(id))));
+      snapshots = loaded.filter(Boolean);
+    }
+  } catch (e) {
+    console.warn(`Could not load snapshots: ${e.message}`);
+    snapshots = snapshots || [];
+  }
+  renderSnapshotPanel();
+}
+
+async function persistSnapshotIndex() {
+  await saveOrgData(api.orgOrigin, SNAPSHOTS_KEY, snapshots.map((s) => s.id));
+  renderSnapshotPanel();
+}
+
+// Writes one snapshot, then the index that lists it. A new snapshot's key
+// is removed again if the index can't be written.
+async function storeSnapshot(snapshot, { isNew }) {
+  await saveOrgData(api.orgOrigin, snapshotKey(snapshot.id), snapshot);
+  try {
+    await persistSnapshotIndex();
+  } catch (e) {
+    if (isNew) await removeOrgData(api.orgOrigin, snapshotKey(snapshot.id)).catch(() => {});
+    throw e;
+  }
+}
+
+// Picklist value lists are only needed while a scan is open; snapshots keep
+// their counts (diffScans compares the missing values)
+function compactSnapshot(snapshot) {
+  return {
+    ...snapshot,
+    pairs: snapshot.pairs.map((pair) => {
+      if (!pair.picklist) return pair;
+      const { sourceValues, targetValues, ...picklist } = pair.picklist;
+      return {
+        ...pair,
+        picklist: {
+          ...picklist,
+          sourceValueCount: sourceValues?.length ?? picklist.sourceValueCount,
+          targetValueCount: targetValues?.length ?? picklist.targetValueCount,
+        },
+      };
+    }),
+  };
+}
+
+async function saveSnapshot() {
+  if (!currentScan) return;
+  const name = prompt("Snapshot name", `Scan ${new Date(currentScan.takenAt).toLocaleString()}`)?.trim();
+  if (!name) return;
+
+  const existing = snapshots.find((s) => s.name === name);
+  if (existing && !confirm(`Replace the saved snapshot "${name}"?`)) return;
+
+  const snapshot = compactSnapshot({
+    id: existing?.id || `snapshot-${Date.now()}`,
+    name,
+    takenAt: currentScan.takenAt,
+    org: new URL(api.orgOrigin).hostname,
+    objectPairs: enabledPairs().map(({ source, target }) => ({ source, target })),
+    pairs: currentScan.pairs,
+    candidates: currentScan.candidates,
+  });
+  const previous = snapshots;
+  snapshots = existing ? snapshots.map((s) => (s.id === existing.id ? snapshot : s)) : [...snapshots, snapshot];
+  try {
+    await storeSnapshot(snapshot, { isNew: !existing });
+  } catch (e) {
+    snapshots = previous;
+    renderSnapshotPanel();
+    alert(`Could not save snapshot: ${e.message}`);
+  }
+}
+
+function viewSnapshot(id) {
+  const snapshot = snapshots.find((s) => s.id === id);
+  if (!snapshot) return;
+  viewingSnapshotId = id;
+  renderSkippedPairs([]);
+  showPairs(snapshot);
+}
+
+function exportSnapshot(id) {
+  const snapshot = snapshots.find((s) => s.id === id);
+  if (!snapshot) return;
+  const { id: _id, ...data } = snapshot;
+  const blob = new Blob([JSON.stringify({ format: SNAPSHOT_FORMAT, version: 1, ...data }, null, 2)], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = `cpq-twin-snapshot-${snapshot.name.replace(/[^\w-]+/g, "-")}.json`;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+async function importSnapshot(event) {
+  const input = event.target;
+  const file = input.files[0];
+  input.value = "";
+  if (!file) return;
+
+  const previous = snapshots;
+  try {
+    const data = JSON.parse(await file.text());
+    if (data.format !== SNAPSHOT_FORMAT || !Array.isArray(data.pairs)) {
+      throw new Error("This file isn't a twin field snapshot.");
+    }
+    const { format, version, ...snapshot } = data;
+    const imported = compactSnapshot({ ...snapshot, id: `snapshot-${Date.now()}`, name: snapshot.name || file.name });
+    snapshots = [...snapshots, imported];
+    await storeSnapshot(imported, { isNew: true });
+    setSnapshotError("");
+  } catch (e) {
+    snapshots = previous;
+    renderSnapshotPanel();
+    setSnapshotError(`Could not import ${file.name}: ${e.message}`);
+  }
+}
+
+async function deleteSnapshot(id) {
+  const snapshot = snapshots.find((s) => s.id === id);
+  if (!snapshot || !confirm(`Delete the snapshot "${snapshot.name}"?`)) return;
+  const previous = snapshots;
+  snapshots = snapshots.filter((s) => s.id !== id);
+  try {
+    await persistSnapshotIndex();
+  } catch (e) {
+    snapshots = previous;
+    renderSnapshotPanel();
+    setSnapshotError(`Could not delete snapshot: ${e.message}`);
+    return;
+  }
+  // No longer listed, so a leftover key is harmless
+  await removeOrgData(api.orgOrigin, snapshotKey(id)).catch(() => {});
+}
+
+function renderSnapshotPanel() {
+  const hostname = new URL(api.orgOrigin).hostname;
+  document.getElementById("saveSnapshotBtn").disabled = !currentScan;
+  document.getElementById("snapshotCount").textContent = `${snapshots.length} saved`;
+
+  const list = document.getElementById("snapshotList");
+  list.innerHTML = snapshots.length
+    ? snapshots
+        .map((s) => `
+          <div class="snapshot-row">
+            <span class="snapshot-name">${escHtml(s.name)}</span>
+            <span class="snapshot-meta">${escHtml(new Date(s.takenAt).toLocaleString())} · ${s.pairs.length} pairs${s.org && s.org !== hostname ? ` · ${escHtml(s.org)}` : ""}</span>
+            <button class="btn btn-secondary btn-sm" data-action="view" data-id="${escHtml(s.id)}">View</button>
+            <button class="btn btn-secondary btn-sm" data-action="export" data-id="${escHtml(s.id)}">Export</button>
+            <button class="pair-remove" data-action="delete" data-id="${escHtml(s.id)}" title="Delete snapshot">✕</button>
+          </div>
+        `)
+        .join("")
+    : `<div class="snapshot-meta">No snapshots yet — scan the org and save one.</div>`;
+
+  const actions = { view: viewSnapshot, export: exportSnapshot, delete: deleteSnapshot };
+  list.querySelectorAll("[data-action]").forEach((btn) => {
+    btn.addEventListener("click", () => actions[btn.dataset.action](btn.dataset.id));
+  });
+
+  // "current" is the live scan; keep each select's choice across re-renders
+  const options = [
+    ...(currentScan ? [{ id: "current", label: "Current scan" }] : []),
+    ...snapshots.map((s) => ({ id: s.id, label: s.name })),
+  ];
+  ["diffFromSelect", "diffToSelect"].forEach((selectId, i) => {
+    const select = document.getElementById(selectId);
+    const chosen = select.value;
+    select.innerHTML = options.map((o) => `<option value="${escHtml(o.id)}">${escHtml(o.label)}</option>`).join("");
+    const fallback = i === 0 ? options[0] : options[options.length - 1];
+    select.value = options.some((o) => o.id === chosen) ? chosen : fallback?.id ?? "";
+  });
+  document.getElementById("compareSnapshotsBtn").disabled = options.length < 2;
+}
+
+function renderSnapshotNotice() {
+  const snapshot = snapshots.find((s) => s.id === viewingSnapshotId);
+  const el = document.getElementById("snapshotNotice");
+  el.classList.toggle("hidden", !snapshot);
+  el.textContent = snapshot
+    ? `Viewing snapshot "${snapshot.name}" taken ${new Date(snapshot.takenAt).toLocaleString()} — Scan Org to return to live data.`
+    : "";
+}
+
+function compareSnapshots() {
+  const pick = (id) => (id === "current" ? { name: "Current scan", ...currentScan } : snapshots.find((s) => s.id === id));
+  const fromId = document.getElementById("diffFromSelect").value;
+  const toId = document.getElementById("diffToSelect").value;
+  const before = pick(fromId);
+  const after = pick(toId);
+  if (!before || !after) return;
+  if (fromId === toId) return setSnapshotError("Pick two different scans to compare.");
+  setSnapshotError("");
+  renderScanDiff(`${before.name} → ${after.name}`, diffScans(before.pairs, after.pairs));
+}
+
+/**
+ * Show a diff in the diff table. `labels` names the two sides for
+ * cross-org comparisons; `fieldDifferences` adds custom fields found in
+ * only one org.
+ */
+function renderScanDiff(title, diff, { labels = null, fieldDifferences = [], note = "" } = {}) {
+  const area = document.getElementById("diffArea");
+  area.classList.remove("hidden");
+  const addedLabel = labels ? `Only in ${labels.right}` : "Added";
+  const removedLabel = labels ? `Only in ${labels.left}` : "Removed";
+  document.getElementById("diffTitle").textContent = title;
+  document.getElementById("diffCount").textContent = [
+    `${diff.added.length} ${labels ? `twins only in ${labels.right}` : "added"}`,
+    `${diff.removed.length} ${labels ? `only in ${labels.left}` : "removed"}`,
+    `${diff.changed.length} ${labels ? "differ" : "changed"}`,
+    ...(labels ? [`${fieldDifferences.length} fields in one org only`] : []),
+    note,
+  ].filter(Boolean).join(" · ");
+
+  const row = (kind, badge, pair, details) => `
+    <tr>
+      <td><span class="badge ${badge}">${kind}</span></td>
+      <td>${escHtml(pair.pairLabel)}</td>
+      <td><code>${escHtml(pair.apiName)}</code></td>
+      <td class="candidate-reasons">${details}</td>
+    </tr>
+  `;
+  const rows = [
+    ...diff.added.map((p) => row(escHtml(addedLabel), "badge-success", p, escHtml(formatFieldType(p.sourceType, p.sourceLength, p.sourcePrecision, p.sourceScale)))),
+    ...diff.removed.map((p) => row(escHtml(removedLabel), "badge-crimson", p, labels ? `Not a twin in ${escHtml(labels.right)}` : "No longer a twin")),
+    ...diff.changed.map(({ pair, changes }) =>
+      row(labels ? "Differs" : "Changed", "badge-gold", pair, changes
+        .map((c) => `${escHtml(c.label)}: ${escHtml(c.from ?? "—")} → ${escHtml(c.to ?? "—")}`)
+        .join("<br/>"))
+    ),
+    ...fieldDifferences.map((d) => `
+      <tr>
+        <td><span class="badge badge-muted">Field only in ${escHtml(labels[d.only])}</span></td>
+        <td>${escHtml(d.objectName)}</td>
+        <td><code>${escHtml(d.field)}</code></td>
+        <td class="candidate-reasons">Missing on ${escHtml(d.objectName)} in ${escHtml(labels[d.only === "left" ? "right" : "left"])}</td>
+      </tr>
+    `),
+  ];
+  document.getElementById("diffBody").innerHTML = rows.length
+    ? rows.join("")
+    : `<tr><td colspan="4" style="text-align:center;padding:32px;color:var(--color-text-muted)">No differences between these scans.</td></tr>`;
+  area.scrollIntoView({ behavior: "smooth", block: "start" });
+}
+
+// ── Cross-org Comparison ───────────────────────────────────────────────────
+async function loadOpenOrgs() {
+  const select = document.getElementById("otherOrgSelect");
+  const hostname = new URL(api.orgOrigin).hostname;
+  try {
+    const orgs = (await listOpenOrgs()).filter((org) => org.hostname !== hostname);
+    select.innerHTML = orgs.map((org) => `<option value="${escHtml(org.origin)}">${escHtml(org.hostname)}</option>`).join("");
+    document.getElementById("runOrgCompareBtn").disabled = orgs.length === 0;
+    setOrgCompareError(orgs.length ? "" : "No other org found — log in to it in another tab, then refresh.");
+  } catch (e) {
+    setOrgCompareError(`Could not list open orgs: ${e.message}`);
+  }
+}
+
+/**
+ * Scan this org and the chosen one with the same object pairs and diff
+ * them: twins in one org only, twins whose type or size differs, and
+ * custom fields on the scanned objects that exist in one org only.
+ * Pairs that couldn't be scanned in either org are left out.
+ */
+async function runOrgComparison() {
+  const otherOrigin = document.getElementById("otherOrgSelect").value;
+  if (!otherOrigin) return;
+  const pairs = enabledPairs();
+  if (pairs.length === 0) return setOrgCompareError("No object pairs are enabled.");
+
+  const otherApi = new SalesforceAPI(otherOrigin);
+  const labels = { left: new URL(api.orgOrigin).hostname, right: new URL(otherApi.orgOrigin).hostname };
+  document.getElementById("runOrgCompareBtn").disabled = true;
+  document.getElementById("runScanBtn").disabled = true;
+  setOrgCompareError("");
+  showState("loading");
+
+  try {
+    const left = await scanOrg(api, pairs, (msg) => setLoadingMsg(`${labels.left}: ${msg}`));
+    const right = await scanOrg(otherApi, pairs, (msg) => setLoadingMsg(`${labels.right}: ${msg}`));
+
+    currentScan = { takenAt: new Date().toISOString(), pairs: left.pairs, candidates: left.candidates };
+    viewingSnapshotId = null;
+    showPairs(currentScan);
+    renderSkippedPairs(left.skipped);
+    renderSnapshotPanel();
+
+    const skippedKeys = new Set([...left.skipped, ...right.skipped].map(pairKey));
+    const scanned = (found) => found.filter((p) => !skippedKeys.has(pairKey({ source: p.sourceObj, target: p.targetObj })));
+    renderScanDiff(`${labels.left} ⇄ ${labels.right}`, diffScans(scanned(left.pairs), scanned(right.pairs)), {
+      labels,
+      fieldDifferences: diffObjectFields(left.fields, right.fields),
+      note: skippedKeys.size ? `${skippedKeys.size} pair${skippedKeys.size !== 1 ? "s" : ""} not comparable` : "",
+    });
+  } catch (err) {
+    showError(err.message || "An unexpected error occurred.");
+  } finally {
+    document.getElementById("runOrgCompareBtn").disabled = false;
+    document.getElementById("runScanBtn").disabled = false;
+  }
+}
+
+function setOrgCompareError(message) {
+  const el = document.getElementById("orgCompareError");
+  el.textContent = message;
+  el.classList.toggle("hidden", !message);
+}
+
+// ── Field-level Security ───────────────────────────────────────────────────
+async function loadPermissionSets() {
+  if (permissionSets) return;
+  try {
+    // Sets behind a permission set group are the group's aggregate — skip them
+    const records = await api.query(`
+      SELECT Id, Label, IsOwnedByProfile, Profile.Name
+      FROM PermissionSet
+      WHERE PermissionSetGroupId = null
+      ORDER BY Label
+    `, { cache: true });
+    permissionSets = records
+      .map((r) => ({
+        id: r.Id,
+        name: r.IsOwnedByProfile ? r.Profile?.Name || r.Label : r.Label,
+        kind: r.IsOwnedByProfile ? "Profile" : "Permission Set",
+        selected: false,
+      }))
+      .sort((a, b) => a.kind.localeCompare(b.kind) || a.name.localeCompare(b.name));
+    setFlsError("");
+  } catch (e) {
+    setFlsError(`Could not load profiles and permission sets: ${e.message}`);
+  }
+  renderPermissionSetList();
+}
+
+function renderPermissionSetList() {
+  const list = document.getElementById("flsParentList");
+  if (!permissionSets) {
+    list.innerHTML = "";
+    return;
+  }
+  const search = document.getElementById("flsSearchInput").value.toLowerCase().trim();
+  const shown = permissionSets.filter((ps) => ps.selected || !search || ps.name.toLowerCase().includes(search));
+  list.innerHTML = shown
+    .map((ps) => `
+      <label class="pair-row">
+        <input type="checkbox" data-ps="${escHtml(ps.id)}" ${ps.selected ? "checked" : ""}>
+        <span>${escHtml(ps.name)}</span>
+        <span class="badge ${ps.kind === "Profile" ? "badge-muted" : "badge-gold"}">${ps.kind}</span>
+      </label>
+    `)
+    .join("");
+  list.querySelectorAll("input[data-ps]").forEach((box) => {
+    box.addEventListener("change", () => {
+      permissionSets.find((ps) => ps.id === box.dataset.ps).selected = box.checked;
+      updateFlsSelectionCount();
+    });
+  });
+  updateFlsSelectionCount();
+}
+
+function updateFlsSelectionCount() {
+  const count = (permissionSets || []).filter((ps) => ps.selected).length;
+  document.getElementById("flsSelectionCount").textContent = `${count} selected`;
+  document.getElementById("runFlsAuditBtn").disabled = count === 0;
+}
+
+/**
+ * Check the selected profiles / permission sets against the twin pairs on
+ * screen. Each is audited on its own, or — with "as one user" ticked —
+ * merged, the way a user holding all of them would see the fields.
+ */
+async function runFlsAudit() {
+  const selected = permissionSets.filter((ps) => ps.selected);
+  if (allPairs.length === 0) return setFlsError("Scan the org first — the audit checks the twin pairs found.");
+  // Snapshots saved before the audit existed don't record which fields are
+  // permissionable; auditing them would flag every required field
+  if (allPairs.some((p) => p.sourcePermissionable === undefined || p.targetPermissionable === undefined)) {
+    return setFlsError("This snapshot predates the FLS audit and doesn't record which fields are permissionable. Scan the org again to audit it.");
+  }
+  setFlsError("");
+
+  const btn = document.getElementById("runFlsAuditBtn");
+  btn.disabled = true;
+  btn.textContent = "Auditing…";
+  try {
+    const objects = [...new Set(allPairs.flatMap((p) => [p.sourceObj, p.targetObj]))].map((o) => `'${o}'`).join(",");
+    const grants = new Map(selected.map((ps) => [ps.id, new Map()]));
+    for (let i = 0; i < selected.length; i += FLS_PARENT_CHUNK) {
+      const ids = selected.slice(i, i + FLS_PARENT_CHUNK).map((ps) => `'${ps.id}'`).join(",");
+      const records = await api.query(`
+        SELECT ParentId, Field, PermissionsRead, PermissionsEdit
+        FROM FieldPermissions
+        WHERE ParentId IN (${ids}) AND SobjectType IN (${objects})
+      `);
+      records.forEach((r) => {
+        grants.get(r.ParentId)?.set(r.Field.toLowerCase(), { read: r.PermissionsRead, edit: r.PermissionsEdit });
+      });
+    }
+
+    const holders = document.getElementById("flsCombineToggle").checked && selected.length > 1
+      ? [{ name: selected.map((ps) => ps.name).join(" + "), kind: "Combined", grants: mergeFieldGrants(selected.map((ps) => grants.get(ps.id))) }]
+      : selected.map((ps) => ({ name: ps.name, kind: ps.kind, grants: grants.get(ps.id) }));
+
+    flsRows = holders.flatMap((holder) =>
+      auditFieldAccess(allPairs, holder.grants).map((row) => ({ holder: holder.name, kind: holder.kind, ...row }))
+    );
+    renderFlsResults(holders.length);
+  } catch (e) {
+    setFlsError(`FLS audit failed: ${e.message}`);
+  } finally {
+    btn.disabled = false;
+    btn.textContent = "Run Audit";
+  }
+}
+
+function renderFlsResults(holderCount) {
+  document.getElementById("flsResults").classList.remove("hidden");
+  document.getElementById("flsExportBtn").disabled = flsRows.length === 0;
+  document.getElementById("flsCount").textContent =
+    `${flsRows.length} gap${flsRows.length !== 1 ? "s" : ""} across ${holderCount} profile${holderCount !== 1 ? "s" : ""} / permission set${holderCount !== 1 ? "s" : ""}`;
+
+  const yesNo = (value) => value === null
+    ? `<span class="badge badge-muted">n/a</span>`
+    : value ? `<span class="badge badge-success">✓</span>` : `<span class="badge badge-crimson">✗</span>`;
+  document.getElementById("flsBody").innerHTML = flsRows.length
+    ? flsRows
+        .map((row) => `
+          <tr>
+            <td title="${escHtml(row.kind)}">${escHtml(row.holder)}</td>
+            <td>${escHtml(row.pair.pairLabel)}</td>
+            <td><code>${escHtml(row.pair.apiName)}</code></td>
+            <td>${yesNo(row.sourceRead)}</td>
+            <td>${yesNo(row.targetEdit)}</td>
+            <td class="candidate-reasons">${row.issues.map(escHtml).join("<br/>")}</td>
+          </tr>
+        `)
+        .join("")
+    : `<tr><td colspan="6" style="text-align:center;padding:32px;color:var(--color-text-muted)">Every twin field is readable on the source and editable on the target.</td></tr>`;
+}
+
+function exportFlsCSV() {
+  const headers = ['Profile / Permission Set', 'Type', 'Pair', 'API Name', 'Source Read', 'Target Edit', 'Issues'];
+  const rows = flsRows.map((row) => [
+    row.holder,
+    row.kind,
+    row.pair.pairLabel,
+    row.pair.apiName,
+    row.sourceRead ? 'Yes' : 'No',
+    row.targetEdit === null ? 'n/a' : row.targetEdit ? 'Yes' : 'No',
+    row.issues.join('; '),
+  ]);
+  downloadCSV(headers, rows, `cpq-twin-fls-${new Date().toISOString().slice(0, 10)}.csv`);
+}
+
+function setFlsError(message) {
+  const el = document.getElementById("flsError");
+  el.textContent = message;
+  el.classList.toggle("hidden", !message);
+}
+
+// ── Sync Verification ──────────────────────────────────────────────────────
+// Quote Id or a quote record URL
+function parseQuoteId(text) {
+  const value = text.trim();
+  const fromUrl = value.match(/\/SBQQ__Quote__c\/([a-zA-Z0-9]{15,18})(?:[/?#]|$)/);
+  if (fromUrl) return fromUrl[1];
+  return /^[a-zA-Z0-9]{15}(?:[a-zA-Z0-9]{3})?$/.test(value) ? value : null;
+}
+
+// Twin fields CPQ should have copied from the quote line to `target`.
+// Formula and read-only targets can't hold a synced value, so they're left out.
+function verifiableFields(target) {
+  return allPairs
+    .filter((p) => p.sourceObj === VERIFY_SOURCE && p.targetObj === target.object)
+    .filter((p) => p.apiName.endsWith("__c") && p.apiName !== target.linkField)
+    .filter((p) => !p.targetFormula && p.targetWritable !== false)
+    .map((p) => p.apiName);
+}
+
+/**
+ * Compare twin field values on real records: the lines of one quote, or
+ * of the most recent primary quotes, against the opportunity products,
+ * order products and subscriptions created from them.
+ */
+async function runVerify() {
+  const quoteText = document.getElementById("verifyQuoteInput").value;
+  const quoteId = quoteText.trim() ? parseQuoteId(quoteText) : null;
+  if (quoteText.trim() && !quoteId) return setVerifyError("That doesn't look like a quote Id or quote URL.");
+  const sampleSize = Math.min(Math.max(parseInt(document.getElementById("verifySampleInput").value, 10) || 10, 1), 200);
+
+  const targets = VERIFY_TARGETS.map((t) => ({ ...t, fields: verifiableFields(t) })).filter((t) => t.fields.length);
+  if (targets.length === 0) {
+    return setVerifyError(`Scan the org with ${VERIFY_SOURCE} → OpportunityLineItem, OrderItem or SBQQ__Subscription__c enabled first.`);
+  }
+  setVerifyError("");
+
+  const btn = document.getElementById("runVerifyBtn");
+  btn.disabled = true;
+  btn.textContent = "Verifying…";
+  try {
+    const quoteIds = quoteId
+      ? [quoteId]
+      : (await api.query(`
+          SELECT Id FROM SBQQ__Quote__c WHERE SBQQ__Primary__c = true ORDER BY LastModifiedDate DESC LIMIT ${sampleSize}
+        `)).map((q) => q.Id);
+    if (quoteIds.length === 0) throw new Error("No primary quotes found.");
+
+    const lineFields = [...new Set(targets.flatMap((t) => t.fields))];
+    const lines = await api.query(`
+      SELECT Id, ${lineFields.join(", ")}
+      FROM ${VERIFY_SOURCE}
+      WHERE SBQQ__Quote__c IN (${quoteIds.map((id) => `'${id}'`).join(",")})
+    `);
+
+    const results = [];
+    for (const target of targets) {
+      try {
+        const records = [];
+        for (let i = 0; i < lines.length; i += VERIFY_ID_CHUNK) {
+          const ids = lines.slice(i, i + VERIFY_ID_CHUNK).map((l) => `'${l.Id}'`).join(",");
+          records.push(...await api.query(`
+            SELECT Id, ${target.linkField}, ${target.fields.join(", ")}
+            FROM ${target.object}
+            WHERE ${target.linkField} IN (${ids})
+          `));
+        }
+        results.push({ target, ...compareSyncedValues(lines, records, target.linkField, target.fields) });
+      } catch (e) {
+        results.push({ target, error: e.message });
+      }
+    }
+    renderVerifyResults(results, { quotes: quoteIds.length, lines: lines.length });
+  } catch (e) {
+    setVerifyError(`Verification failed: ${e.message}`);
+  } finally {
+    btn.disabled = false;
+    btn.textContent = "Verify";
+  }
+}
+
+function renderVerifyResults(results, { quotes, lines }) {
+  document.getElementById("verifyResults").classList.remove("hidden");
+  document.getElementById("verifyCount").textContent =
+    `${lines} quote line${lines !== 1 ? "s" : ""} from ${quotes} quote${quotes !== 1 ? "s" : ""}`;
+
+  const recordLink = (id) => `<a href="${escHtml(new URL(`/${id}`, api.orgOrigin).href)}" target="_blank" rel="noopener">${escHtml(id)}</a>`;
+  const value = (v) => (v === null ? "<em>blank</em>" : escHtml(v));
+
+  document.getElementById("verifyBody").innerHTML = results
+    .map(({ target, error, rows, linked, unlinked }) => {
+      const heading = error
+        ? `<span class="warning">${escHtml(error)}</span>`
+        : `${linked} record${linked !== 1 ? "s" : ""} linked to quote lines · ${unlinked} line${unlinked !== 1 ? "s" : ""} with none`;
+      const header = `<tr class="verify-group"><td colspan="5"><strong>${escHtml(target.object)}</strong> — ${heading}</td></tr>`;
+      if (error) return header;
+
+      const sorted = [...rows].sort((a, b) => b.mismatches / (b.compared || 1) - a.mismatches / (a.compared || 1));
+      return header + sorted
+        .map((row) => {
+          const rate = row.compared ? row.mismatches / row.compared : 0;
+          const badge = !row.compared ? "badge-muted" : rate === 0 ? "badge-success" : rate === 1 ? "badge-crimson" : "badge-gold";
+          return `
+            <tr>
+              <td><code>${escHtml(row.field)}</code></td>
+              <td>${row.compared}</td>
+              <td>${row.mismatches}</td>
+              <td><span class="badge ${badge}">${row.compared ? `${Math.round(rate * 100)}%` : "n/a"}</span></td>
+              <td class="candidate-reasons">${row.examples
+                .map((ex) => `${recordLink(ex.sourceId)} (${value(ex.sourceValue)}) → ${recordLink(ex.targetId)} (${value(ex.targetValue)})`)
+                .join("<br/>")}</td>
+            </tr>
+          `;
+        })
+        .join("");
+    })
+    .join("");
+}
+
+function setVerifyError(message) {
+  const el = document.getElementById("verifyError");
+  el.textContent = message;
+  el.classList.toggle("hidden", !message);
+}
+
+function setSnapshotError(message) {
+  const el = document.getElementById("snapshotError");
+  el.textContent = message;
+  el.classList.toggle("hidden", !message);
+}
+
 // ── Stats ──────────────────────────────────────────────────────────────────
 function renderStats(allPairs) {
   const uniquePairs = new Set(allPairs.map(p => p.pairLabel)).size;
+  const count = (severity) => allPairs.filter((p) => p.severity === severity).length;
     document.getElementById('statsBar').innerHTML = `
       <div class="stat-card">
         <div class="stat-value">${allPairs.length}</div>
@@ -297,6 +1322,26 @@ function renderStats(allPairs) {
         <div class="stat-value">${uniquePairs}</div>
         <div class="stat-label">Object Pairs</div>
       </div>
+      <div class="stat-card">
+        <div class="stat-value white">${count("ok")}</div>
+        <div class="stat-label">OK</div>
+      </div>
+      <div class="stat-card">
+        <div class="stat-value gold">${count("truncation")}</div>
+        <div class="stat-label">Truncation Risk</div>
+      </div>
+      <div class="stat-card">
+        <div class="stat-value gold">${count("precision")}</div>
+        <div class="stat-label">Precision Loss</div>
+      </div>
+      <div class="stat-card">
+        <div class="stat-value crimson">${count("nosync")}</div>
+        <div class="stat-label">Won't Sync</div>
+      </div>
+      <div class="stat-card">
+        <div class="stat-value gold">${allPairs.filter((p) => p.picklistGap).length}</div>
+        <div class="stat-label">Picklist Gaps</div>
+      </div>
     `;
 }
 
@@ -306,7 +1351,7 @@ function exportCSV() {
     'Pair', 'API Name',
     'Source Object', 'Source Label', 'Source Type',
     'Target Object', 'Target Label', 'Target Type',
-    'Types Match', 'Custom'
+    'Types Match', 'Severity', 'Severity Reasons', 'Picklist Values Missing on Target', 'Custom'
   ];
   const rows = allPairs.map(p => [
     p.pairLabel,
@@ -318,9 +1363,16 @@ function exportCSV() {
     p.targetLabel,
     p.targetType,
     p.typesMatch ? 'Yes' : 'No',
+    COMPATIBILITY_GRADES[p.severity].label,
+    p.severityReasons.join('; '),
+    p.picklistGap ? p.picklist.missing.join('; ') : '',
     p.isCustom ? 'Yes' : 'No'
   ]);
 
+  downloadCSV(headers, rows, `cpq-twin-fields-${new Date().toISOString().slice(0, 10)}.csv`);
+}
+
+function downloadCSV(headers, rows, filename) {
   const csv = [headers, ...rows]
     .map((row) => row.map((v) => `"${String(v ?? "").replace(/"/g, '""')}"`).join(","))
     .join("\n");
@@ -329,7 +1381,7 @@ function exportCSV() {
   const url = URL.createObjectURL(blob);
   const a = document.createElement("a");
   a.href = url;
-  a.download = `cpq-twin-fields-${new Date().toISOString().slice(0, 10)}.csv`;
+  a.download = filename;
   a.click();
   URL.revokeObjectURL(url);
 }
@@ -342,7 +1394,7 @@ function showState(state) {
   });
   const target = {
     loading: ["loadingState"],
-    results: ["resultsState"],
+    results: ["resultsState", "statsBar"],
     error: ["errorState"],
     pre: ["preScanState"],
   }[state];